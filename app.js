@@ -4,13 +4,30 @@ const logger = require('./middleware/logger');
 const authRoutes = require('./routes/auth.route');
 const cateRoutes = require('./routes/rdb/cate.route');
 const basinRoutes = require('./routes/nps/basin.route');
+const wellKnownRoutes = require('./routes/wellKnown.route');
+const healthRoutes = require('./routes/health.route');
 const Redis = require('./utils/redis');
 const Logger = require('./utils/logger');
+const OidcRegistry = require('./libs/oidcRegistry');
+const AccessPolicy = require('./libs/accessPolicy');
 
 // 创建Express应用实例
 const app = express();
 const PORT = process.env.PORT || 6000;
 
+// 反向代理信任设置：决定req.ip是否取自X-Forwarded-For，登录防暴力破解和限流按IP计数依赖此设置
+// true/false、信任的代理层数或以逗号分隔的代理地址（如 loopback, 10.0.0.0/8），未设置时不信任代理
+const TRUST_PROXY = (process.env.TRUST_PROXY || '').trim();
+if (TRUST_PROXY) {
+	if (TRUST_PROXY === 'true' || TRUST_PROXY === 'false') {
+		app.set('trust proxy', TRUST_PROXY === 'true');
+	} else if (/^\d+$/.test(TRUST_PROXY)) {
+		app.set('trust proxy', parseInt(TRUST_PROXY));
+	} else {
+		app.set('trust proxy', TRUST_PROXY);
+	}
+}
+
 // 中间件配置
 app.use(logger); // 自定义日志中间件
 app.use(express.json()); // 解析JSON请求体
@@ -30,6 +47,8 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes); // 认证相关路由
 app.use('/api/cate', cateRoutes); // 节点分类相关路由
 app.use('/api/nps/basin', basinRoutes); // 河流管理相关路由
+app.use('/.well-known', wellKnownRoutes); // JWKS等公开元数据
+app.use('/api/health', healthRoutes); // 健康检查和上游服务熔断状态
 
 // 在所有API路由之后，404处理之前添加
 app.get('*', (req, res) => {
@@ -59,6 +78,22 @@ app.use((err, req, res, next) => {
 	});
 });
 
+// 加载OIDC客户端注册表，配置无法解析或无效时直接退出，避免以无客户端的状态运行
+try {
+	OidcRegistry.load();
+} catch (error) {
+	Logger.error(`OIDC客户端注册表加载失败: ${error.message}`);
+	process.exit(1);
+}
+
+// 加载访问策略，配置无法解析或无效时直接退出，避免在首次请求时才报错
+try {
+	AccessPolicy.load();
+} catch (error) {
+	Logger.error(`访问策略加载失败: ${error.message}`);
+	process.exit(1);
+}
+
 // Initialize Redis connection
 Redis.init().then(() => {
 	Logger.info('Redis连接初始化成功');
@@ -7,83 +7,139 @@
  */
 
 const Curl = require('../utils/curl');
+const { UpstreamError } = Curl;
+const Redis = require('../utils/redis');
+const Jwt = require('../utils/jwt');
 const Logger = require('../utils/logger');
+const PermissionEngine = require('../libs/permissionEngine');
+const PasswordPolicy = require('../libs/passwordPolicy');
+const UserContext = require('../libs/userContext');
 
 Logger.info('初始化账户控制器模块');
+
+// 修改密码频率限制：每个用户在窗口内最多尝试的次数
+const PASSWORD_CHANGE_LIMIT = parseInt(process.env.PASSWORD_CHANGE_LIMIT) || 5;
+const PASSWORD_CHANGE_WINDOW = parseInt(process.env.PASSWORD_CHANGE_WINDOW) || 900;
+
+// 更新资料频率限制
+const PROFILE_UPDATE_LIMIT = parseInt(process.env.PROFILE_UPDATE_LIMIT) || 20;
+const PROFILE_UPDATE_WINDOW = parseInt(process.env.PROFILE_UPDATE_WINDOW) || 3600;
+
+// 允许用户自行修改的资料字段
+const PROFILE_FIELDS = ['nickname', 'email', 'phone'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{6,20}$/;
+
 /**
- * 根据用户权限生成菜单结构
- * @param {Object} sheet - 权限表
- * @param {boolean} isApp - 是否为应用模式
- * @param {Array} userOperations - 用户操作权限列表
- * @returns {Object} 菜单结构
+ * 检查操作频率
+ * 超出限制时设置Retry-After响应头并返回429
+ *
+ * @param {object} res Express响应对象
+ * @param {string} key 计数器键名
+ * @param {number} limit 窗口内允许的次数
+ * @param {number} window 窗口长度（秒）
+ * @return {Promise<boolean>} 超出限制返回true（已响应）
  */
-function toMenu(sheet, isApp = false, userOperations = []) {
-	const menu = {};
-	
-	if (!sheet || !sheet.operations) {
-		return menu;
+async function rateLimited(res, key, limit, window) {
+	const { count, ttl } = await Redis.hit(key, window);
+	if (count <= limit) {
+		return false;
 	}
-	
-	// 遍历权限表中的操作
-	sheet.operations.forEach(operation => {
-		// 检查用户是否有此操作权限
-		if (!userOperations.includes(operation.key)) {
-			return;
-		}
-		
-		// 如果是应用模式，只显示标记为应用的菜单项
-		if (isApp && !operation.app) {
-			return;
-		}
-		
-		// 构建菜单项
-		const menuItem = {
-			key: operation.key,
-			name: operation.name || operation.key,
-			path: operation.path || '',
-			icon: operation.icon || '',
-			order: operation.order || 0,
-			parent: operation.parent || null,
-			children: []
-		};
-		
-		// 如果有父级菜单
-		if (operation.parent) {
-			// 确保父级菜单存在
-			if (!menu[operation.parent]) {
-				menu[operation.parent] = {
-					key: operation.parent,
-					name: operation.parent,
-					path: '',
-					icon: '',
-					order: 0,
-					children: []
-				};
-			}
-			// 添加到父级菜单的子菜单中
-			menu[operation.parent].children.push(menuItem);
-		} else {
-			// 顶级菜单
-			menu[operation.key] = menuItem;
-		}
+
+	res.set('Retry-After', String(ttl));
+	res.status(429).json({
+		success: false,
+		code: 429,
+		message: `操作过于频繁，请${Math.ceil(ttl / 60)}分钟后再试`
 	});
-	
-	// 对菜单项进行排序
-	Object.keys(menu).forEach(key => {
-		if (menu[key].children && menu[key].children.length > 0) {
-			menu[key].children.sort((a, b) => (a.order || 0) - (b.order || 0));
+	return true;
+}
+
+/**
+ * 校验资料字段
+ *
+ * @param {object} body 请求体
+ * @return {object} { changes, errors }
+ */
+function validateProfile(body = {}) {
+	const changes = {};
+	const errors = [];
+
+	PROFILE_FIELDS.forEach(field => {
+		if (body[field] === undefined) {
+			return;
 		}
+		const value = String(body[field] ?? '').trim();
+		changes[field] = value;
 	});
-	
-	return menu;
+
+	if (changes.nickname !== undefined && (changes.nickname.length === 0 || changes.nickname.length > 32)) {
+		errors.push('昵称长度应为1-32个字符');
+	}
+	if (changes.email && !EMAIL_PATTERN.test(changes.email)) {
+		errors.push('邮箱格式不正确');
+	}
+	if (changes.phone && !PHONE_PATTERN.test(changes.phone)) {
+		errors.push('手机号格式不正确');
+	}
+
+	return { changes, errors };
 }
 
+/**
+ * 结束验证原密码时rdb服务签发的会话
+ * 该token不返回给客户端，在rdb服务登出并加入黑名单；登出失败只记录日志，不影响修改密码
+ *
+ * @param {string} token 验证原密码时rdb服务返回的token
+ * @param {string} requestId 请求ID
+ * @return {Promise<void>}
+ */
+async function discardVerifyToken(token, requestId) {
+	if (!token) {
+		return;
+	}
+
+	const [, error] = await Curl.api('rdb.logout', token).request();
+	if (error) {
+		Logger.warning('验证原密码的会话登出失败', { error, requestId });
+	}
+
+	const verification = Jwt.verifyToken(token);
+	if (verification.valid && verification.token.jti) {
+		await Redis.denyToken(verification.token.jti, Jwt.getRemainingTime(verification.token), 'password_verify');
+	}
+}
+
+/**
+ * 撤销用户除当前会话以外的全部会话
+ * 会话当前token加入黑名单，并从会话注册表移除
+ *
+ * @param {object} user tokenCheck设置的req.user
+ * @param {string} reason 撤销原因
+ * @return {Promise<number>} 撤销的会话数量
+ */
+async function revokeOtherSessions(user, reason) {
+	const now = Math.floor(Date.now() / 1000);
+	let revoked = 0;
+
+	for (const session of await Redis.listSessions(user.id)) {
+		if (session.sid === user.sid) {
+			continue;
+		}
+		await Redis.denyToken(session.jti, session.expires_at - now, reason);
+		await Redis.removeSession(user.id, session.sid);
+		revoked++;
+	}
+
+	return revoked;
+}
 
 // 获取用户个人资料
+// 资料、租户和菜单由 AuthMiddleware.loadUserContext 解析
 exports.getProfile = async (req, res, next) => {
 	try {
 		const user = req.user;
-		const token = req.headers['authorization'] || req.headers['authn-token'];
 
 		Logger.info('获取用户个人资料请求', {
 			userId: user?.id,
@@ -103,138 +159,22 @@ exports.getProfile = async (req, res, next) => {
 			});
 		}
 
-		// 获取用户所属租户的详细信息
-		let tenant = null;
-		if (user.tenant) {
-			Logger.debug('获取租户信息', {
-				userId: user.id,
-				tenant: user.tenant,
-				requestId: req.headers['x-request-id']
-			});
-
-			const [tenantResult, tenantError] = await Curl.api('rdb.getNode', token)
-				.request({ node: { path: user.tenant } });
-
-			if (tenantError) {
-				Logger.error('获取租户数据失败', {
-					error: tenantError,
-					userId: user.id,
-					tenant: user.tenant,
-					requestId: req.headers['x-request-id']
-				});
-				return res.status(500).json({
-					success: false,
-					code: 2004,
-					message: '获取租户数据失败' + tenantError
-				});
-			}
-			tenant = tenantResult?.node?.metadata || null;
-		}
-
-		// 获取用户的角色和操作权限
-		Logger.debug('获取用户角色权限', {
-			userId: user.id,
-			username: user.username,
-			requestId: req.headers['x-request-id']
-		});
-
-		const [roleResult, roleError] = await Curl.api('rdb.listUserRole', token)
-			.request({ user: { username: user.username } }, false);
-
-		if (roleError) {
-			Logger.error('获取用户角色功能数据失败', {
-				error: roleError,
-				userId: user.id,
-				username: user.username,
-				requestId: req.headers['x-request-id']
-			});
-			return res.status(401).json({
-				success: false,
-				code: 401,
-				message: '获取用户角色功能数据失败' + roleError
-			});
-		}
-
-		// 解析用户权限操作列表
-		const operations = [];
-		if (roleResult) {
-			const lines = roleResult.split('\n');
-			lines.forEach(line => {
-				if (line.trim()) {
-					try {
-						const tmp = JSON.parse(line);
-						if (tmp.result && tmp.result.operations) {
-							operations.push(...tmp.result.operations);
-						}
-					} catch (e) {
-						Logger.warning('解析用户权限行失败', {
-							line,
-							error: e.message,
-							requestId: req.headers['x-request-id']
-						});
-					}
-				}
-			});
-		}
-
-		// 去重用户操作权限
-		const uniqueOperations = [...new Set(operations)];
-
-		Logger.debug('用户权限解析完成', {
-			userId: user.id,
-			operationCount: uniqueOperations.length,
-			requestId: req.headers['x-request-id']
-		});
-
-		// 获取系统操作权限表
-		Logger.debug('获取系统权限表', {
-			userId: user.id,
-			requestId: req.headers['x-request-id']
-		});
-
-		const [sheetsResult, sheetsError] = await Curl.api('rdb.loadOperationSheet', token, 'nps')
-			.request();
-
-		if (sheetsError) {
-			Logger.error('获取角色功能权限表失败', {
-				error: sheetsError,
-				userId: user.id,
-				requestId: req.headers['x-request-id']
-			});
-			return res.status(401).json({
-				success: false,
-				code: 401,
-				message: '获取角色功能权限表失败' + sheetsError
-			});
-		}
-
-		// 根据用户权限生成菜单结构
-		const menu = {};
-		if (sheetsResult && sheetsResult.operations) {
-			sheetsResult.operations.forEach(sheet => {
-				const tmp = toMenu(sheet, user.app || false, uniqueOperations);
-				if (tmp && Object.keys(tmp).length > 0) {
-					menu[sheet.key] = tmp;
-				}
-			});
-		}
-
 		Logger.info('用户个人资料获取成功', {
 			userId: user.id,
 			username: user.username,
-			hasTenant: !!tenant,
-			operationCount: uniqueOperations.length,
-			menuCount: Object.keys(menu).length,
+			hasTenant: !!user.tenant,
+			operationCount: (user.permissions || []).length,
+			menuCount: Object.keys(user.menu || {}).length,
 			requestId: req.headers['x-request-id']
 		});
 
 		// 组装返回数据
 		const result = {
 			menus: {
-				nps: menu  // NPS系统菜单
+				nps: user.menu || {}  // NPS系统菜单
 			},
-			user: user,              // 用户信息
-			tenant: tenant           // 租户信息
+			user: user.profile || { id: user.id, username: user.username },  // 用户信息
+			tenant: user.tenant || null  // 租户信息
 		};
 
 		return res.json({
@@ -292,10 +232,13 @@ exports.login = async (req, res, next) => {
 				username,
 				requestId: req.headers['x-request-id']
 			});
+			if (loginError.isFault) {
+				return UpstreamError.respond(res, loginError, '登录失败');
+			}
 			return res.status(401).json({
 				success: false,
 				code: 401,
-				message: '登录失败: ' + loginError
+				message: '登录失败: 用户名或密码错误'
 			});
 		}
 
@@ -355,11 +298,7 @@ exports.logout = async (req, res, next) => {
 				username: user.username,
 				requestId: req.headers['x-request-id']
 			});
-			return res.status(500).json({
-				success: false,
-				code: 500,
-				message: '登出失败: ' + logoutError
-			});
+			return UpstreamError.respond(res, logoutError, '登出失败');
 		}
 
 		Logger.info('用户登出成功', {
@@ -436,37 +375,207 @@ exports.getMenu = async (req, res, next) => {
 
 /**
  * 更新用户资料
+ * 可修改的字段：nickname、email、phone，未提交的字段保持不变
  * @param {Object} req - 请求对象
  * @param {Object} res - 响应对象
  * @param {Function} next - 下一个中间件
  */
 exports.updateProfile = async (req, res, next) => {
 	try {
-		res.status(501).send({ message: 'Not implemented yet' });
+		const user = req.user;
+		const profile = user.profile || {};
+
+		Logger.info('更新用户资料请求', {
+			userId: user.id,
+			fields: Object.keys(req.body || {}),
+			requestId: req.headers['x-request-id']
+		});
+
+		const { changes, errors } = validateProfile(req.body);
+		if (Object.keys(changes).length === 0) {
+			errors.push(`至少提交一个字段：${PROFILE_FIELDS.join('、')}`);
+		}
+		if (errors.length > 0) {
+			return res.status(400).json({
+				success: false,
+				code: 400,
+				message: errors.join('；'),
+				errors
+			});
+		}
+
+		if (await rateLimited(res, `profile-update-${user.id}`, PROFILE_UPDATE_LIMIT, PROFILE_UPDATE_WINDOW)) {
+			Logger.warning('更新用户资料过于频繁', {
+				userId: user.id,
+				ip: req.ip,
+				requestId: req.headers['x-request-id']
+			});
+			return;
+		}
+
+		const [result, error] = await Curl.api('rdb.profileUser', user.token)
+			.request({
+				user: {
+					username: profile.username,
+					...changes
+				}
+			});
+
+		if (error) {
+			Logger.error('更新用户资料失败', {
+				error,
+				userId: user.id,
+				requestId: req.headers['x-request-id']
+			});
+			return UpstreamError.respond(res, error, '更新用户资料失败');
+		}
+
+		// 用户上下文中缓存了资料，更新后重新解析
+		await UserContext.invalidate(user.username);
+
+		Logger.info('用户资料更新成功', {
+			userId: user.id,
+			fields: Object.keys(changes),
+			requestId: req.headers['x-request-id']
+		});
+
+		return res.json({
+			success: true,
+			data: result?.user || { ...profile, ...changes },
+			message: '资料更新成功'
+		});
+
 	} catch (error) {
-		Logger.error('更新用户资料失败', {
+		Logger.error('更新用户资料异常', {
 			error: error.message,
-			userId: req.user?.id
+			stack: error.stack,
+			userId: req.user?.id,
+			requestId: req.headers['x-request-id']
 		});
-		res.status(500).send({ message: 'Failed to update profile', error: error.message });
+		return next(error);
 	}
 };
 
 /**
  * 修改密码
+ * 校验原密码和新密码强度后调用rdb服务修改密码，成功后撤销该用户的其他全部会话，当前会话保持登录
  * @param {Object} req - 请求对象
  * @param {Object} res - 响应对象
  * @param {Function} next - 下一个中间件
  */
 exports.changePassword = async (req, res, next) => {
 	try {
-		res.status(501).send({ message: 'Not implemented yet' });
+		const user = req.user;
+		const username = user.profile?.username;
+		const { oldPassword, newPassword, confirmPassword } = req.body || {};
+
+		Logger.info('修改密码请求', {
+			userId: user.id,
+			ip: req.ip,
+			requestId: req.headers['x-request-id']
+		});
+
+		if (!oldPassword || !newPassword) {
+			return res.status(400).json({
+				success: false,
+				code: 400,
+				message: '原密码和新密码不能为空'
+			});
+		}
+		if (confirmPassword !== undefined && confirmPassword !== newPassword) {
+			return res.status(400).json({
+				success: false,
+				code: 400,
+				message: '两次输入的新密码不一致'
+			});
+		}
+
+		// 每次尝试都计数，防止借修改密码接口猜测原密码
+		if (await rateLimited(res, `password-change-${user.id}`, PASSWORD_CHANGE_LIMIT, PASSWORD_CHANGE_WINDOW)) {
+			Logger.warning('修改密码过于频繁', {
+				userId: user.id,
+				ip: req.ip,
+				requestId: req.headers['x-request-id']
+			});
+			return;
+		}
+
+		const violations = PasswordPolicy.validate(newPassword, { username, oldPassword });
+		if (violations.length > 0) {
+			return res.status(400).json({
+				success: false,
+				code: 400,
+				message: violations.map(item => item.message).join('；'),
+				violations: violations.map(item => item.rule),
+				policy: PasswordPolicy.describe()
+			});
+		}
+
+		// 使用原密码登录rdb服务验证原密码，验证后立即结束本次登录产生的会话
+		const [verified, verifyError] = await Curl.api('rdb.login')
+			.request({
+				user: {
+					username,
+					password: oldPassword
+				}
+			});
+		if (verifyError) {
+			Logger.warning('修改密码时原密码验证失败', {
+				userId: user.id,
+				error: verifyError,
+				ip: req.ip,
+				requestId: req.headers['x-request-id']
+			});
+			if (verifyError.isFault) {
+				return UpstreamError.respond(res, verifyError, '修改密码失败');
+			}
+			return res.status(400).json({
+				success: false,
+				code: 1002,
+				message: '原密码错误'
+			});
+		}
+		await discardVerifyToken(verified?.token, req.headers['x-request-id']);
+
+		const [, changeError] = await Curl.api('rdb.changePassword', user.token)
+			.request({
+				user: {
+					username,
+					old_password: oldPassword,
+					password: newPassword
+				}
+			});
+		if (changeError) {
+			Logger.error('修改密码失败', {
+				error: changeError,
+				userId: user.id,
+				requestId: req.headers['x-request-id']
+			});
+			return UpstreamError.respond(res, changeError, '修改密码失败');
+		}
+
+		const revoked = await revokeOtherSessions(user, 'password_changed');
+
+		Logger.info('密码修改成功', {
+			userId: user.id,
+			revokedSessions: revoked,
+			requestId: req.headers['x-request-id']
+		});
+
+		return res.json({
+			success: true,
+			data: { revokedSessions: revoked },
+			message: '密码修改成功，其他设备上的会话已退出'
+		});
+
 	} catch (error) {
-		Logger.error('修改密码失败', {
+		Logger.error('修改密码异常', {
 			error: error.message,
-			userId: req.user?.id
+			stack: error.stack,
+			userId: req.user?.id,
+			requestId: req.headers['x-request-id']
 		});
-		res.status(500).send({ message: 'Failed to change password', error: error.message });
+		return next(error);
 	}
 };
 
@@ -480,7 +589,7 @@ exports.checkPermission = async (req, res, next) => {
 	try {
 		const { permission } = req.query;
 		const userPermissions = req.user.permissions || [];
-		const hasPermission = userPermissions.includes(permission);
+		const hasPermission = !!permission && !!PermissionEngine.findGrant(userPermissions, permission);
 		
 		res.status(200).send({
 			code: 0,
@@ -3,9 +3,377 @@ const Jwt = require('../utils/jwt');
 const Redis = require('../utils/redis');
 const Curl = require('../utils/curl');
 const OpenIDClient = require('../libs/openIDClient');
+const OidcRegistry = require('../libs/oidcRegistry');
+const PermissionEngine = require('../libs/permissionEngine');
+const UserContext = require('../libs/userContext');
+const LoginGuard = require('../libs/loginGuard');
+const Captcha = require('../libs/captcha');
+const Mfa = require('../libs/mfa');
+const LoginCode = require('../libs/loginCode');
+const CodeSender = require('../libs/codeSender');
+const ServiceAccount = require('../libs/serviceAccount');
+const { IdTokenError } = OpenIDClient;
+const { UpstreamError } = Curl;
 const AuthMiddleware = require('../middleware/auth');
 const Logger = require('../utils/logger');
 
+// 在线判定时间窗口（秒），最后活跃时间在窗口内的用户视为在线
+const PRESENCE_WINDOW = parseInt(process.env.PRESENCE_WINDOW) || 300;
+
+// OIDC授权请求状态有效期（秒）
+const OIDC_STATE_TTL = 600;
+
+// 刷新token后旧token的宽限期（秒），宽限期内刷新前已发出的请求仍可使用旧token
+const REFRESH_GRACE_PERIOD = parseInt(process.env.REFRESH_GRACE_PERIOD) || 30;
+
+// 未携带exp的Logout Token防重放记录保留时间（秒）
+const LOGOUT_REPLAY_TTL = 600;
+
+// 权限表缓存时间（秒）
+const PERMISSION_SHEET_TTL = parseInt(process.env.PERMISSION_SHEET_TTL) || 600;
+
+// 可查询权限的主体类型
+const PRINCIPAL_TYPES = ['user', 'role', 'group'];
+
+// 权限标识格式：以 "." 分隔的层级，可使用 * 通配符
+const PERMISSION_PATTERN = /^(\*|[\w-]+(\.([\w-]+|\*))*)$/;
+
+// 管理员登录方式 => rdb服务的登录类型
+const LOGIN_METHODS = {
+    account: 'password',
+    sms: 'sms-code',
+    email: 'email-code'
+};
+
+/**
+ * 根据token声明和请求信息构建会话记录
+ * @param {Object} req - 请求对象
+ * @param {Object} claims - verifyToken返回的token数据对象（verification.token）
+ * @param {Object} device - 设备信息 { device_uid, device_type }
+ * @returns {Object} 会话记录
+ */
+function buildSession(req, claims, device = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        sid: AuthMiddleware.getSessionId(claims),
+        jti: claims.jti,
+        device_uid: device.device_uid || '',
+        device_type: device.device_type || '',
+        ip: req.ip || 'unknown',
+        user_agent: req.headers['user-agent'] || '',
+        created_at: now,
+        last_seen: now,
+        expires_at: now + Jwt.getRemainingTime(claims)
+    };
+}
+
+/**
+ * 解析认证服务返回的列表数据
+ * 流式接口返回按行分隔的JSON（每行 { result: { [field]: ... } }），普通接口返回 { [field + 's']: [...] }
+ * @param {string|Object|Array} result - 接口返回数据
+ * @param {string} field - 列表项字段名，如 role、binding
+ * @returns {Array} 列表
+ */
+function parseResultList(result, field) {
+    if (Array.isArray(result)) {
+        return result;
+    }
+    if (result && typeof result === 'object') {
+        return result[field + 's'] || (result.result?.[field] ? [result.result[field]] : []);
+    }
+
+    const list = [];
+    for (const line of String(result || '').split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            const tmp = JSON.parse(line);
+            if (tmp.result && tmp.result[field]) {
+                list.push(tmp.result[field]);
+            } else if (Array.isArray(tmp[field + 's'])) {
+                list.push(...tmp[field + 's']);
+            }
+        } catch (e) {
+            Logger.warning('解析列表数据行失败', { field, line, error: e.message });
+        }
+    }
+    return list;
+}
+
+/**
+ * 汇总主体的有效权限及来源
+ * @param {Array} grants - 认证服务返回的授权列表 [{ role: { id, name, operations }, via: { type, id } }]
+ * @param {Object} principal - 查询的主体 { type, id }，授权未给出via时视为主体自身
+ * @returns {Array} 有效权限列表 [{ permission, sources: [{ role: { id, name }, via: { type, id } }] }]
+ */
+function collectPermissions(grants, principal) {
+    const permissions = new Map();
+    for (const grant of grants) {
+        const role = grant.role || {};
+        const source = {
+            role: { id: role.id, name: role.name },
+            via: grant.via || principal
+        };
+        for (const permission of role.operations || []) {
+            if (!permissions.has(permission)) {
+                permissions.set(permission, []);
+            }
+            permissions.get(permission).push(source);
+        }
+    }
+    return [...permissions.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([permission, sources]) => ({ permission, sources }));
+}
+
+/**
+ * 判断参数是否已提供（非空）
+ * @param {*} value - 参数值
+ * @returns {boolean} 是否已提供
+ */
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 0;
+}
+
+/**
+ * 校验标识参数：正整数或非空字符串
+ * @param {*} value - 参数值
+ * @returns {boolean} 是否有效
+ */
+function isValidId(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value > 0;
+    }
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= 128;
+}
+
+/**
+ * 返回登录锁定响应
+ *
+ * @param {object} res Express响应对象
+ * @param {object} lock 锁定信息 { type, retryAfter }
+ * @return {object} Express响应
+ */
+function sendLocked(res, lock) {
+    res.set('Retry-After', String(lock.retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: 1003,
+        message: `登录失败次数过多，${lock.type === 'ip' ? '该IP' : '账号'}已临时锁定，请${Math.ceil(lock.retryAfter / 60)}分钟后再试`
+    });
+}
+
+/**
+ * 返回动态口令错误次数过多响应
+ *
+ * @param {object} res Express响应对象
+ * @param {number} retryAfter 可以重试前的等待时间（秒）
+ * @return {object} Express响应
+ */
+function sendMfaAttemptsExceeded(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: 1009,
+        message: `动态口令错误次数过多，请${Math.ceil(retryAfter / 60)}分钟后再试`
+    });
+}
+
+/**
+ * 判断登录用户是否需要双因素认证
+ * 已启用的用户始终需要；未启用时按租户策略判断是否必须启用
+ * @param {string} token - rdb服务签发的token
+ * @param {Object} claims - token声明
+ * @returns {Promise<Object>} { enabled, required }
+ */
+async function resolveMfaRequirement(token, claims) {
+    const { enabled } = await Mfa.status(claims.sub);
+    if (enabled || !Mfa.hasMandatoryTenants()) {
+        return { enabled, required: false };
+    }
+
+    const payload = (claims.payload && typeof claims.payload === 'object') ? claims.payload : {};
+    const context = await UserContext.resolve({ id: claims.sub, username: claims.sub, token, payload });
+    const required = Mfa.isRequired({
+        tenant: context.profile?.tenant || payload.tenant,
+        permissions: context.permissions
+    });
+    return { enabled, required };
+}
+
+/**
+ * 完成管理员登录：在会话注册表中登记本设备的会话并返回token
+ * 令牌无法验证时无法登记会话，后续请求必然失败，因此直接返回登录失败
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Object} login - 登录信息 { token, user, device }
+ * @returns {Object} Express响应
+ */
+async function completeLogin(req, res, login) {
+    const { token, user, device } = login;
+
+    const verification = Jwt.verifyToken(token);
+    if (!verification.valid) {
+        Logger.error('登录令牌无法验证，未登记会话', {
+            username: user.username,
+            reason: verification.reason,
+            requestId: req.headers['x-request-id']
+        });
+        return res.status(401).json({
+            success: false,
+            code: 1001,
+            reason: verification.reason,
+            message: '登录失败，令牌无法验证'
+        });
+    }
+    const claims = verification.token;
+    await Redis.saveSession(claims.sub, buildSession(req, claims, device), Jwt.getRemainingTime(claims));
+
+    Logger.info('管理员登录成功', {
+        username: user.username,
+        adminId: user.id,
+        hasToken: !!token,
+        device_type: device.device_type,
+        requestId: req.headers['x-request-id']
+    });
+
+    return res.json({
+        success: true,
+        data: {
+            token: token,
+            user: user
+        },
+        message: '登录成功'
+    });
+}
+
+/**
+ * 校验角色参数
+ * @param {Object} role - 角色参数 { id, name, description, permissions }
+ * @returns {string|null} 错误信息，参数有效返回null
+ */
+function validateRole({ id, name, description, permissions }) {
+    if (isPresent(id) && !isValidId(id)) {
+        return '角色ID无效';
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+        return '角色名称不能为空';
+    }
+    if (name.trim().length > 64) {
+        return '角色名称不能超过64个字符';
+    }
+    if (typeof description !== 'string' || description.length > 255) {
+        return '角色描述必须是不超过255个字符的字符串';
+    }
+    if (!Array.isArray(permissions)) {
+        return '权限列表必须是数组';
+    }
+    const invalid = permissions.find(permission =>
+        typeof permission !== 'string' || !PERMISSION_PATTERN.test(permission)
+    );
+    if (invalid !== undefined) {
+        return '权限标识无效: ' + invalid;
+    }
+    return null;
+}
+
+/**
+ * 校验服务账号参数
+ * @param {Object} data - 服务账号参数 { name, description, scopes, tenant, expires_in }
+ * @returns {string|null} 错误信息，参数有效返回null
+ */
+function validateServiceAccount({ name, description, scopes, tenant, expires_in }) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return '服务账号名称不能为空';
+    }
+    if (name.trim().length > 64) {
+        return '服务账号名称不能超过64个字符';
+    }
+    if (isPresent(description) && (typeof description !== 'string' || description.length > 255)) {
+        return '服务账号描述必须是不超过255个字符的字符串';
+    }
+    if (isPresent(tenant) && typeof tenant !== 'string') {
+        return '租户必须是字符串';
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return '权限范围必须是非空数组';
+    }
+    const invalid = scopes.find(scope =>
+        typeof scope !== 'string' || !PERMISSION_PATTERN.test(scope)
+    );
+    if (invalid !== undefined) {
+        return '权限标识无效: ' + invalid;
+    }
+    if (isPresent(expires_in) && !(Number.isInteger(Number(expires_in)) && Number(expires_in) > 0)) {
+        return '有效期必须是正整数（秒）';
+    }
+    return null;
+}
+
+/**
+ * 用户已没有任何会话时移除其在线状态
+ * 其他设备上的会话仍然有效时保留，在线状态随其心跳更新
+ * @param {string} sub - 用户标识
+ * @returns {Promise<void>}
+ */
+async function clearPresence(sub) {
+    if ((await Redis.listSessions(sub)).length === 0) {
+        await Redis.removePresence(sub);
+    }
+}
+
+/**
+ * 获取IdP的RP发起登出地址
+ * IdP不支持end_session_endpoint或客户端配置已不存在时返回null
+ * @param {Object} oidc - 会话中记录的OIDC信息 { client, id_token }
+ * @returns {Promise<string|null>} 登出地址
+ */
+async function getEndSessionUrl(oidc) {
+    const entry = OidcRegistry.get(oidc.client);
+    if (!entry) {
+        return null;
+    }
+    try {
+        const client = OidcRegistry.createClient(entry);
+        await client.discover();
+        return client.getEndSessionUrl({
+            idTokenHint: oidc.id_token,
+            postLogoutRedirectUri: entry.postLogoutRedirectUri
+        });
+    } catch (error) {
+        Logger.warning('获取OIDC登出地址失败', {
+            client: oidc.client,
+            error: error.message
+        });
+        return null;
+    }
+}
+
+// 获取JWKS公钥集合
+// 下游服务使用这些公钥验证本服务签发的token，无需共享密钥
+exports.getJwks = async (req, res, next) => {
+    try {
+        const jwks = Jwt.getJwks();
+
+        Logger.debug('JWKS请求', {
+            keyCount: jwks.keys.length,
+            requestId: req.headers['x-request-id']
+        });
+
+        res.set('Cache-Control', 'public, max-age=300');
+        return res.json(jwks);
+
+    } catch (error) {
+        Logger.error('获取JWKS异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
 // 获取OIDC登录配置信息
 exports.getOidc = async (req, res, next) => {
     try {
@@ -25,11 +393,7 @@ exports.getOidc = async (req, res, next) => {
                 token: token.substring(0, 10) + '...',
                 requestId: req.headers['x-request-id']
             });
-            return res.status(500).json({
-                success: false,
-                code: 2004,
-                message: '获取oidc失败: ' + error
-            });
+            return UpstreamError.respond(res, error, '获取oidc失败');
         }
 
         Logger.info('OIDC配置获取成功', {
@@ -52,50 +416,175 @@ exports.getOidc = async (req, res, next) => {
     }
 };
 
+// 发起OIDC授权码登录
+// 生成state、nonce和PKCE参数保存到Redis，返回授权地址（redirect=true时直接重定向）
+// 可通过 client、tenant 或 app 参数选择OIDC客户端
+exports.oidcLogin = async (req, res, next) => {
+    try {
+        const { return_to, redirect, client, tenant, app } = req.query;
+
+        Logger.info('OIDC登录请求', {
+            returnTo: return_to,
+            client,
+            tenant,
+            app,
+            requestId: req.headers['x-request-id'],
+            userAgent: req.headers['user-agent']
+        });
+
+        // 只允许站内相对路径，防止开放重定向
+        const returnTo = (typeof return_to === 'string' && /^\/(?![\/\\])/.test(return_to)) ? return_to : '/';
+
+        // 重复的查询参数会被解析为数组
+        if ([client, tenant, app].some(value => value !== undefined && typeof value !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: 'client、tenant、app参数只能指定一次'
+            });
+        }
+
+        const entry = OidcRegistry.resolve({ client, tenant, app });
+        if (!entry) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: '未找到可用的OIDC客户端'
+            });
+        }
+
+        const oidc = OidcRegistry.createClient(entry);
+        await oidc.discover();
+
+        const state = oidc.generateState();
+        const nonce = oidc.generateNonce();
+        const codeVerifier = oidc.generateCodeVerifier();
+
+        await Redis.saveOidcState(state, {
+            client: entry.id,
+            nonce: nonce,
+            code_verifier: codeVerifier,
+            redirect_uri: oidc.redirectUrl,
+            return_to: returnTo,
+            created_at: Math.floor(Date.now() / 1000)
+        }, OIDC_STATE_TTL);
+
+        const url = oidc.getAuthorizationUrl(state, {
+            nonce: nonce,
+            codeChallenge: oidc.generateCodeChallenge(codeVerifier)
+        });
+
+        Logger.info('OIDC授权地址生成成功', {
+            state,
+            client: entry.id,
+            requestId: req.headers['x-request-id']
+        });
+
+        if (redirect === 'true') {
+            return res.redirect(302, url);
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                url: url,
+                state: state,
+                expiresIn: OIDC_STATE_TTL
+            }
+        });
+
+    } catch (error) {
+        Logger.error('OIDC登录发起异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 获取OIDC客户端配置列表（客户端密钥已脱敏）
+exports.listOidcClients = async (req, res, next) => {
+    try {
+        Logger.info('获取OIDC客户端配置请求', {
+            userId: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+
+        return res.json({
+            success: true,
+            data: OidcRegistry.describe()
+        });
+
+    } catch (error) {
+        Logger.error('获取OIDC客户端配置异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
 // 授权码交换访问令牌
 exports.exchange = async (req, res, next) => {
     try {
-        const { code } = req.body;
+        const { code, state } = req.body;
         
         Logger.info('Token交换请求', { 
             hasCode: !!code,
+            hasState: !!state,
             requestId: req.headers['x-request-id'],
             userAgent: req.headers['user-agent']
         });
         
-        if (!code) {
-            Logger.warning('Token交换缺少授权码', {
+        if (!code || !state) {
+            Logger.warning('Token交换缺少授权码或state', {
+                hasCode: !!code,
+                hasState: !!state,
                 requestId: req.headers['x-request-id']
             });
             return res.status(400).json({
                 success: false,
                 code: 400,
-                message: '缺少授权码参数'
+                message: '缺少授权码或state参数'
             });
         }
 
-        // 从配置中获取OIDC服务器地址和回调地址
-        const issuerUrl = process.env.OIDC_ISSUER || 'http://localhost:5556';
-        const webUrl = process.env.WEB_URL || 'http://localhost:3000';
-        
-        Logger.debug('OIDC配置信息', {
-            issuerUrl,
-            webUrl,
-            requestId: req.headers['x-request-id']
-        });
-        
-        // 创建OpenID Connect客户端实例
-        const oidc = new OpenIDClient(
-            issuerUrl,
-            'enterprise-tmsc',  // 客户端ID
-            '123456'           // 客户端密钥
-        );
-
-        // 设置重定向URL
-        oidc.setRedirectURL(webUrl + '/nps');
+        // 校验state：必须是本服务发起且未使用过的授权请求
+        const oidcState = await Redis.takeOidcState(state);
+        if (!oidcState) {
+            Logger.warning('OIDC state无效或已过期', {
+                state,
+                ip: req.ip,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: 'state无效或已过期'
+            });
+        }
+
+        const entry = OidcRegistry.get(oidcState.client);
+        if (!entry) {
+            Logger.error('OIDC客户端配置不存在', {
+                client: oidcState.client,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: 'OIDC客户端配置不存在'
+            });
+        }
+
+        const oidc = OidcRegistry.createClient(entry);
+        oidc.setRedirectURL(oidcState.redirect_uri);
+        await oidc.discover();
         
-        // 使用授权码请求tokens
-        await oidc.requestTokens(code);
+        // 使用授权码和PKCE code_verifier请求tokens
+        await oidc.requestTokens(code, oidcState.code_verifier);
 
         // 获取ID Token
         const idToken = oidc.getIdToken();
@@ -111,10 +600,33 @@ exports.exchange = async (req, res, next) => {
             });
         }
 
+        // 验证ID Token的签名和声明，未通过验证的ID Token不会转发给认证服务
+        let idClaims;
+        try {
+            idClaims = await oidc.verifyIdToken(idToken, { nonce: oidcState.nonce });
+        } catch (error) {
+            if (!(error instanceof IdTokenError)) {
+                throw error;
+            }
+            Logger.warning('ID Token验证失败', {
+                reason: error.reason,
+                error: error.message,
+                ip: req.ip,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(401).json({
+                success: false,
+                code: 401,
+                reason: error.reason,
+                message: 'ID Token验证失败: ' + error.message
+            });
+        }
+
         const token = req.headers['x-session-token'] || 'auth';
         
         Logger.info('开始向认证服务交换系统令牌', {
             hasIdToken: !!idToken,
+            sub: idClaims.sub,
             token: token.substring(0, 10) + '...',
             requestId: req.headers['x-request-id']
         });
@@ -129,13 +641,37 @@ exports.exchange = async (req, res, next) => {
                 hasIdToken: !!idToken,
                 requestId: req.headers['x-request-id']
             });
-            return res.status(500).json({
+            return UpstreamError.respond(res, error, '获取access token失败');
+        }
+        
+        // 登记会话，并关联IdP会话以便后端通道登出时撤销
+        // 系统令牌无法验证时无法登记会话，后续请求必然失败，因此直接返回失败
+        const verification = Jwt.verifyToken(result.pach_token);
+        if (!verification.valid) {
+            Logger.error('系统令牌无法验证，未登记会话', {
+                sub: idClaims.sub,
+                reason: verification.reason,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(401).json({
                 success: false,
-                code: 2004,
-                message: '获取access token失败: ' + error
+                code: 401,
+                reason: verification.reason,
+                message: '令牌交换失败，系统令牌无法验证'
             });
         }
-        
+        const claims = verification.token;
+        const ttl = Jwt.getRemainingTime(claims);
+        const session = buildSession(req, claims, req.body);
+        session.oidc = {
+            client: entry.id,
+            sid: idClaims.sid || null,
+            sub: idClaims.sub,
+            id_token: idToken
+        };
+        await Redis.saveSession(claims.sub, session, ttl);
+        await Redis.linkOidcSession(entry.id, idClaims, { sub: claims.sub, sid: session.sid }, ttl);
+
         Logger.info('Token交换成功', {
             hasIdToken: !!idToken,
             hasPachToken: !!result.pach_token,
@@ -146,7 +682,8 @@ exports.exchange = async (req, res, next) => {
         return res.json({
             success: true,
             data: {
-                token: result.pach_token
+                token: result.pach_token,
+                returnTo: oidcState.return_to
             }
         });
 
@@ -161,6 +698,114 @@ exports.exchange = async (req, res, next) => {
     }
 };
 
+// OIDC后端通道登出
+// IdP以表单参数 logout_token 通知用户已在IdP登出，验证后撤销关联的全部会话
+exports.backchannelLogout = async (req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    try {
+        const logoutToken = req.body?.logout_token;
+
+        Logger.info('OIDC后端通道登出请求', {
+            hasLogoutToken: !!logoutToken,
+            ip: req.ip,
+            requestId: req.headers['x-request-id']
+        });
+
+        const fail = (description) => res.status(400).json({
+            error: 'invalid_request',
+            error_description: description
+        });
+
+        if (!logoutToken) {
+            return fail('缺少logout_token参数');
+        }
+
+        // 按未验证的iss和aud选择客户端，随后用该客户端完整验证
+        let unverified;
+        try {
+            unverified = JSON.parse(Jwt.base64UrlDecode(String(logoutToken).split('.')[1] || ''));
+        } catch (e) {
+            return fail('logout_token无法解析');
+        }
+        if (!unverified || typeof unverified !== 'object' || Array.isArray(unverified)) {
+            return fail('logout_token无法解析');
+        }
+        const entry = OidcRegistry.findByClaims(unverified);
+        if (!entry) {
+            Logger.warning('后端通道登出未找到匹配的OIDC客户端', {
+                iss: unverified.iss,
+                aud: unverified.aud,
+                requestId: req.headers['x-request-id']
+            });
+            return fail('未找到匹配的OIDC客户端');
+        }
+
+        const oidc = OidcRegistry.createClient(entry);
+        await oidc.discover();
+
+        let claims;
+        try {
+            claims = await oidc.verifyLogoutToken(logoutToken);
+        } catch (error) {
+            if (!(error instanceof IdTokenError)) {
+                throw error;
+            }
+            Logger.warning('Logout Token验证失败', {
+                client: entry.id,
+                reason: error.reason,
+                error: error.message,
+                requestId: req.headers['x-request-id']
+            });
+            return fail(error.message);
+        }
+
+        // 同一个Logout Token只处理一次
+        const now = Math.floor(Date.now() / 1000);
+        if (claims.jti) {
+            const ttl = claims.exp ? claims.exp - now + OpenIDClient.clockTolerance : LOGOUT_REPLAY_TTL;
+            if (!await Redis.claimLogoutToken(`${entry.id}-${claims.jti}`, ttl)) {
+                Logger.warning('Logout Token重复使用', {
+                    client: entry.id,
+                    jti: claims.jti,
+                    requestId: req.headers['x-request-id']
+                });
+                return fail('logout_token已被使用');
+            }
+        }
+
+        const linked = await Redis.findOidcSessions(entry.id, { sid: claims.sid, sub: claims.sub });
+        let revoked = 0;
+        for (const { sub, sid } of linked) {
+            const session = await Redis.getSession(sub, sid);
+            if (!session) {
+                continue;
+            }
+            await Redis.denyToken(session.jti, session.expires_at - now, 'backchannel_logout');
+            await Redis.removeSession(sub, sid);
+            await clearPresence(sub);
+            revoked++;
+        }
+
+        Logger.info('OIDC后端通道登出完成', {
+            client: entry.id,
+            idpSub: claims.sub,
+            idpSid: claims.sid,
+            revoked,
+            requestId: req.headers['x-request-id']
+        });
+
+        return res.status(200).end();
+
+    } catch (error) {
+        Logger.error('OIDC后端通道登出异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
 // 管理员登录接口
 exports.supervisorLogin = async (req, res, next) => {
     try {
@@ -170,9 +815,14 @@ exports.supervisorLogin = async (req, res, next) => {
             lng,
             lat,
             method = 'account',
+            phone,
+            email,
+            code,
             device_token,
             device_uid,
-            device_type
+            device_type,
+            captcha_id,
+            captcha_answer
         } = req.body;
 
         Logger.info('管理员登录请求', { 
@@ -184,35 +834,129 @@ exports.supervisorLogin = async (req, res, next) => {
             requestId: req.headers['x-request-id']
         });
 
-        // 验证必需参数
-        if (!username || !password) {
-            Logger.warning('管理员登录参数不完整', { 
-                username: !!username,
-                password: !!password,
-                requestId: req.headers['x-request-id']
-            });
+        if (!LOGIN_METHODS[method]) {
             return res.status(400).json({
                 success: false,
                 code: 400,
-                message: '用户名和密码不能为空'
+                message: `登录方式只能是：${Object.keys(LOGIN_METHODS).join('、')}`
+            });
+        }
+
+        // 验证必需参数：账号登录需要用户名和密码，验证码登录需要手机号或邮箱和验证码
+        let target = null;
+        if (method === 'account') {
+            if (!username || !password) {
+                Logger.warning('管理员登录参数不完整', { 
+                    username: !!username,
+                    password: !!password,
+                    requestId: req.headers['x-request-id']
+                });
+                return res.status(400).json({
+                    success: false,
+                    code: 400,
+                    message: '用户名和密码不能为空'
+                });
+            }
+        } else {
+            target = LoginCode.normalize(method, method === 'sms' ? phone : email);
+            if (!target || !code) {
+                return res.status(400).json({
+                    success: false,
+                    code: 400,
+                    message: method === 'sms' ? '手机号或验证码不正确' : '邮箱或验证码不正确'
+                });
+            }
+        }
+
+        // 失败计数和锁定的对象：账号登录为用户名，验证码登录为手机号或邮箱
+        const identity = method === 'account' ? username : `${method}:${target}`;
+
+        // 用户名或IP已被锁定时直接拒绝，不再请求rdb服务
+        const lock = await LoginGuard.checkLock(identity, req.ip);
+        if (lock) {
+            Logger.warning('登录请求被锁定拒绝', {
+                identity,
+                ip: req.ip,
+                type: lock.type,
+                retryAfter: lock.retryAfter,
+                requestId: req.headers['x-request-id']
             });
+            return sendLocked(res, lock);
+        }
+
+        const failures = await LoginGuard.getFailures(identity, req.ip);
+
+        // 失败次数达到阈值后必须提交验证码，验证码在本服务校验
+        if (LoginGuard.requiresCaptcha(failures)) {
+            if (!captcha_id || !captcha_answer) {
+                return res.status(400).json({
+                    success: false,
+                    code: 1004,
+                    message: '请输入验证码',
+                    data: { captchaRequired: true }
+                });
+            }
+            if (!(await Captcha.verify(captcha_id, captcha_answer))) {
+                Logger.warning('登录验证码错误', {
+                    identity,
+                    ip: req.ip,
+                    requestId: req.headers['x-request-id']
+                });
+                return res.status(400).json({
+                    success: false,
+                    code: 1005,
+                    message: '验证码错误或已过期',
+                    data: { captchaRequired: true }
+                });
+            }
+        }
+
+        // 此前失败次数越多，响应延迟越长
+        await LoginGuard.sleep(LoginGuard.getDelay(failures));
+
+        // 短信或邮件登录验证码由本服务签发和校验
+        if (target) {
+            const result = await LoginCode.verify(method, target, code);
+            if (!result.valid) {
+                Logger.warning('登录验证码校验失败', {
+                    method,
+                    to: CodeSender.mask(method, target),
+                    attemptsLeft: result.attemptsLeft,
+                    ip: req.ip,
+                    requestId: req.headers['x-request-id']
+                });
+                const locked = await LoginGuard.recordFailure(identity, req.ip);
+                if (locked) {
+                    return sendLocked(res, locked);
+                }
+                return res.status(401).json({
+                    success: false,
+                    code: 1008,
+                    message: result.attemptsLeft > 0 ? '登录验证码错误' : '登录验证码已失效，请重新获取',
+                    data: {
+                        attemptsLeft: result.attemptsLeft,
+                        captchaRequired: LoginGuard.requiresCaptcha(failures + 1)
+                    }
+                });
+            }
         }
 
-        // 构建登录请求参数
+        // 构建登录请求参数，图形验证码和登录验证码已在本服务校验，rdb服务按登录类型确定用户
         const loginData = {
-            username: username,
-            password: password,
-            type: 'password',
-            phone: 'phone',
-            email: 'email',
-            code: 'code',
-            answer: 'answer',
-            captcha_id: 'captcha_id',
+            username: username || '',
+            password: password || '',
+            type: LOGIN_METHODS[method],
+            phone: method === 'sms' ? target : '',
+            email: method === 'email' ? target : '',
+            code: target ? String(code) : '',
+            answer: '',
+            captcha_id: '',
             remote_addr: req.ip || 'unknown'
         };
 
         Logger.debug('调用数据库服务进行登录验证', {
-            username,
+            identity,
+            type: loginData.type,
             remote_addr: loginData.remote_addr,
             requestId: req.headers['x-request-id']
         });
@@ -221,21 +965,30 @@ exports.supervisorLogin = async (req, res, next) => {
         const [admin, error] = await Curl.api('rdb.login').request(loginData);
         if (error) {
             Logger.error('用户登录失败', {
-                username,
+                identity,
                 error,
                 ip: req.ip,
                 requestId: req.headers['x-request-id']
             });
+            // 服务故障不计入登录失败次数
+            if (error.isFault) {
+                return UpstreamError.respond(res, error, '登录失败');
+            }
+            const locked = await LoginGuard.recordFailure(identity, req.ip);
+            if (locked) {
+                return sendLocked(res, locked);
+            }
             return res.status(401).json({
                 success: false,
                 code: 1001,
-                message: '登录用户账号或者密码错误: ' + error
+                message: '登录用户账号或者密码错误',
+                data: { captchaRequired: LoginGuard.requiresCaptcha(failures + 1) }
             });
         }
 
         if (!admin || !admin.token) {
             Logger.warning('登录返回数据异常', {
-                username,
+                identity,
                 hasAdmin: !!admin,
                 hasToken: !!(admin && admin.token),
                 requestId: req.headers['x-request-id']
@@ -247,65 +1000,603 @@ exports.supervisorLogin = async (req, res, next) => {
             });
         }
 
-        Logger.info('管理员登录成功', {
-            username,
-            adminId: admin.id,
-            hasToken: !!admin.token,
+        const login = {
+            token: admin.token,
+            user: {
+                id: admin.id,
+                username: admin.username,
+                email: admin.email
+            },
+            device: { device_uid, device_type }
+        };
+
+        // 令牌无法验证时无法判断是否需要双因素认证，直接拒绝登录
+        const verification = Jwt.verifyToken(admin.token);
+        if (!verification.valid) {
+            Logger.error('登录令牌无法验证，无法判断双因素认证要求', {
+                identity,
+                reason: verification.reason,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(401).json({
+                success: false,
+                code: 1001,
+                reason: verification.reason,
+                message: '登录失败，令牌无法验证'
+            });
+        }
+
+        // 已启用双因素认证或租户策略要求启用时，先返回mfa pending token，通过动态口令验证后再签发会话
+        // 失败记录在两步登录完成后才清除
+        const mfa = await resolveMfaRequirement(admin.token, verification.token);
+        if (mfa.enabled || mfa.required) {
+            const mfaToken = await Mfa.createPending({
+                ...login,
+                identity,
+                sub: verification.token.sub,
+                enroll: !mfa.enabled
+            });
+
+            Logger.info('管理员登录等待双因素认证', {
+                identity,
+                adminId: admin.id,
+                enrollRequired: !mfa.enabled,
+                requestId: req.headers['x-request-id']
+            });
+
+            return res.json({
+                success: true,
+                data: {
+                    mfaRequired: true,
+                    mfaToken: mfaToken,
+                    enrollRequired: !mfa.enabled,
+                    expiresIn: Mfa.config.pendingTtl
+                },
+                message: mfa.enabled ? '请输入动态口令' : '请先绑定动态口令'
+            });
+        }
+
+        await LoginGuard.reset(identity);
+        return await completeLogin(req, res, login);
+
+    } catch (error) {
+        Logger.error('管理员登录异常', { 
+            error: error.message,
+            stack: error.stack,
+            username: req.body.username,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 双因素认证：完成两步登录
+// 请求体 mfa_token 为登录返回的 mfaToken，code 为动态口令，或使用 recovery_code 恢复码
+// 需要先绑定的登录（enrollRequired）使用 code 同时完成绑定
+exports.mfaVerify = async (req, res, next) => {
+    try {
+        const { mfa_token, code, recovery_code } = req.body || {};
+
+        const pending = await Mfa.getPending(mfa_token);
+        if (!pending) {
+            return res.status(401).json({
+                success: false,
+                code: 1007,
+                message: '登录已过期，请重新登录'
+            });
+        }
+
+        Logger.info('双因素认证请求', {
+            userId: pending.sub,
+            enroll: pending.enroll,
+            method: recovery_code ? 'recovery_code' : 'totp',
+            ip: req.ip,
+            requestId: req.headers['x-request-id']
+        });
+
+        if (!code && !recovery_code) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: '请输入动态口令或恢复码'
+            });
+        }
+
+        const verified = pending.enroll
+            ? (code && await Mfa.activate(pending.sub, code) ? 'totp' : null)
+            : await Mfa.verify(pending.sub, { code, recoveryCode: recovery_code });
+
+        if (!verified) {
+            const attemptsLeft = await Mfa.recordPendingFailure(mfa_token, pending);
+            Logger.warning('双因素认证失败', {
+                userId: pending.sub,
+                attemptsLeft,
+                ip: req.ip,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(attemptsLeft > 0 ? 400 : 401).json({
+                success: false,
+                code: attemptsLeft > 0 ? 1006 : 1007,
+                message: attemptsLeft > 0 ? '动态口令错误' : '动态口令错误次数过多，请重新登录',
+                data: { attemptsLeft }
+            });
+        }
+
+        await Mfa.clearPending(mfa_token);
+        if (pending.identity) {
+            await LoginGuard.reset(pending.identity);
+        }
+        return await completeLogin(req, res, pending);
+
+    } catch (error) {
+        Logger.error('双因素认证异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 双因素认证：开始绑定
+// 已登录用户使用会话token；策略要求绑定但尚未绑定的用户在登录过程中使用请求体 mfa_token
+// 返回的恢复码只显示这一次
+exports.mfaEnroll = async (req, res, next) => {
+    try {
+        let sub = req.user?.id;
+        let account = req.user?.username;
+        if (!sub && req.body?.mfa_token) {
+            const pending = await Mfa.getPending(req.body.mfa_token);
+            if (pending && pending.enroll) {
+                sub = pending.sub;
+                account = pending.user.username || pending.sub;
+            }
+        }
+
+        if (!sub) {
+            return res.status(401).json({
+                success: false,
+                code: 401,
+                message: '用户未认证'
+            });
+        }
+
+        Logger.info('双因素认证绑定请求', {
+            userId: sub,
+            duringLogin: !req.user,
+            requestId: req.headers['x-request-id']
+        });
+
+        if ((await Mfa.status(sub)).enabled) {
+            return res.status(409).json({
+                success: false,
+                code: 409,
+                message: '已启用双因素认证，如需更换请先停用'
+            });
+        }
+
+        const enrollment = await Mfa.enroll(sub, account);
+
+        res.set('Cache-Control', 'no-store');
+        return res.json({
+            success: true,
+            data: enrollment,
+            message: '请使用认证器应用扫描二维码，并输入动态口令完成绑定'
+        });
+
+    } catch (error) {
+        Logger.error('双因素认证绑定异常', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 双因素认证：已登录用户输入动态口令完成绑定
+exports.mfaActivate = async (req, res, next) => {
+    try {
+        const user = req.user;
+        const { code } = req.body || {};
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: '请输入动态口令'
+            });
+        }
+
+        const attempts = await Mfa.getAttempts(user.id);
+        if (attempts.attemptsLeft <= 0) {
+            return sendMfaAttemptsExceeded(res, attempts.retryAfter);
+        }
+
+        if (!(await Mfa.activate(user.id, code))) {
+            const failure = await Mfa.recordFailure(user.id);
+            Logger.warning('双因素认证绑定口令错误', {
+                userId: user.id,
+                attemptsLeft: failure.attemptsLeft,
+                requestId: req.headers['x-request-id']
+            });
+            if (failure.attemptsLeft <= 0) {
+                return sendMfaAttemptsExceeded(res, failure.retryAfter);
+            }
+            return res.status(400).json({
+                success: false,
+                code: 1006,
+                message: '动态口令错误或绑定已过期',
+                data: { attemptsLeft: failure.attemptsLeft }
+            });
+        }
+
+        await Mfa.clearFailures(user.id);
+        return res.json({
+            success: true,
+            data: await Mfa.status(user.id),
+            message: '双因素认证已启用'
+        });
+
+    } catch (error) {
+        Logger.error('双因素认证启用异常', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 双因素认证：获取当前用户的状态
+// required 表示租户策略是否要求当前用户启用
+exports.mfaStatus = async (req, res, next) => {
+    try {
+        const user = req.user;
+        const status = await Mfa.status(user.id);
+
+        return res.json({
+            success: true,
+            data: {
+                ...status,
+                required: Mfa.isRequired({
+                    tenant: user.profile?.tenant || user.payload?.tenant,
+                    permissions: user.permissions
+                })
+            }
+        });
+
+    } catch (error) {
+        Logger.error('获取双因素认证状态异常', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 双因素认证：停用
+// 需要输入动态口令或恢复码；租户策略要求启用的用户不能停用
+exports.mfaDisable = async (req, res, next) => {
+    try {
+        const user = req.user;
+        const { code, recovery_code } = req.body || {};
+
+        Logger.info('停用双因素认证请求', {
+            userId: user.id,
+            requestId: req.headers['x-request-id']
+        });
+
+        if (Mfa.isRequired({ tenant: user.profile?.tenant || user.payload?.tenant, permissions: user.permissions })) {
+            return res.status(403).json({
+                success: false,
+                code: 403,
+                message: '所在租户要求管理员启用双因素认证，不能停用'
+            });
+        }
+
+        const attempts = await Mfa.getAttempts(user.id);
+        if (attempts.attemptsLeft <= 0) {
+            return sendMfaAttemptsExceeded(res, attempts.retryAfter);
+        }
+
+        if (!(await Mfa.verify(user.id, { code, recoveryCode: recovery_code }))) {
+            const failure = await Mfa.recordFailure(user.id);
+            Logger.warning('停用双因素认证口令错误', {
+                userId: user.id,
+                attemptsLeft: failure.attemptsLeft,
+                requestId: req.headers['x-request-id']
+            });
+            if (failure.attemptsLeft <= 0) {
+                return sendMfaAttemptsExceeded(res, failure.retryAfter);
+            }
+            return res.status(400).json({
+                success: false,
+                code: 1006,
+                message: '动态口令错误',
+                data: { attemptsLeft: failure.attemptsLeft }
+            });
+        }
+
+        await Mfa.clearFailures(user.id);
+        await Mfa.disable(user.id);
+
+        return res.json({
+            success: true,
+            message: '双因素认证已停用'
+        });
+
+    } catch (error) {
+        Logger.error('停用双因素认证异常', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 发送登录验证码
+// method 为 sms 时发送到 phone，为 email 时发送到 email；无论账号是否存在都返回相同结果
+exports.sendLoginCode = async (req, res, next) => {
+    try {
+        const { method, phone, email } = req.body || {};
+
+        if (!LoginCode.channels[method]) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: `验证码渠道只能是：${Object.keys(LoginCode.channels).join('、')}`
+            });
+        }
+
+        const target = LoginCode.normalize(method, method === 'sms' ? phone : email);
+        if (!target) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: method === 'sms' ? '手机号格式不正确' : '邮箱格式不正确'
+            });
+        }
+
+        Logger.info('发送登录验证码请求', {
+            method,
+            to: CodeSender.mask(method, target),
+            ip: req.ip,
+            requestId: req.headers['x-request-id']
+        });
+
+        const ipRetryAfter = await LoginCode.hitIp(req.ip);
+        if (ipRetryAfter > 0) {
+            Logger.warning('请求登录验证码过于频繁', {
+                ip: req.ip,
+                requestId: req.headers['x-request-id']
+            });
+            res.set('Retry-After', String(ipRetryAfter));
+            return res.status(429).json({
+                success: false,
+                code: 429,
+                message: '请求验证码过于频繁，请稍后再试'
+            });
+        }
+
+        const result = await LoginCode.issue(method, target);
+        if (!result.sent) {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                success: false,
+                code: 429,
+                message: `请${result.retryAfter}秒后再重新发送`,
+                data: { retryAfter: result.retryAfter }
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                expiresIn: result.expiresIn,
+                interval: result.interval
+            },
+            message: '验证码已发送'
+        });
+
+    } catch (error) {
+        Logger.error('发送登录验证码异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 获取验证码
+// type 为 image（字符）或 math（算式），返回SVG图片的data URI，提交登录时带上 captcha_id 和 captcha_answer
+exports.getCaptcha = async (req, res, next) => {
+    try {
+        const type = req.query.type || 'image';
+        if (!Captcha.types.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: `验证码类型只能是：${Captcha.types.join('、')}`
+            });
+        }
+
+        const captcha = await Captcha.create(type);
+
+        Logger.debug('生成验证码', {
+            type,
+            captchaId: captcha.captcha_id,
+            ip: req.ip,
+            requestId: req.headers['x-request-id']
+        });
+
+        res.set('Cache-Control', 'no-store');
+        return res.json({
+            success: true,
+            data: captcha
+        });
+
+    } catch (error) {
+        Logger.error('生成验证码异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 解除登录锁定
+// 请求体指定 username 或 ip，同时清除对应的登录失败记录
+exports.unlockLogin = async (req, res, next) => {
+    try {
+        const { username, ip } = req.body || {};
+
+        Logger.info('解除登录锁定请求', {
+            operator: req.user?.id,
+            username,
+            ip,
+            requestId: req.headers['x-request-id']
+        });
+
+        if (!username && !ip) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: '请指定要解除锁定的username或ip'
+            });
+        }
+
+        const result = {};
+        if (username) {
+            result.user = await LoginGuard.unlock('user', String(username));
+        }
+        if (ip) {
+            result.ip = await LoginGuard.unlock('ip', String(ip));
+        }
+
+        Logger.warning('登录锁定已解除', {
+            operator: req.user?.id,
+            username,
+            ip,
+            wasLocked: result,
+            requestId: req.headers['x-request-id']
+        });
+
+        return res.json({
+            success: true,
+            data: { wasLocked: result },
+            message: '已解除锁定'
+        });
+
+    } catch (error) {
+        Logger.error('解除登录锁定异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 获取在线用户数
+// 返回全部在线用户数，以及按租户、按应用的在线用户数
+exports.getOnlineUsers = async (req, res, next) => {
+    try {
+        Logger.info('获取在线用户数请求', {
+            requestId: req.headers['x-request-id']
+        });
+
+        const onlineCount = await Redis.countPresence('presence-all', PRESENCE_WINDOW);
+
+        const tenants = {};
+        for (const tenant of await Redis.members('presence-tenants')) {
+            tenants[tenant] = await Redis.countPresence(`presence-tenant-${tenant}`, PRESENCE_WINDOW);
+        }
+
+        const apps = {};
+        for (const app of await Redis.members('presence-apps')) {
+            apps[app] = await Redis.countPresence(`presence-app-${app}`, PRESENCE_WINDOW);
+        }
+
+        Logger.info('在线用户数获取成功', {
+            onlineCount,
+            tenantCount: Object.keys(tenants).length,
+            appCount: Object.keys(apps).length,
             requestId: req.headers['x-request-id']
         });
 
         return res.json({
             success: true,
             data: {
-                token: admin.token,
-                user: {
-                    id: admin.id,
-                    username: admin.username,
-                    email: admin.email
-                }
-            },
-            message: '登录成功'
+                online: onlineCount,
+                tenants: tenants,
+                apps: apps,
+                window: PRESENCE_WINDOW,
+                timestamp: new Date().toISOString()
+            }
         });
 
     } catch (error) {
-        Logger.error('管理员登录异常', { 
+        Logger.error('获取在线用户数异常', { 
             error: error.message,
             stack: error.stack,
-            username: req.body.username,
             requestId: req.headers['x-request-id']
         });
         return next(error);
     }
 };
 
-// 获取在线用户数
-exports.getOnlineUsers = async (req, res, next) => {
+// 分页获取在线用户列表
+// 可通过 tenant 或 app 参数按租户、应用筛选
+exports.listOnlineUsers = async (req, res, next) => {
     try {
-        Logger.info('获取在线用户数请求', {
+        const { tenant, app } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const size = Math.min(Math.max(parseInt(req.query.size) || 20, 1), 100);
+
+        Logger.info('获取在线用户列表请求', {
+            userId: req.user?.id,
+            tenant,
+            app,
+            page,
+            size,
             requestId: req.headers['x-request-id']
         });
 
-        // 这里应该从Redis或其他缓存中获取在线用户数
-        // 暂时返回模拟数据
-        const onlineCount = Math.floor(Math.random() * 100) + 1;
+        let key = 'presence-all';
+        if (tenant) {
+            key = `presence-tenant-${tenant}`;
+        } else if (app) {
+            key = `presence-app-${app}`;
+        }
 
-        Logger.info('在线用户数获取成功', {
-            onlineCount,
-            requestId: req.headers['x-request-id']
-        });
+        const { total, users } = await Redis.listPresence(key, PRESENCE_WINDOW, (page - 1) * size, size);
 
         return res.json({
             success: true,
             data: {
-                online: onlineCount,
-                timestamp: new Date().toISOString()
+                list: users,
+                pagination: {
+                    page: page,
+                    size: size,
+                    total: total
+                }
             }
         });
 
     } catch (error) {
-        Logger.error('获取在线用户数异常', { 
+        Logger.error('获取在线用户列表异常', {
             error: error.message,
             stack: error.stack,
+            userId: req.user?.id,
             requestId: req.headers['x-request-id']
         });
         return next(error);
@@ -313,27 +1604,46 @@ exports.getOnlineUsers = async (req, res, next) => {
 };
 
 // 用户登出
+// 请求体 all 为 true 时注销该用户的全部会话（所有设备）
+// 通过OIDC登录的会话同时返回IdP的登出地址（logoutUrl），前端跳转后结束IdP会话
 exports.logout = async (req, res, next) => {
     try {
         const user = req.user;
+        const all = req.body?.all === true || req.body?.all === 'true';
         
         Logger.info('用户登出请求', {
             userId: user?.id,
             username: user?.username,
+            all,
             requestId: req.headers['x-request-id']
         });
 
-        // 这里应该清除Redis中的token缓存
-        // 暂时只返回成功响应
+        const session = await Redis.getSession(user.id, user.sid);
+
+        // 当前token加入黑名单，直到其自然过期
+        await Redis.denyToken(user.jti, Jwt.getRemainingTime(user.claims), 'logout');
+
+        if (all) {
+            // 撤销该用户全部会话，撤销记录保留到验证时接受的最长有效期结束
+            await Redis.revokeUserSessions(user.id, Jwt.getMaxLifetime());
+        } else {
+            await Redis.removeSession(user.id, user.sid);
+        }
+        await clearPresence(user.id);
         
         Logger.info('用户登出成功', {
             userId: user?.id,
             username: user?.username,
+            jti: user?.jti,
+            all,
             requestId: req.headers['x-request-id']
         });
 
+        const logoutUrl = session?.oidc ? await getEndSessionUrl(session.oidc) : null;
+
         return res.json({
             success: true,
+            ...(logoutUrl ? { data: { logoutUrl } } : {}),
             message: '登出成功'
         });
 
@@ -349,30 +1659,80 @@ exports.logout = async (req, res, next) => {
 };
 
 // 刷新token
+// 签发新token并使旧token失效，旧token在宽限期后再次用于刷新将被视为盗用
 exports.refreshToken = async (req, res, next) => {
     try {
         const user = req.user;
+        const claims = user.claims;
         
         Logger.info('刷新token请求', {
             userId: user?.id,
             username: user?.username,
+            jti: user?.jti,
             requestId: req.headers['x-request-id']
         });
 
-        // 这里应该生成新的token并更新Redis缓存
-        // 暂时返回原token
+        // 标记旧token已轮换，并发刷新时只允许一个请求成功
+        const rotated = await Redis.markTokenRotated(user.jti, Jwt.getRemainingTime(claims), REFRESH_GRACE_PERIOD);
+        if (!rotated) {
+            Logger.warning('token已被轮换，拒绝重复刷新', {
+                userId: user.id,
+                jti: user.jti,
+                ip: req.ip,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(401).json({
+                success: false,
+                code: 401,
+                message: 'token已失效，请重新登录'
+            });
+        }
+
+        // 签发新token（新的jti，沿用会话标识）并更新会话注册表
+        const expiresIn = Jwt.defaultTime;
+        const jti = Jwt.getJti();
+        const token = Jwt.issueToken(claims.iss, claims.sub, claims.payload, expiresIn, {
+            sid: user.sid,
+            jti: jti,
+            ...(claims.aud ? { aud: claims.aud } : {})
+        });
+        if (!token) {
+            Logger.error('新token签发失败', {
+                userId: user.id,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(500).json({
+                success: false,
+                code: 500,
+                message: 'token签发失败'
+            });
+        }
+        // 会话已被撤销或已被并发请求轮换时不更新
+        const session = await Redis.rotateSession(claims.sub, user.sid, user.jti, jti, expiresIn);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                code: 401,
+                message: 'token已失效，请重新登录'
+            });
+        }
+        if (session.oidc) {
+            await Redis.linkOidcSession(session.oidc.client, session.oidc,
+                { sub: claims.sub, sid: session.sid }, expiresIn);
+        }
         
         Logger.info('token刷新成功', {
             userId: user?.id,
             username: user?.username,
+            oldJti: user.jti,
             requestId: req.headers['x-request-id']
         });
 
         return res.json({
             success: true,
             data: {
-                token: user.token,
-                expiresIn: 3600
+                token: token,
+                expiresIn: expiresIn
             },
             message: 'Token刷新成功'
         });
@@ -388,41 +1748,132 @@ exports.refreshToken = async (req, res, next) => {
     }
 };
 
+// 获取当前用户的会话列表
+exports.listSessions = async (req, res, next) => {
+    try {
+        const user = req.user;
+
+        Logger.info('获取会话列表请求', {
+            userId: user.id,
+            requestId: req.headers['x-request-id']
+        });
+
+        const sessions = await Redis.listSessions(user.id);
+
+        return res.json({
+            success: true,
+            data: sessions.map(session => ({
+                sid: session.sid,
+                device_uid: session.device_uid,
+                device_type: session.device_type,
+                ip: session.ip,
+                user_agent: session.user_agent,
+                created_at: session.created_at,
+                last_seen: session.last_seen,
+                expires_at: session.expires_at,
+                current: session.sid === user.sid
+            }))
+        });
+
+    } catch (error) {
+        Logger.error('获取会话列表异常', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 撤销当前用户的指定会话
+exports.revokeSession = async (req, res, next) => {
+    try {
+        const user = req.user;
+        const { sid } = req.params;
+
+        Logger.info('撤销会话请求', {
+            userId: user.id,
+            sid,
+            requestId: req.headers['x-request-id']
+        });
+
+        const session = await Redis.getSession(user.id, sid);
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                code: 404,
+                message: '会话不存在'
+            });
+        }
+
+        // 会话当前token加入黑名单，并从注册表移除
+        const ttl = session.expires_at - Math.floor(Date.now() / 1000);
+        await Redis.denyToken(session.jti, ttl, 'logout');
+        await Redis.removeSession(user.id, sid);
+        await clearPresence(user.id);
+
+        Logger.info('会话撤销成功', {
+            userId: user.id,
+            sid,
+            current: sid === user.sid,
+            requestId: req.headers['x-request-id']
+        });
+
+        return res.json({
+            success: true,
+            message: '会话已撤销'
+        });
+
+    } catch (error) {
+        Logger.error('撤销会话异常', {
+            error: error.message,
+            stack: error.stack,
+            userId: req.user?.id,
+            sid: req.params.sid,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
 // 加载权限表
+// 权限表缓存在Redis中，refresh=true时忽略缓存重新获取
 exports.loadPermissionSheet = async (req, res, next) => {
     try {
+        const refresh = req.query.refresh === true || req.query.refresh === 'true';
+
         Logger.info('加载权限表请求', {
+            refresh,
             requestId: req.headers['x-request-id']
         });
 
-        // 这里应该调用权限服务获取权限表
-        // 暂时返回示例数据
-        const permissions = [
-            {
-                id: 1,
-                name: 'admin.user.read',
-                description: '查看用户',
-                category: 'user'
-            },
-            {
-                id: 2,
-                name: 'admin.user.write',
-                description: '编辑用户',
-                category: 'user'
-            },
-            {
-                id: 3,
-                name: 'admin.role.read',
-                description: '查看角色',
-                category: 'role'
-            },
-            {
-                id: 4,
-                name: 'admin.role.write',
-                description: '编辑角色',
-                category: 'role'
+        if (!refresh) {
+            const cached = await Redis.get('perm-sheet');
+            if (cached) {
+                const permissions = JSON.parse(cached);
+                Logger.debug('权限表命中缓存', {
+                    permissionCount: permissions.length,
+                    requestId: req.headers['x-request-id']
+                });
+                return res.json({
+                    success: true,
+                    data: permissions
+                });
             }
-        ];
+        }
+
+        const [result, error] = await Curl.api('auth.loadPermissionSheet', req.user.token).request({}, false);
+        if (error) {
+            Logger.error('加载权限表失败', {
+                error,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '加载权限表失败');
+        }
+
+        const permissions = parseResultList(result, 'permission');
+        await Redis.set('perm-sheet', JSON.stringify(permissions), PERMISSION_SHEET_TTL);
 
         Logger.info('权限表加载成功', {
             permissionCount: permissions.length,
@@ -445,6 +1896,7 @@ exports.loadPermissionSheet = async (req, res, next) => {
 };
 
 // 获取主体权限
+// 主体类型为 user、role、group，返回有效权限及每个权限的来源（角色，以及经由哪个主体获得）
 exports.getPermissionsForPrincipal = async (req, res, next) => {
     try {
         const { principal, type } = req.query;
@@ -455,7 +1907,7 @@ exports.getPermissionsForPrincipal = async (req, res, next) => {
             requestId: req.headers['x-request-id']
         });
         
-        if (!principal || !type) {
+        if (!isValidId(principal) || !type) {
             Logger.warning('获取主体权限参数不完整', {
                 principal: !!principal,
                 type: !!type,
@@ -463,12 +1915,33 @@ exports.getPermissionsForPrincipal = async (req, res, next) => {
             });
             return res.status(400).json({
                 success: false,
+                code: 400,
                 message: '缺少必需参数'
             });
         }
 
-        // 这里应该调用权限服务获取主体权限
-        const permissions = [];
+        if (!PRINCIPAL_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: `主体类型必须是 ${PRINCIPAL_TYPES.join('、')} 之一`
+            });
+        }
+
+        // 认证服务返回主体持有的角色，每个角色带有获得途径（主体自身或其所属的组）
+        const [result, error] = await Curl.api('auth.getPermissionsForPrincipal', req.user.token)
+            .request({ principal: { type: type, id: String(principal) } }, false);
+        if (error) {
+            Logger.error('获取主体权限失败', {
+                error,
+                principal,
+                type,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '获取主体权限失败');
+        }
+
+        const permissions = collectPermissions(parseResultList(result, 'grant'), { type, id: String(principal) });
 
         Logger.info('主体权限获取成功', {
             principal,
@@ -479,7 +1952,10 @@ exports.getPermissionsForPrincipal = async (req, res, next) => {
 
         return res.json({
             success: true,
-            data: permissions
+            data: {
+                principal: { type: type, id: String(principal) },
+                permissions: permissions
+            }
         });
 
     } catch (error) {
@@ -497,25 +1973,33 @@ exports.getPermissionsForPrincipal = async (req, res, next) => {
 // 获取角色列表
 exports.listRole = async (req, res, next) => {
     try {
+        const keyword = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const size = Math.min(Math.max(parseInt(req.query.size) || 20, 1), 100);
+
         Logger.info('获取角色列表请求', {
+            userId: req.user?.id,
+            keyword,
+            page,
+            size,
             requestId: req.headers['x-request-id']
         });
 
-        // 这里应该调用角色服务获取角色列表
-        const roles = [
-            {
-                id: 1,
-                name: 'admin',
-                description: '系统管理员',
-                createdAt: new Date()
-            },
-            {
-                id: 2,
-                name: 'user',
-                description: '普通用户',
-                createdAt: new Date()
-            }
-        ];
+        const [result, error] = await Curl.api('auth.listRole', req.user.token).request({}, false);
+        if (error) {
+            Logger.error('获取角色列表失败', {
+                error,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '获取角色列表失败');
+        }
+
+        let roles = parseResultList(result, 'role');
+        if (keyword) {
+            roles = roles.filter(role =>
+                String(role.name || '').includes(keyword) || String(role.description || '').includes(keyword)
+            );
+        }
 
         Logger.info('角色列表获取成功', {
             roleCount: roles.length,
@@ -524,7 +2008,14 @@ exports.listRole = async (req, res, next) => {
 
         return res.json({
             success: true,
-            data: roles
+            data: {
+                list: roles.slice((page - 1) * size, page * size),
+                pagination: {
+                    page: page,
+                    size: size,
+                    total: roles.length
+                }
+            }
         });
 
     } catch (error) {
@@ -537,41 +2028,71 @@ exports.listRole = async (req, res, next) => {
     }
 };
 
-// 编辑角色
+// 创建或编辑角色
+// 不带id时创建角色，带id时更新角色
 exports.editRole = async (req, res, next) => {
     try {
-        const { id, name, description, permissions } = req.body;
+        const { id, name, description = '', permissions = [] } = req.body;
         
         Logger.info('编辑角色请求', {
             id,
             name,
             description,
-            permissionCount: permissions ? permissions.length : 0,
+            permissionCount: Array.isArray(permissions) ? permissions.length : 0,
             requestId: req.headers['x-request-id']
         });
         
-        if (!id || !name) {
-            Logger.warning('编辑角色参数不完整', {
-                id: !!id,
-                name: !!name,
+        const invalid = validateRole({ id, name, description, permissions });
+        if (invalid) {
+            Logger.warning('编辑角色参数无效', {
+                id,
+                name,
+                reason: invalid,
                 requestId: req.headers['x-request-id']
             });
             return res.status(400).json({
                 success: false,
-                message: '缺少必需参数'
+                code: 400,
+                message: invalid
+            });
+        }
+
+        const update = isPresent(id);
+        const data = {
+            role: {
+                id: update ? id : 0,
+                name: name.trim(),
+                description: description,
+                operations: [...new Set(permissions)]
+            },
+            update: update
+        };
+
+        const [result, error] = await Curl.api('auth.editRole', req.user.token).request(data);
+        if (error) {
+            Logger.error('编辑角色失败', {
+                error,
+                id,
+                name,
+                requestId: req.headers['x-request-id']
             });
+            return UpstreamError.respond(res, error, update ? '更新角色失败' : '创建角色失败');
         }
 
-        // 这里应该调用角色服务更新角色
+        // 角色权限变化影响所有绑定该角色的用户
+        await PermissionEngine.invalidateAll();
+
         Logger.info('角色编辑成功', { 
-            id, 
+            id: result?.role?.id || id,
             name,
+            update,
             requestId: req.headers['x-request-id']
         });
 
         return res.json({
             success: true,
-            message: '角色更新成功'
+            data: result?.role || data.role,
+            message: update ? '角色更新成功' : '角色创建成功'
         });
 
     } catch (error) {
@@ -595,17 +2116,29 @@ exports.deleteRole = async (req, res, next) => {
             requestId: req.headers['x-request-id']
         });
         
-        if (!id) {
+        if (!isValidId(id)) {
             Logger.warning('删除角色缺少ID', {
                 requestId: req.headers['x-request-id']
             });
             return res.status(400).json({
                 success: false,
+                code: 400,
                 message: '缺少角色ID'
             });
         }
 
-        // 这里应该调用角色服务删除角色
+        const [, error] = await Curl.api('auth.deleteRole', req.user.token).request({ role: { id } });
+        if (error) {
+            Logger.error('删除角色失败', {
+                error,
+                id,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '删除角色失败');
+        }
+
+        await PermissionEngine.invalidateAll();
+
         Logger.info('角色删除成功', { 
             id,
             requestId: req.headers['x-request-id']
@@ -628,6 +2161,7 @@ exports.deleteRole = async (req, res, next) => {
 };
 
 // 创建角色绑定
+// userId为用户标识（与token中的sub一致）
 exports.createRoleBinding = async (req, res, next) => {
     try {
         const { userId, roleId } = req.body;
@@ -638,7 +2172,7 @@ exports.createRoleBinding = async (req, res, next) => {
             requestId: req.headers['x-request-id']
         });
         
-        if (!userId || !roleId) {
+        if (!isValidId(userId) || !isValidId(roleId)) {
             Logger.warning('创建角色绑定参数不完整', {
                 userId: !!userId,
                 roleId: !!roleId,
@@ -646,11 +2180,25 @@ exports.createRoleBinding = async (req, res, next) => {
             });
             return res.status(400).json({
                 success: false,
+                code: 400,
                 message: '缺少必需参数'
             });
         }
 
-        // 这里应该调用角色服务创建角色绑定
+        const [result, error] = await Curl.api('auth.createRoleBinding', req.user.token)
+            .request({ binding: { principal: String(userId), role_id: roleId } });
+        if (error) {
+            Logger.error('创建角色绑定失败', {
+                error,
+                userId,
+                roleId,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '创建角色绑定失败');
+        }
+
+        await UserContext.invalidate(userId);
+
         Logger.info('角色绑定创建成功', { 
             userId, 
             roleId,
@@ -659,6 +2207,7 @@ exports.createRoleBinding = async (req, res, next) => {
 
         return res.json({
             success: true,
+            data: result?.binding || { principal: String(userId), role_id: roleId },
             message: '角色绑定创建成功'
         });
 
@@ -675,6 +2224,7 @@ exports.createRoleBinding = async (req, res, next) => {
 };
 
 // 修改角色绑定
+// 以roleIds整体替换用户的角色绑定，空数组表示解除全部绑定
 exports.modifyRoleBinding = async (req, res, next) => {
     try {
         const { userId, roleIds } = req.body;
@@ -685,7 +2235,7 @@ exports.modifyRoleBinding = async (req, res, next) => {
             requestId: req.headers['x-request-id']
         });
         
-        if (!userId || !Array.isArray(roleIds)) {
+        if (!isValidId(userId) || !Array.isArray(roleIds) || !roleIds.every(isValidId)) {
             Logger.warning('修改角色绑定参数不完整', {
                 userId: !!userId,
                 roleIds: Array.isArray(roleIds),
@@ -693,11 +2243,24 @@ exports.modifyRoleBinding = async (req, res, next) => {
             });
             return res.status(400).json({
                 success: false,
+                code: 400,
                 message: '缺少必需参数'
             });
         }
 
-        // 这里应该调用角色服务修改角色绑定
+        const [, error] = await Curl.api('auth.modifyRoleBinding', req.user.token)
+            .request({ principal: String(userId), role_ids: [...new Set(roleIds)] });
+        if (error) {
+            Logger.error('修改角色绑定失败', {
+                error,
+                userId,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '修改角色绑定失败');
+        }
+
+        await UserContext.invalidate(userId);
+
         Logger.info('角色绑定修改成功', { 
             userId, 
             roleCount: roleIds.length,
@@ -730,18 +2293,29 @@ exports.getRoleBinding = async (req, res, next) => {
             requestId: req.headers['x-request-id']
         });
         
-        if (!userId) {
+        if (!isValidId(userId)) {
             Logger.warning('获取角色绑定缺少用户ID', {
                 requestId: req.headers['x-request-id']
             });
             return res.status(400).json({
                 success: false,
+                code: 400,
                 message: '缺少用户ID'
             });
         }
 
-        // 这里应该调用角色服务获取角色绑定
-        const bindings = [];
+        const [result, error] = await Curl.api('auth.getRoleBinding', req.user.token)
+            .request({ principal: String(userId) }, false);
+        if (error) {
+            Logger.error('获取角色绑定失败', {
+                error,
+                userId,
+                requestId: req.headers['x-request-id']
+            });
+            return UpstreamError.respond(res, error, '获取角色绑定失败');
+        }
+
+        const bindings = parseResultList(result, 'binding');
 
         Logger.info('角色绑定获取成功', {
             userId,
@@ -763,4 +2337,132 @@ exports.getRoleBinding = async (req, res, next) => {
         });
         return next(error);
     }
-};
\ No newline at end of file
+};
+
+// 创建服务账号
+// 服务账号的权限范围不能超出创建人自身的权限；API Key只在此接口返回一次
+exports.createServiceAccount = async (req, res, next) => {
+    try {
+        const { name, description, scopes, tenant, expires_in } = req.body || {};
+
+        Logger.info('创建服务账号请求', {
+            operator: req.user?.id,
+            name,
+            scopes,
+            requestId: req.headers['x-request-id']
+        });
+
+        const invalid = validateServiceAccount({ name, description, scopes, tenant, expires_in });
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                code: 400,
+                message: invalid
+            });
+        }
+
+        const permissions = await UserContext.loadPermissions(req);
+        const exceeded = scopes.filter(scope => !PermissionEngine.findGrant(permissions, scope));
+        if (exceeded.length > 0) {
+            Logger.warning('服务账号权限范围超出创建人权限', {
+                operator: req.user.id,
+                exceeded,
+                requestId: req.headers['x-request-id']
+            });
+            return res.status(403).json({
+                success: false,
+                code: 403,
+                missing: exceeded,
+                message: '服务账号的权限范围不能超出自身权限'
+            });
+        }
+
+        const { account, apiKey } = await ServiceAccount.create({
+            name: name.trim(),
+            description: description,
+            scopes: [...new Set(scopes)],
+            tenant: tenant,
+            expires_at: isPresent(expires_in) ? Math.floor(Date.now() / 1000) + Number(expires_in) : null
+        }, req.user.id);
+
+        res.set('Cache-Control', 'no-store');
+        return res.status(201).json({
+            success: true,
+            data: { ...account, apiKey },
+            message: '服务账号已创建，请妥善保存API Key，之后无法再次查看'
+        });
+
+    } catch (error) {
+        Logger.error('创建服务账号异常', {
+            error: error.message,
+            stack: error.stack,
+            operator: req.user?.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 服务账号列表
+// 包含已撤销和已过期的服务账号，不返回API Key
+exports.listServiceAccounts = async (req, res, next) => {
+    try {
+        const accounts = await ServiceAccount.list();
+        const now = Math.floor(Date.now() / 1000);
+
+        return res.json({
+            success: true,
+            data: accounts.map(account => ({
+                ...account,
+                status: account.revoked_at ? 'revoked'
+                    : (account.expires_at && account.expires_at <= now ? 'expired' : 'active')
+            }))
+        });
+
+    } catch (error) {
+        Logger.error('获取服务账号列表异常', {
+            error: error.message,
+            stack: error.stack,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
+
+// 撤销服务账号
+// 撤销后该服务账号的API Key立即失效，记录保留用于审计
+exports.revokeServiceAccount = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        Logger.info('撤销服务账号请求', {
+            operator: req.user?.id,
+            serviceAccountId: id,
+            requestId: req.headers['x-request-id']
+        });
+
+        const account = await ServiceAccount.revoke(id, req.user.id);
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                code: 404,
+                message: '服务账号不存在'
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: account,
+            message: '服务账号已撤销'
+        });
+
+    } catch (error) {
+        Logger.error('撤销服务账号异常', {
+            error: error.message,
+            stack: error.stack,
+            serviceAccountId: req.params.id,
+            requestId: req.headers['x-request-id']
+        });
+        return next(error);
+    }
+};
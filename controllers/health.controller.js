@@ -0,0 +1,49 @@
+/**
+ * 健康检查控制器
+ * 报告Redis连接和上游服务熔断器状态
+ *
+ * @package controllers
+ * @author System
+ * @version 1.0
+ */
+
+const Redis = require('../utils/redis');
+const Curl = require('../utils/curl');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const Logger = require('../utils/logger');
+
+// 健康检查
+// 任一上游服务熔断或Redis未连接时status为degraded，仍返回200，避免上游故障导致本服务被摘除
+// 接口无需认证，熔断器按上游服务地址划分，但只返回使用该地址的服务名称、状态、计数和时间，
+// 上游地址和最近错误（可能包含上游地址）只记录在日志中
+exports.getHealth = async (req, res, next) => {
+    try {
+        // 尚未发出过请求的上游服务也列出
+        const addresses = Curl.getUpstreams();
+        addresses.forEach((services, host) => CircuitBreaker.get(host));
+        const upstreams = CircuitBreaker.list().map(({ name, lastError, ...state }) => ({
+            services: addresses.get(name) || [],
+            ...state
+        }));
+        const degraded = !Redis.connected || upstreams.some(breaker => breaker.state !== 'closed');
+
+        res.set('Cache-Control', 'no-store');
+        return res.json({
+            success: true,
+            data: {
+                status: degraded ? 'degraded' : 'ok',
+                timestamp: new Date().toISOString(),
+                uptime: Math.floor(process.uptime()),
+                redis: { connected: Redis.connected },
+                upstreams: upstreams
+            }
+        });
+
+    } catch (error) {
+        Logger.error('健康检查异常', {
+            error: error.message,
+            stack: error.stack
+        });
+        return next(error);
+    }
+};
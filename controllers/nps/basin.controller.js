@@ -6,14 +6,29 @@
  * @date 2024
  */
 
-const Curl = require('../../utils/curl');
+const RdbClient = require('../../libs/rdbClient');
+const { UpstreamError } = require('../../utils/curl');
 const Logger = require('../../utils/logger');
+const AccessPolicy = require('../../libs/accessPolicy');
 
 Logger.info('初始化河流管理控制器模块');
 
 // 河流分类常量
 const CATE = "river";
 
+/**
+ * 拒绝访问的响应
+ * @param {Object} res - 响应对象
+ * @param {Object} decision - AccessPolicy判定结果
+ */
+function forbidden(res, decision) {
+  return res.status(403).send({
+    code: 403,
+    reason: decision.reason,
+    message: '无权操作该节点'
+  });
+}
+
 /**
  * 获取河流树结构
  * @param {Object} req - 请求对象
@@ -28,21 +43,23 @@ exports.getBasins = async (req, res) => {
       query: path
     };
 
-    const response = await Curl.apiConfig('rdb.getNodeTree', data, 'GET', req.user.token);
-    
-    if (response.code !== 0) {
-      return res.status(500).send({
-        code: 2004,
-        message: `获取资源树数据失败: ${response.message}`
-      });
+    const [tree, error] = await new RdbClient(req.user.token).getNodeTree(data);
+    if (error) {
+      Logger.error('获取资源树数据失败', { error });
+      return UpstreamError.respond(res, error, '获取资源树数据失败');
     }
 
+    // 访问策略：只返回允许读取的节点及其上级节点
     res.status(200).send({
       code: 0,
       message: 'success',
-      data: response.data.tree
+      data: await AccessPolicy.filterTree(req, 'nps.basin.read', tree)
     });
   } catch (error) {
+    if (error instanceof UpstreamError) {
+      Logger.error('获取河流树失败', { error });
+      return UpstreamError.respond(res, error, '获取河流树失败');
+    }
     Logger.error('获取河流树失败:', error);
     res.status(500).send({
       code: 500,
@@ -69,6 +86,34 @@ exports.editBasin = async (req, res) => {
       });
     }
 
+    // 访问策略：按新节点路径（父节点路径.name）判定，更新时还需能操作原节点
+    const parent = await AccessPolicy.resolveNode(req.user.token, pid);
+    if (!parent) {
+      return res.status(404).send({
+        code: 404,
+        message: '父级节点不存在'
+      });
+    }
+
+    let decision = await AccessPolicy.authorize(req, 'nps.basin.edit', { path: `${parent.path}.${name}`, cate: CATE });
+    if (!decision.allowed) {
+      return forbidden(res, decision);
+    }
+
+    if (id > 0) {
+      const node = await AccessPolicy.resolveNode(req.user.token, id);
+      if (!node) {
+        return res.status(404).send({
+          code: 404,
+          message: '河流节点不存在'
+        });
+      }
+      decision = await AccessPolicy.authorize(req, 'nps.basin.edit', { path: node.path, cate: node.cate });
+      if (!decision.allowed) {
+        return forbidden(res, decision);
+      }
+    }
+
     const region = {
       id: id || 0,
       pid: pid,
@@ -83,27 +128,25 @@ exports.editBasin = async (req, res) => {
       region.metadata = metadata;
     }
 
-    const data = {
-      node: region,
+    const [result, error] = await new RdbClient(req.user.token).createNode(region, {
       update: id > 0,
       remark: remark || ''
-    };
-
-    const response = await Curl.apiConfig('rdb.createNode', data, 'POST', req.user.token);
-    
-    if (response.code !== 0) {
-      return res.status(500).send({
-        code: 2004,
-        message: `创建地区节点数据失败: ${response.message}`
-      });
+    });
+    if (error) {
+      Logger.error('创建地区节点数据失败', { error });
+      return UpstreamError.respond(res, error, '创建地区节点数据失败');
     }
 
     res.status(200).send({
       code: 0,
       message: 'success',
-      data: response.data
+      data: result
     });
   } catch (error) {
+    if (error instanceof UpstreamError) {
+      Logger.error('编辑河流失败', { error });
+      return UpstreamError.respond(res, error, '编辑河流失败');
+    }
     Logger.error('编辑河流失败:', error);
     res.status(500).send({
       code: 500,
@@ -129,26 +172,35 @@ exports.removeBasin = async (req, res) => {
       });
     }
 
-    const data = {
-      node: { id: id },
-      remark: ''
-    };
-
-    const response = await Curl.apiConfig('rdb.deleteNode', data, 'DELETE', req.user.token);
-    
-    if (response.code !== 0) {
-      return res.status(500).send({
-        code: 2004,
-        message: `删除河流数据失败: ${response.message}`
+    const node = await AccessPolicy.resolveNode(req.user.token, id);
+    if (!node) {
+      return res.status(404).send({
+        code: 404,
+        message: '河流节点不存在'
       });
     }
 
+    const decision = await AccessPolicy.authorize(req, 'nps.basin.remove', { path: node.path, cate: node.cate });
+    if (!decision.allowed) {
+      return forbidden(res, decision);
+    }
+
+    const [, error] = await new RdbClient(req.user.token).deleteNode(id);
+    if (error) {
+      Logger.error('删除河流数据失败', { error });
+      return UpstreamError.respond(res, error, '删除河流数据失败');
+    }
+
     res.status(200).send({
       code: 0,
       message: 'success',
       data: true
     });
   } catch (error) {
+    if (error instanceof UpstreamError) {
+      Logger.error('删除河流失败', { error });
+      return UpstreamError.respond(res, error, '删除河流失败');
+    }
     Logger.error('删除河流失败:', error);
     res.status(500).send({
       code: 500,
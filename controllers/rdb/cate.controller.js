@@ -7,9 +7,26 @@
  * @version 1.0
  */
 
-const Curl = require('../../utils/curl');
+const RdbClient = require('../../libs/rdbClient');
+const { UpstreamError } = require('../../utils/curl');
 const Logger = require('../../utils/logger');
 const AuthMiddleware = require('../../middleware/auth');
+const AccessPolicy = require('../../libs/accessPolicy');
+
+/**
+ * 拒绝访问的响应
+ * 
+ * @param {object} res Express响应对象
+ * @param {object} decision AccessPolicy判定结果
+ */
+function forbidden(res, decision) {
+	return res.status(403).json({
+		success: false,
+		code: 403,
+		reason: decision.reason,
+		message: '无权操作该节点分类'
+	});
+}
 
 /**
  * 获取节点分类列表
@@ -21,7 +38,7 @@ const AuthMiddleware = require('../../middleware/auth');
  */
 exports.getCates = async (req, res, next) => {
 	try {
-		const token = req.headers['x-session-token'] || 'auth';
+		const token = req.user.token;
 		const { condition, pagination } = req.body;
 
 		Logger.info('获取节点分类列表请求', {
@@ -32,33 +49,14 @@ exports.getCates = async (req, res, next) => {
 		});
 
 		// 调用 rdb 服务的 listNodeCate 接口
-		const [result, error] = await Curl.api('rdb.listNodeCate', token).request({});
+		const [cates, error] = await new RdbClient(token).listNodeCate();
 		if (error) {
 			Logger.error('获取节点分类列表失败', {
 				error,
 				token: token.substring(0, 10) + '...',
 				requestId: req.headers['x-request-id']
 			});
-			return res.status(500).json({
-				success: false,
-				code: 2004,
-				message: '获取资源类别数据失败: ' + error
-			});
-		}
-
-		// 处理返回结果，解析多行JSON数据
-		const lines = result.split('\n').filter(line => line.trim());
-		const cates = [];
-
-		for (const line of lines) {
-			try {
-				const tmp = JSON.parse(line);
-				if (tmp.result && tmp.result.cate) {
-					cates.push(tmp.result.cate);
-				}
-			} catch (parseError) {
-				Logger.warning('解析分类数据行失败', { line, parseError: parseError.message });
-			}
+			return UpstreamError.respond(res, error, '获取资源类别数据失败');
 		}
 
 		Logger.info('节点分类列表获取成功', {
@@ -95,7 +93,7 @@ exports.getCates = async (req, res, next) => {
  */
 exports.editCate = async (req, res, next) => {
 	try {
-		const token = req.headers['x-session-token'] || 'auth';
+		const token = req.user.token;
 		const { id, name, title, icon_color, remark } = req.body;
 
 		// 验证必填字段
@@ -115,32 +113,57 @@ exports.editCate = async (req, res, next) => {
 			requestId: req.headers['x-request-id']
 		});
 
-		const data = {
-			cate: {
-				id: id || 0,
-				name,
-				title,
-				icon_color: icon_color || '',
-				remark: remark || ''
-			},
-			update: (id && id > 0),
+		// 访问策略：按新名称判定，更新时还需能操作原分类（按ID查找原名称）
+		const client = new RdbClient(token);
+		let decision = await AccessPolicy.authorize(req, 'rdb.cate.edit', { cate: name });
+		if (!decision.allowed) {
+			return forbidden(res, decision);
+		}
+
+		if (id > 0) {
+			const [cates, listError] = await client.listNodeCate();
+			if (listError) {
+				Logger.error('获取节点分类列表失败', {
+					error: listError,
+					requestId: req.headers['x-request-id']
+				});
+				return UpstreamError.respond(res, listError, '获取资源类别数据失败');
+			}
+			const existing = cates.find(item => String(item.id) === String(id));
+			if (!existing) {
+				return res.status(404).json({
+					success: false,
+					code: 404,
+					message: '节点分类不存在'
+				});
+			}
+			decision = await AccessPolicy.authorize(req, 'rdb.cate.edit', { cate: existing.name });
+			if (!decision.allowed) {
+				return forbidden(res, decision);
+			}
+		}
+
+		const cate = {
+			id: id || 0,
+			name,
+			title,
+			icon_color: icon_color || '',
 			remark: remark || ''
 		};
 
 		// 调用 rdb 服务的 createNodeCate 接口
-		const [result, error] = await Curl.api('rdb.createNodeCate', token).request(data);
+		const [result, error] = await client.createNodeCate(cate, {
+			update: !!(id && id > 0),
+			remark: remark || ''
+		});
 		if (error) {
 			Logger.error('编辑节点分类失败', {
 				error,
-				data,
+				cate,
 				token: token.substring(0, 10) + '...',
 				requestId: req.headers['x-request-id']
 			});
-			return res.status(500).json({
-				success: false,
-				code: 2004,
-				message: '获取资源类别数据失败: ' + error
-			});
+			return UpstreamError.respond(res, error, '获取资源类别数据失败');
 		}
 
 		Logger.info('节点分类编辑成功', {
@@ -177,7 +200,7 @@ exports.editCate = async (req, res, next) => {
  */
 exports.getCate = async (req, res, next) => {
 	try {
-		const token = req.headers['x-session-token'] || 'auth';
+		const token = req.user.token;
 		const { name } = req.body;
 
 		// 验证必填字段
@@ -195,12 +218,8 @@ exports.getCate = async (req, res, next) => {
 			requestId: req.headers['x-request-id']
 		});
 
-		const data = {
-			cate: { name }
-		};
-
 		// 调用 rdb 服务的 getNodeCate 接口
-		const [result, error] = await Curl.api('rdb.getNodeCate', token).request(data);
+		const [cate, error] = await new RdbClient(token).getNodeCate(name);
 		if (error) {
 			Logger.error('获取节点分类详情失败', {
 				error,
@@ -208,10 +227,14 @@ exports.getCate = async (req, res, next) => {
 				token: token.substring(0, 10) + '...',
 				requestId: req.headers['x-request-id']
 			});
-			return res.status(500).json({
+			return UpstreamError.respond(res, error, '获取资源类别数据失败');
+		}
+
+		if (!cate) {
+			return res.status(404).json({
 				success: false,
-				code: 2004,
-				message: '获取资源类别数据失败: ' + error
+				code: 404,
+				message: '节点分类不存在'
 			});
 		}
 
@@ -222,7 +245,7 @@ exports.getCate = async (req, res, next) => {
 
 		return res.json({
 			success: true,
-			data: result.cate
+			data: cate
 		});
 
 	} catch (error) {
@@ -249,7 +272,7 @@ exports.getCate = async (req, res, next) => {
  */
 exports.removeCate = async (req, res, next) => {
 	try {
-		const token = req.headers['x-session-token'] || 'auth';
+		const token = req.user.token;
 		const { id } = req.body;
 
 		// 验证必填字段
@@ -267,13 +290,32 @@ exports.removeCate = async (req, res, next) => {
 			requestId: req.headers['x-request-id']
 		});
 
-		const data = {
-			cate: { id },
-			remark: ''
-		};
+		// 按ID查找分类名称，用于访问策略判定
+		const client = new RdbClient(token);
+		const [cates, listError] = await client.listNodeCate();
+		if (listError) {
+			Logger.error('获取节点分类列表失败', {
+				error: listError,
+				requestId: req.headers['x-request-id']
+			});
+			return UpstreamError.respond(res, listError, '获取资源类别数据失败');
+		}
+		const cate = cates.find(item => String(item.id) === String(id));
+		if (!cate) {
+			return res.status(404).json({
+				success: false,
+				code: 404,
+				message: '节点分类不存在'
+			});
+		}
+
+		const decision = await AccessPolicy.authorize(req, 'rdb.cate.remove', { cate: cate.name });
+		if (!decision.allowed) {
+			return forbidden(res, decision);
+		}
 
 		// 调用 rdb 服务的 deleteNodeCate 接口
-		const [result, error] = await Curl.api('rdb.deleteNodeCate', token).request(data);
+		const [, error] = await client.deleteNodeCate(id);
 		if (error) {
 			Logger.error('删除节点分类失败', {
 				error,
@@ -281,11 +323,7 @@ exports.removeCate = async (req, res, next) => {
 				token: token.substring(0, 10) + '...',
 				requestId: req.headers['x-request-id']
 			});
-			return res.status(500).json({
-				success: false,
-				code: 2004,
-				message: '删除节点类型失败: ' + error
-			});
+			return UpstreamError.respond(res, error, '删除节点类型失败');
 		}
 
 		Logger.info('节点分类删除成功', {
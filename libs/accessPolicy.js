@@ -0,0 +1,343 @@
+/**
+ * 基于属性的访问策略（ABAC）
+ * 按rdb资源的节点路径前缀和分类授予操作，供河流、节点分类等rdb资源共用
+ *
+ * 配置来源（按优先级）：
+ * - ACCESS_POLICY_FILE: JSON配置文件路径
+ * - ACCESS_POLICY: JSON配置内容
+ *
+ * 配置格式：
+ * {
+ *   "rules": [{
+ *     "id": "north-river-editors",               // 规则标识，记录在判定日志中
+ *     "effect": "allow",                         // allow 或 deny
+ *     "actions": ["nps.basin.edit", "nps.basin.remove"], // 操作，支持通配符
+ *     "paths": ["inner.north.river", "${tenant}.river"], // 节点路径前缀，可选
+ *     "cates": ["river"],                        // 节点分类，可选
+ *     "subjects": {                              // 适用的用户，可选，不指定时适用于全部用户
+ *       "users": ["nps:alice"],
+ *       "apps": ["nps"],
+ *       "permissions": ["nps.basin.write"]
+ *     }
+ *   }]
+ * }
+ * 路径中可使用 ${tenant}、${app}、${username} 引用当前用户的属性
+ *
+ * 配置无法解析或无效时 load 抛出异常，服务启动时加载（见 app.js）
+ *
+ * 判定规则：
+ * - 匹配的规则中有deny时拒绝，有allow时允许
+ * - 没有任何规则涉及该操作时，按用户是否具备与操作同名的权限判定
+ * - 有规则涉及该操作但均不匹配时拒绝
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const RdbClient = require('./rdbClient');
+const Logger = require('../utils/logger');
+const PermissionEngine = require('./permissionEngine');
+const UserContext = require('./userContext');
+
+/**
+ * AccessPolicy类
+ * 加载访问策略并判定用户对rdb资源的操作权限
+ */
+class AccessPolicy {
+    /**
+     * 策略规则
+     */
+    static rules = null;
+
+    /**
+     * 加载策略规则
+     * 配置无法解析或无效时抛出异常，已加载的规则保持不变
+     *
+     * @return {Array} 策略规则
+     */
+    static load() {
+        let config = { rules: [] };
+        const source = process.env.ACCESS_POLICY_FILE ? 'ACCESS_POLICY_FILE' : (process.env.ACCESS_POLICY ? 'ACCESS_POLICY' : null);
+        if (source) {
+            try {
+                config = JSON.parse(source === 'ACCESS_POLICY_FILE'
+                    ? fs.readFileSync(process.env.ACCESS_POLICY_FILE, 'utf8')
+                    : process.env.ACCESS_POLICY);
+            } catch (error) {
+                throw new Error(`访问策略配置无法解析（${source}）: ${error.message}`);
+            }
+            if (!config || typeof config !== 'object' || !Array.isArray(config.rules || [])) {
+                throw new Error(`访问策略配置格式错误（${source}），应为 { rules: [...] }`);
+            }
+        }
+
+        this.rules = (config.rules || []).map((rule, index) => {
+            if (!rule || typeof rule !== 'object') {
+                throw new Error(`访问策略规则无效: ${index}`);
+            }
+            if (!['allow', 'deny'].includes(rule.effect) || !Array.isArray(rule.actions) || rule.actions.length === 0) {
+                throw new Error(`访问策略规则无效: ${rule.id || index}`);
+            }
+            return {
+                id: rule.id || `rule-${index}`,
+                effect: rule.effect,
+                actions: rule.actions,
+                paths: rule.paths || null,
+                cates: rule.cates || null,
+                subjects: rule.subjects || {}
+            };
+        });
+
+        Logger.info('访问策略加载完成', {
+            ruleCount: this.rules.length
+        });
+
+        return this.rules;
+    }
+
+    /**
+     * 获取全部策略规则
+     *
+     * @return {Array} 策略规则
+     */
+    static all() {
+        if (!this.rules) {
+            this.load();
+        }
+        return this.rules;
+    }
+
+    /**
+     * 判定当前用户能否对资源执行操作，并记录判定日志
+     *
+     * @param {object} req Express请求对象，必须已通过tokenCheck
+     * @param {string} action 操作，例如 nps.basin.edit
+     * @param {object} resource 资源属性 { path, cate }
+     * @return {Promise<object>} 判定结果 { allowed, reason, rule, action, resource }
+     */
+    static async authorize(req, action, resource) {
+        const subject = await this.getSubject(req);
+        const decision = this.evaluate(subject, action, resource);
+
+        const entry = {
+            userId: req.user.id,
+            action: action,
+            resource: resource,
+            reason: decision.reason,
+            rule: decision.rule,
+            requestId: req.headers['x-request-id']
+        };
+        if (decision.allowed) {
+            Logger.info('访问策略判定：允许', entry);
+        } else {
+            Logger.warning('访问策略判定：拒绝', entry);
+        }
+
+        return decision;
+    }
+
+    /**
+     * 按操作过滤节点树
+     * 保留允许操作的节点，以及子孙中有允许操作节点的上级节点（只保留通往这些节点的路径）；
+     * 没有任何规则涉及该操作时不过滤。节点没有path时按上级路径.name推算
+     *
+     * @param {object} req Express请求对象，必须已通过tokenCheck
+     * @param {string} action 操作，例如 nps.basin.read
+     * @param {Array} nodes 节点树 [{ path, name, cate_name, children }]
+     * @return {Promise<Array>} 过滤后的节点树
+     */
+    static async filterTree(req, action, nodes) {
+        const concerned = this.all().some(rule =>
+            rule.actions.some(pattern => PermissionEngine.matches(pattern, action))
+        );
+        if (!concerned || !Array.isArray(nodes)) {
+            return nodes;
+        }
+
+        const subject = await this.getSubject(req);
+        let hidden = 0;
+        const filter = (list, parentPath) => list.reduce((visible, node) => {
+            const path = node.path || (parentPath ? `${parentPath}.${node.name}` : null);
+            const children = Array.isArray(node.children) ? filter(node.children, path) : node.children;
+            const allowed = this.evaluate(subject, action, { path, cate: node.cate_name || node.cate || '' }).allowed;
+            if (allowed || (Array.isArray(children) && children.length > 0)) {
+                visible.push(Array.isArray(node.children) ? { ...node, children } : node);
+            } else {
+                hidden++;
+            }
+            return visible;
+        }, []);
+
+        const result = filter(nodes, null);
+        Logger.info('访问策略过滤节点树', {
+            userId: req.user.id,
+            action: action,
+            hidden: hidden,
+            requestId: req.headers['x-request-id']
+        });
+        return result;
+    }
+
+    /**
+     * 获取当前用户的属性
+     *
+     * @param {object} req Express请求对象
+     * @return {Promise<object>} { username, app, tenant, permissions }
+     */
+    static async getSubject(req) {
+        const context = await UserContext.load(req);
+        const payload = (req.user.payload && typeof req.user.payload === 'object') ? req.user.payload : {};
+        return {
+            username: req.user.username,
+            app: context.profile?.app || payload.app || '',
+            tenant: context.profile?.tenant || payload.tenant || '',
+            permissions: context.permissions || []
+        };
+    }
+
+    /**
+     * 判定用户能否对资源执行操作
+     *
+     * 判定结果 reason：
+     * - rule_allow/rule_deny: 命中规则（rule为规则标识）
+     * - no_matching_rule: 有规则涉及该操作但均不匹配
+     * - permission_granted/permission_missing: 没有规则涉及该操作，按权限判定
+     *
+     * @param {object} subject 用户属性 { username, app, tenant, permissions }
+     * @param {string} action 操作
+     * @param {object} resource 资源属性 { path, cate }
+     * @return {object} 判定结果
+     */
+    static evaluate(subject, action, resource) {
+        const decision = (allowed, reason, rule = null) => ({ allowed, reason, rule, action, resource });
+
+        const rules = this.all().filter(rule =>
+            rule.actions.some(pattern => PermissionEngine.matches(pattern, action))
+        );
+
+        if (rules.length === 0) {
+            return PermissionEngine.findGrant(subject.permissions, action)
+                ? decision(true, 'permission_granted')
+                : decision(false, 'permission_missing');
+        }
+
+        const matched = rules.filter(rule =>
+            this.matchesSubject(rule.subjects, subject) && this.matchesResource(rule, resource, subject)
+        );
+
+        const deny = matched.find(rule => rule.effect === 'deny');
+        if (deny) {
+            return decision(false, 'rule_deny', deny.id);
+        }
+        const allow = matched.find(rule => rule.effect === 'allow');
+        if (allow) {
+            return decision(true, 'rule_allow', allow.id);
+        }
+        return decision(false, 'no_matching_rule');
+    }
+
+    /**
+     * 判断用户是否适用于规则
+     *
+     * @param {object} subjects 规则的用户条件 { users, apps, permissions }
+     * @param {object} subject 用户属性
+     * @return {boolean} 是否适用
+     */
+    static matchesSubject(subjects, subject) {
+        if (subjects.users && !subjects.users.includes(subject.username)) {
+            return false;
+        }
+        if (subjects.apps && !subjects.apps.includes(subject.app)) {
+            return false;
+        }
+        if (subjects.permissions &&
+            !subjects.permissions.some(permission => PermissionEngine.findGrant(subject.permissions, permission))) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 判断资源是否适用于规则
+     * 指定了paths的规则只适用于路径在其前缀下的资源，指定了cates的规则只适用于这些分类的资源
+     *
+     * @param {object} rule 策略规则
+     * @param {object} resource 资源属性 { path, cate }
+     * @param {object} subject 用户属性，用于展开路径中的变量
+     * @return {boolean} 是否适用
+     */
+    static matchesResource(rule, resource, subject) {
+        if (rule.paths) {
+            if (!resource.path) {
+                return false;
+            }
+            const matched = rule.paths.some(pattern => {
+                const prefix = this.expandPath(pattern, subject);
+                return prefix !== null && this.isUnderPath(resource.path, prefix);
+            });
+            if (!matched) {
+                return false;
+            }
+        }
+        if (rule.cates && !rule.cates.includes(resource.cate)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 展开路径中的用户属性变量
+     *
+     * @param {string} pattern 路径模板，例如 ${tenant}.river
+     * @param {object} subject 用户属性
+     * @return {string|null} 展开后的路径，引用的属性为空时返回null（规则不适用）
+     */
+    static expandPath(pattern, subject) {
+        let missing = false;
+        const path = pattern.replace(/\$\{(tenant|app|username)\}/g, (match, name) => {
+            if (!subject[name]) {
+                missing = true;
+            }
+            return subject[name] || '';
+        });
+        return missing ? null : path;
+    }
+
+    /**
+     * 判断节点路径是否位于前缀路径之下（含前缀路径本身）
+     *
+     * @param {string} path 节点路径
+     * @param {string} prefix 前缀路径
+     * @return {boolean} 是否位于其下
+     */
+    static isUnderPath(path, prefix) {
+        return path === prefix || path.startsWith(prefix + '.');
+    }
+
+    /**
+     * 按ID获取rdb节点的路径和分类
+     *
+     * @param {string} token 用户token
+     * @param {number} id 节点ID
+     * @return {Promise<object|null>} { id, path, cate }，节点不存在返回null，服务调用失败时抛出UpstreamError
+     */
+    static async resolveNode(token, id) {
+        const [node, error] = await new RdbClient(token).getNode({ id: id });
+        if (error) {
+            throw error;
+        }
+
+        if (!node || !node.path) {
+            return null;
+        }
+        return {
+            id: node.id,
+            path: node.path,
+            cate: node.cate_name || node.cate || ''
+        };
+    }
+}
+
+module.exports = AccessPolicy;
@@ -0,0 +1,164 @@
+/**
+ * 图形验证码
+ * 生成字符验证码或算术验证码，以SVG图片返回，答案保存在Redis中，校验一次后即失效
+ *
+ * 验证码类型：
+ * - image: 随机字符（去除易混淆的字符），不区分大小写
+ * - math: 两位数以内的加减乘算式，答案为计算结果
+ *
+ * 配置：
+ * - CAPTCHA_TTL: 验证码有效期（秒），默认120
+ * - CAPTCHA_LENGTH: 字符验证码长度，默认4
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const crypto = require('crypto');
+const Redis = require('../utils/redis');
+
+/**
+ * Captcha类
+ * 验证码生成、渲染和校验
+ */
+class Captcha {
+    /**
+     * 验证码有效期（秒）
+     */
+    static ttl = parseInt(process.env.CAPTCHA_TTL) || 120;
+
+    /**
+     * 字符验证码长度
+     */
+    static length = parseInt(process.env.CAPTCHA_LENGTH) || 4;
+
+    /**
+     * 支持的验证码类型
+     */
+    static types = ['image', 'math'];
+
+    /**
+     * 字符验证码使用的字符，去除了 0/O、1/I/l 等易混淆字符
+     */
+    static charset = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+    /**
+     * 生成验证码并保存答案
+     *
+     * @param {string} type 验证码类型，image 或 math
+     * @return {Promise<object>} { captcha_id, type, image, expires_in }，image为SVG的data URI
+     */
+    static async create(type = 'image') {
+        const challenge = type === 'math' ? this.generateMath() : this.generateText();
+        const id = crypto.randomBytes(16).toString('hex');
+
+        await Redis.saveCaptcha(id, { type: type, answer: challenge.answer }, this.ttl);
+
+        const svg = this.render(challenge.text);
+        return {
+            captcha_id: id,
+            type: type,
+            image: 'data:image/svg+xml;base64,' + Buffer.from(svg).toString('base64'),
+            expires_in: this.ttl
+        };
+    }
+
+    /**
+     * 校验验证码
+     * 验证码取出后即删除，校验失败需重新获取
+     *
+     * @param {string} id 验证码标识
+     * @param {string} answer 用户输入的答案
+     * @return {Promise<boolean>} 是否正确
+     */
+    static async verify(id, answer) {
+        if (!id || answer === undefined || answer === null || answer === '') {
+            return false;
+        }
+
+        const stored = await Redis.takeCaptcha(String(id));
+        if (!stored) {
+            return false;
+        }
+
+        const expected = Buffer.from(String(stored.answer).toUpperCase());
+        const actual = Buffer.from(String(answer).trim().toUpperCase());
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * 生成字符验证码
+     *
+     * @return {object} { text, answer }
+     */
+    static generateText() {
+        let text = '';
+        for (let i = 0; i < this.length; i++) {
+            text += this.charset[crypto.randomInt(this.charset.length)];
+        }
+        return { text, answer: text };
+    }
+
+    /**
+     * 生成算术验证码
+     * 减法保证结果不为负数
+     *
+     * @return {object} { text, answer }
+     */
+    static generateMath() {
+        const operator = ['+', '-', '×'][crypto.randomInt(3)];
+        let a = crypto.randomInt(1, 20);
+        let b = crypto.randomInt(1, 10);
+
+        let answer;
+        if (operator === '+') {
+            answer = a + b;
+        } else if (operator === '-') {
+            if (a < b) {
+                [a, b] = [b, a];
+            }
+            answer = a - b;
+        } else {
+            a = crypto.randomInt(1, 10);
+            answer = a * b;
+        }
+
+        return { text: `${a} ${operator} ${b} = ?`, answer: String(answer) };
+    }
+
+    /**
+     * 将验证码文本渲染为SVG
+     * 字符随机偏移和旋转，并加入干扰线
+     *
+     * @param {string} text 验证码文本
+     * @return {string} SVG内容
+     */
+    static render(text) {
+        const width = Math.max(120, text.length * 22 + 20);
+        const height = 44;
+        const color = () => `rgb(${crypto.randomInt(40, 160)},${crypto.randomInt(40, 160)},${crypto.randomInt(40, 160)})`;
+
+        const chars = [...text].map((char, index) => {
+            const x = 12 + index * 22;
+            const y = 30 + crypto.randomInt(-5, 6);
+            const rotate = crypto.randomInt(-20, 21);
+            const escaped = char.replace('&', '&amp;').replace('<', '&lt;').replace('>', '&gt;');
+            return `<text x="${x}" y="${y}" fill="${color()}" font-size="26" font-family="Verdana, sans-serif" ` +
+                `transform="rotate(${rotate} ${x + 8} ${y - 9})">${escaped}</text>`;
+        });
+
+        const lines = [];
+        for (let i = 0; i < 4; i++) {
+            lines.push(`<path d="M${crypto.randomInt(0, 20)} ${crypto.randomInt(0, height)} ` +
+                `Q${crypto.randomInt(20, width - 20)} ${crypto.randomInt(0, height)} ` +
+                `${crypto.randomInt(width - 20, width)} ${crypto.randomInt(0, height)}" ` +
+                `stroke="${color()}" stroke-width="1.5" fill="none"/>`);
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<rect width="100%" height="100%" fill="#f4f4f4"/>${lines.join('')}${chars.join('')}</svg>`;
+    }
+}
+
+module.exports = Captcha;
@@ -0,0 +1,135 @@
+/**
+ * 验证码发送器
+ * 按渠道（sms、email）选择发送方式，发送方式可以注册扩展
+ *
+ * 内置发送方式：
+ * - console: 输出到日志，仅用于本地开发
+ * - file: 追加写入文件（CODE_SENDER_FILE，默认 logs/login-codes.log），仅用于本地测试
+ * - http: 以JSON POST到短信/邮件网关（SMS_SENDER_URL、EMAIL_SENDER_URL）
+ *
+ * 配置：
+ * - SMS_SENDER: 短信发送方式，默认 console
+ * - EMAIL_SENDER: 邮件发送方式，默认 console
+ *
+ * 自定义发送方式：
+ * CodeSender.register('aliyun', { async send({ channel, to, subject, content }) { ... } });
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Logger = require('../utils/logger');
+
+/**
+ * CodeSender类
+ * 验证码消息发送
+ */
+class CodeSender {
+    /**
+     * 已注册的发送方式
+     * name => { send(message) }
+     */
+    static senders = {
+        console: {
+            async send(message) {
+                // 日志格式只输出消息文本，验证码内容需拼接在消息中
+                Logger.info(`验证码消息（控制台发送）[${message.channel}] ${message.to}: ${message.content}`);
+            }
+        },
+        file: {
+            async send(message) {
+                const file = process.env.CODE_SENDER_FILE || path.join(__dirname, '../logs/login-codes.log');
+                await fs.promises.appendFile(file, JSON.stringify({
+                    ...message,
+                    sent_at: new Date().toISOString()
+                }) + '\n');
+            }
+        },
+        http: {
+            async send(message) {
+                const url = process.env[`${message.channel.toUpperCase()}_SENDER_URL`];
+                if (!url) {
+                    throw new Error(`未配置${message.channel.toUpperCase()}_SENDER_URL`);
+                }
+                await axios.post(url, message, { timeout: 5000 });
+            }
+        }
+    };
+
+    /**
+     * 注册发送方式
+     *
+     * @param {string} name 发送方式名称
+     * @param {object} sender 发送器，需实现 async send({ channel, to, subject, content })
+     * @return {void}
+     */
+    static register(name, sender) {
+        if (!sender || typeof sender.send !== 'function') {
+            throw new Error(`验证码发送器无效: ${name}`);
+        }
+        this.senders[name] = sender;
+    }
+
+    /**
+     * 获取渠道使用的发送方式名称
+     *
+     * @param {string} channel 渠道，sms 或 email
+     * @return {string} 发送方式名称
+     */
+    static getSenderName(channel) {
+        return process.env[`${channel.toUpperCase()}_SENDER`] || 'console';
+    }
+
+    /**
+     * 发送验证码
+     *
+     * @param {string} channel 渠道，sms 或 email
+     * @param {string} to 手机号或邮箱
+     * @param {string} code 验证码
+     * @param {number} ttl 有效期（秒）
+     * @return {Promise<void>} 发送失败时抛出异常
+     */
+    static async send(channel, to, code, ttl) {
+        const name = this.getSenderName(channel);
+        const sender = this.senders[name];
+        if (!sender) {
+            throw new Error(`验证码发送方式不存在: ${name}`);
+        }
+
+        const minutes = Math.ceil(ttl / 60);
+        await sender.send({
+            channel: channel,
+            to: to,
+            subject: '登录验证码',
+            content: `您的登录验证码是${code}，${minutes}分钟内有效。如非本人操作，请忽略。`
+        });
+
+        Logger.info('验证码已发送', {
+            channel,
+            sender: name,
+            to: this.mask(channel, to)
+        });
+    }
+
+    /**
+     * 脱敏手机号或邮箱，用于日志
+     *
+     * @param {string} channel 渠道
+     * @param {string} to 手机号或邮箱
+     * @return {string} 脱敏后的值
+     */
+    static mask(channel, to) {
+        const value = String(to);
+        if (channel === 'email') {
+            const [name, domain] = value.split('@');
+            return `${name.slice(0, 2)}***@${domain || ''}`;
+        }
+        return value.length > 7 ? `${value.slice(0, 3)}****${value.slice(-4)}` : '****';
+    }
+}
+
+module.exports = CodeSender;
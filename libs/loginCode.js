@@ -0,0 +1,155 @@
+/**
+ * 登录验证码
+ * 为手机号或邮箱签发一次性数字验证码，保存在Redis中（只保存哈希），限制有效期、重发间隔和校验次数
+ *
+ * Redis键：
+ * - login-code-${channel}-${target}: 验证码Hash { hash, attempts }
+ * - login-code-interval-${channel}-${target}: 重发间隔
+ * - login-code-ip-${ip}: 每个IP每小时的请求次数
+ *
+ * 配置：
+ * - LOGIN_CODE_TTL: 有效期（秒），默认300
+ * - LOGIN_CODE_INTERVAL: 同一手机号或邮箱的重发间隔（秒），默认60
+ * - LOGIN_CODE_MAX_ATTEMPTS: 每个验证码允许的校验次数，默认5
+ * - LOGIN_CODE_LENGTH: 验证码位数，默认6
+ * - LOGIN_CODE_IP_LIMIT: 同一IP每小时最多请求的验证码数量，默认20
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const crypto = require('crypto');
+const Redis = require('../utils/redis');
+const CodeSender = require('./codeSender');
+
+/**
+ * LoginCode类
+ * 登录验证码签发和校验
+ */
+class LoginCode {
+    /**
+     * 配置
+     */
+    static config = {
+        ttl: parseInt(process.env.LOGIN_CODE_TTL) || 300,
+        interval: parseInt(process.env.LOGIN_CODE_INTERVAL) || 60,
+        maxAttempts: parseInt(process.env.LOGIN_CODE_MAX_ATTEMPTS) || 5,
+        length: parseInt(process.env.LOGIN_CODE_LENGTH) || 6,
+        ipLimit: parseInt(process.env.LOGIN_CODE_IP_LIMIT) || 20
+    };
+
+    /**
+     * 渠道及对应的登录字段和格式
+     */
+    static channels = {
+        sms: { field: 'phone', pattern: /^\+?[0-9]{6,20}$/ },
+        email: { field: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }
+    };
+
+    /**
+     * 规范化手机号或邮箱
+     *
+     * @param {string} channel 渠道
+     * @param {string} target 手机号或邮箱
+     * @return {string|null} 规范化后的值，格式不正确返回null
+     */
+    static normalize(channel, target) {
+        const definition = this.channels[channel];
+        if (!definition || !target) {
+            return null;
+        }
+        const value = channel === 'email' ? String(target).trim().toLowerCase() : String(target).replace(/[\s-]/g, '');
+        return definition.pattern.test(value) ? value : null;
+    }
+
+    /**
+     * 记录IP请求验证码的次数
+     * 防止通过不断更换手机号或邮箱消耗短信和邮件额度
+     *
+     * @param {string} ip 客户端IP
+     * @return {Promise<number>} 超出限制时返回需要等待的秒数，未超出返回0
+     */
+    static async hitIp(ip) {
+        const { count, ttl } = await Redis.hit(`login-code-ip-${ip || 'unknown'}`, 3600);
+        return count > this.config.ipLimit ? ttl : 0;
+    }
+
+    /**
+     * 签发并发送验证码
+     *
+     * @param {string} channel 渠道，sms 或 email
+     * @param {string} target 规范化后的手机号或邮箱
+     * @return {Promise<object>} { sent: true, expiresIn, interval } 或 { sent: false, retryAfter }（重发间隔未到）
+     */
+    static async issue(channel, target) {
+        const config = this.config;
+        const intervalKey = `login-code-interval-${channel}-${target}`;
+
+        const retryAfter = await Redis.ttl(intervalKey);
+        if (retryAfter > 0) {
+            return { sent: false, retryAfter };
+        }
+
+        const code = String(crypto.randomInt(0, Math.pow(10, config.length))).padStart(config.length, '0');
+        await Redis.saveLoginCode(`login-code-${channel}-${target}`, this.hash(channel, target, code), config.ttl);
+        await Redis.set(intervalKey, '1', config.interval);
+
+        try {
+            await CodeSender.send(channel, target, code, config.ttl);
+        } catch (error) {
+            // 发送失败时撤销验证码和重发间隔，允许立即重试
+            await Redis.del(`login-code-${channel}-${target}`);
+            await Redis.del(intervalKey);
+            throw error;
+        }
+
+        return { sent: true, expiresIn: config.ttl, interval: config.interval };
+    }
+
+    /**
+     * 校验验证码
+     * 每次校验先原子地占用一次校验机会，校验成功或校验次数用完后验证码失效
+     *
+     * @param {string} channel 渠道
+     * @param {string} target 规范化后的手机号或邮箱
+     * @param {string} code 用户输入的验证码
+     * @return {Promise<object>} { valid, attemptsLeft }
+     */
+    static async verify(channel, target, code) {
+        const key = `login-code-${channel}-${target}`;
+        const entry = await Redis.takeLoginCodeAttempt(key, this.config.maxAttempts);
+        if (!entry) {
+            return { valid: false, attemptsLeft: 0 };
+        }
+
+        const attemptsLeft = Math.max(this.config.maxAttempts - entry.attempts, 0);
+        const expected = Buffer.from(entry.hash, 'hex');
+        const actual = Buffer.from(this.hash(channel, target, String(code || '').trim()), 'hex');
+
+        if (crypto.timingSafeEqual(expected, actual)) {
+            // 最后一次机会时验证码已由计数脚本删除；否则删除成功才算通过，同一验证码只能使用一次
+            if (attemptsLeft === 0 || await Redis.del(key) > 0) {
+                return { valid: true, attemptsLeft: 0 };
+            }
+            return { valid: false, attemptsLeft: 0 };
+        }
+
+        return { valid: false, attemptsLeft };
+    }
+
+    /**
+     * 计算验证码哈希
+     * 混入渠道和目标，同一验证码用于其他手机号或邮箱时不匹配
+     *
+     * @param {string} channel 渠道
+     * @param {string} target 手机号或邮箱
+     * @param {string} code 验证码
+     * @return {string} 十六进制哈希
+     */
+    static hash(channel, target, code) {
+        return crypto.createHash('sha256').update(`${channel}:${target}:${code}`).digest('hex');
+    }
+}
+
+module.exports = LoginCode;
@@ -0,0 +1,220 @@
+/**
+ * 登录防暴力破解
+ * 按用户名和客户端IP分别统计滑动窗口内的登录失败次数，失败次数增加时逐步延迟响应，
+ * 超过阈值后临时锁定用户名或IP
+ *
+ * Redis键：
+ * - login-fail-user-${username}/login-fail-ip-${ip}: 登录失败记录（有序集合）
+ * - login-lock-user-${username}/login-lock-ip-${ip}: 锁定记录，随锁定时间过期
+ *
+ * 配置：
+ * - LOGIN_FAIL_WINDOW: 统计失败次数的窗口（秒），默认900
+ * - LOGIN_USER_LIMIT: 同一用户名窗口内允许的失败次数，默认5
+ * - LOGIN_IP_LIMIT: 同一IP窗口内允许的失败次数，默认20
+ * - LOGIN_LOCKOUT_TIME: 锁定时间（秒），默认900
+ * - LOGIN_DELAY_AFTER: 失败几次后开始延迟，默认2
+ * - LOGIN_DELAY_BASE/LOGIN_DELAY_MAX: 延迟的初始值和上限（毫秒），每多失败一次延迟翻倍，默认500/8000
+ * - LOGIN_CAPTCHA_AFTER: 失败几次后登录需要验证码，默认3，设为0时始终需要
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const Redis = require('../utils/redis');
+const Logger = require('../utils/logger');
+
+/**
+ * LoginGuard类
+ * 登录失败计数、延迟和锁定
+ */
+class LoginGuard {
+    /**
+     * 配置
+     */
+    static config = {
+        window: parseInt(process.env.LOGIN_FAIL_WINDOW) || 900,
+        userLimit: parseInt(process.env.LOGIN_USER_LIMIT) || 5,
+        ipLimit: parseInt(process.env.LOGIN_IP_LIMIT) || 20,
+        lockoutTime: parseInt(process.env.LOGIN_LOCKOUT_TIME) || 900,
+        delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 2,
+        delayBase: parseInt(process.env.LOGIN_DELAY_BASE) || 500,
+        delayMax: parseInt(process.env.LOGIN_DELAY_MAX) || 8000,
+        captchaAfter: process.env.LOGIN_CAPTCHA_AFTER !== undefined && process.env.LOGIN_CAPTCHA_AFTER !== ''
+            ? parseInt(process.env.LOGIN_CAPTCHA_AFTER)
+            : 3
+    };
+
+    /**
+     * 计数维度
+     * type => 失败次数上限的配置项
+     */
+    static scopes = {
+        user: 'userLimit',
+        ip: 'ipLimit'
+    };
+
+    /**
+     * 规范化用户名，避免大小写或空白不同绕过计数
+     *
+     * @param {string} username 用户名
+     * @return {string} 规范化后的用户名
+     */
+    static normalize(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    /**
+     * 获取登录请求的计数维度
+     *
+     * @param {string} username 用户名
+     * @param {string} ip 客户端IP
+     * @return {Array} [{ type, value }]
+     */
+    static targets(username, ip) {
+        return [
+            { type: 'user', value: this.normalize(username) },
+            { type: 'ip', value: ip || 'unknown' }
+        ];
+    }
+
+    /**
+     * 检查用户名或IP是否已被锁定
+     *
+     * @param {string} username 用户名
+     * @param {string} ip 客户端IP
+     * @return {Promise<object|null>} 锁定信息 { type, value, retryAfter, locked_at, failures }，未锁定返回null
+     */
+    static async checkLock(username, ip) {
+        for (const { type, value } of this.targets(username, ip)) {
+            const key = `login-lock-${type}-${value}`;
+            const lock = await Redis.get(key);
+            if (lock) {
+                const retryAfter = Math.max(await Redis.ttl(key), 1);
+                let detail = {};
+                try {
+                    detail = JSON.parse(lock);
+                } catch (e) {
+                    // 锁定记录损坏时仍视为锁定
+                }
+                return { type, value, retryAfter, ...detail };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 获取用户名和IP中较多的登录失败次数
+     *
+     * @param {string} username 用户名
+     * @param {string} ip 客户端IP
+     * @return {Promise<number>} 窗口内的失败次数
+     */
+    static async getFailures(username, ip) {
+        let failures = 0;
+        for (const { type, value } of this.targets(username, ip)) {
+            failures = Math.max(failures, await Redis.slidingCount(`login-fail-${type}-${value}`, this.config.window));
+        }
+        return failures;
+    }
+
+    /**
+     * 计算本次登录前应延迟的时间
+     *
+     * @param {number} failures 登录失败次数
+     * @return {number} 延迟时间（毫秒）
+     */
+    static getDelay(failures) {
+        const config = this.config;
+        if (failures < config.delayAfter) {
+            return 0;
+        }
+        return Math.min(config.delayBase * Math.pow(2, failures - config.delayAfter), config.delayMax);
+    }
+
+    /**
+     * 判断本次登录是否需要验证码
+     *
+     * @param {number} failures 登录失败次数
+     * @return {boolean} 是否需要验证码
+     */
+    static requiresCaptcha(failures) {
+        return failures >= this.config.captchaAfter;
+    }
+
+    /**
+     * 延迟响应
+     *
+     * @param {number} ms 延迟时间（毫秒）
+     * @return {Promise<void>}
+     */
+    static sleep(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+
+    /**
+     * 记录一次登录失败
+     * 失败次数超过上限时锁定对应的用户名或IP
+     *
+     * @param {string} username 用户名
+     * @param {string} ip 客户端IP
+     * @return {Promise<object|null>} 本次触发的锁定信息 { type, value, retryAfter }，未触发返回null
+     */
+    static async recordFailure(username, ip) {
+        const config = this.config;
+        let locked = null;
+
+        for (const { type, value } of this.targets(username, ip)) {
+            const failures = await Redis.slidingHit(`login-fail-${type}-${value}`, config.window);
+            if (failures < config[this.scopes[type]]) {
+                continue;
+            }
+
+            const lockedAt = Math.floor(Date.now() / 1000);
+            await Redis.set(`login-lock-${type}-${value}`, JSON.stringify({
+                locked_at: lockedAt,
+                failures: failures
+            }), config.lockoutTime);
+
+            Logger.warning('登录失败次数过多，已临时锁定', {
+                type,
+                value,
+                username,
+                ip,
+                failures,
+                lockoutTime: config.lockoutTime
+            });
+
+            locked = locked || { type, value, retryAfter: config.lockoutTime };
+        }
+
+        return locked;
+    }
+
+    /**
+     * 登录成功后清除该用户名的失败记录
+     * IP的失败记录保留，避免攻击者用自己的账号登录来重置IP计数
+     *
+     * @param {string} username 用户名
+     * @return {Promise<void>}
+     */
+    static async reset(username) {
+        await Redis.del(`login-fail-user-${this.normalize(username)}`);
+    }
+
+    /**
+     * 解除锁定并清除失败记录
+     *
+     * @param {string} type 锁定维度，user 或 ip
+     * @param {string} value 用户名或IP
+     * @return {Promise<boolean>} 解除前是否处于锁定状态
+     */
+    static async unlock(type, value) {
+        const target = type === 'user' ? this.normalize(value) : value;
+        const removed = await Redis.del(`login-lock-${type}-${target}`);
+        await Redis.del(`login-fail-${type}-${target}`);
+        return removed > 0;
+    }
+}
+
+module.exports = LoginGuard;
@@ -0,0 +1,432 @@
+/**
+ * 双因素认证（TOTP）
+ * 管理用户的TOTP绑定、恢复码、两步登录的待验证状态，以及按租户强制启用双因素认证的策略
+ *
+ * Redis键：
+ * - mfa-${sub}: 已启用的绑定 { secret, recovery, last_step, enabled_at }，密钥加密保存
+ * - mfa-enroll-${sub}: 绑定中（尚未验证口令）的密钥和恢复码
+ * - mfa-pending-${token}: 已通过密码验证、等待动态口令的登录
+ * - mfa-attempts-${sub}: 已登录用户绑定、停用时的口令错误次数
+ *
+ * 策略配置（MFA_POLICY_FILE 或 MFA_POLICY）：
+ * {
+ *   "permissions": ["admin.*"],                       // 持有这些权限的用户受策略约束，默认 admin.*
+ *   "tenants": { "inner.finance": true, "*": false }  // 租户路径前缀 => 是否强制，最长前缀优先，* 为默认值
+ * }
+ *
+ * 配置：
+ * - MFA_ISSUER: 认证器应用中显示的签发方名称，默认 tm-express
+ * - MFA_SECRET_KEY: 加密TOTP密钥使用的密钥，未设置时使用 JWT_SECRET
+ * - MFA_PENDING_TTL: 两步登录待验证状态的有效期（秒），默认300
+ * - MFA_MAX_ATTEMPTS: 每次两步登录允许的口令尝试次数，默认5；已登录用户绑定、停用时在 MFA_PENDING_TTL 内允许的尝试次数相同
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const Redis = require('../utils/redis');
+const Logger = require('../utils/logger');
+const Totp = require('./totp');
+const PermissionEngine = require('./permissionEngine');
+
+/**
+ * Mfa类
+ * TOTP绑定、校验和策略
+ */
+class Mfa {
+    /**
+     * 配置
+     */
+    static config = {
+        issuer: process.env.MFA_ISSUER || 'tm-express',
+        pendingTtl: parseInt(process.env.MFA_PENDING_TTL) || 300,
+        enrollTtl: 600,
+        maxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS) || 5,
+        recoveryCodes: 10
+    };
+
+    /**
+     * 强制策略
+     */
+    static policy = null;
+
+    /**
+     * 加载强制策略
+     *
+     * @return {object} { permissions, tenants }
+     */
+    static loadPolicy() {
+        let config = {};
+        if (process.env.MFA_POLICY_FILE) {
+            config = JSON.parse(fs.readFileSync(process.env.MFA_POLICY_FILE, 'utf8'));
+        } else if (process.env.MFA_POLICY) {
+            config = JSON.parse(process.env.MFA_POLICY);
+        }
+
+        this.policy = {
+            permissions: config.permissions || ['admin.*'],
+            tenants: config.tenants || {}
+        };
+
+        Logger.info('双因素认证策略加载完成', {
+            permissions: this.policy.permissions,
+            tenants: Object.keys(this.policy.tenants)
+        });
+
+        return this.policy;
+    }
+
+    /**
+     * 获取强制策略
+     *
+     * @return {object} { permissions, tenants }
+     */
+    static getPolicy() {
+        if (!this.policy) {
+            this.loadPolicy();
+        }
+        return this.policy;
+    }
+
+    /**
+     * 策略是否可能对任何租户强制启用
+     * 未强制任何租户时登录无需解析用户上下文
+     *
+     * @return {boolean} 是否有强制启用的租户
+     */
+    static hasMandatoryTenants() {
+        return Object.values(this.getPolicy().tenants).some(Boolean);
+    }
+
+    /**
+     * 判断用户是否必须启用双因素认证
+     * 按租户路径最长前缀匹配策略，再判断用户是否持有受约束的权限
+     *
+     * @param {object} subject 用户属性 { tenant, permissions }
+     * @return {boolean} 是否必须启用
+     */
+    static isRequired(subject) {
+        const policy = this.getPolicy();
+        const tenant = subject.tenant || '';
+
+        let required = !!policy.tenants['*'];
+        let bestLength = -1;
+        for (const [prefix, value] of Object.entries(policy.tenants)) {
+            if (prefix === '*') {
+                continue;
+            }
+            if ((tenant === prefix || tenant.startsWith(prefix + '.')) && prefix.length > bestLength) {
+                required = !!value;
+                bestLength = prefix.length;
+            }
+        }
+        if (!required) {
+            return false;
+        }
+
+        // 用户持有的权限（含通配符）与受约束的权限有交集
+        return (subject.permissions || []).some(granted =>
+            policy.permissions.some(pattern =>
+                PermissionEngine.matches(granted, pattern) || PermissionEngine.matches(pattern, granted)
+            )
+        );
+    }
+
+    /**
+     * 获取用户已启用的绑定
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<object|null>} 绑定信息，未启用返回null
+     */
+    static async get(sub) {
+        const value = await Redis.get(`mfa-${sub}`);
+        if (!value) {
+            return null;
+        }
+        const entry = JSON.parse(value);
+        // Redis脚本（cjson）把空数组编码为 {}
+        if (!Array.isArray(entry.recovery)) {
+            entry.recovery = [];
+        }
+        return entry;
+    }
+
+    /**
+     * 获取用户的双因素认证状态
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<object>} { enabled, enabled_at, recoveryCodesLeft }
+     */
+    static async status(sub) {
+        const entry = await this.get(sub);
+        return {
+            enabled: !!entry,
+            enabled_at: entry?.enabled_at || null,
+            recoveryCodesLeft: entry ? entry.recovery.length : 0
+        };
+    }
+
+    /**
+     * 开始绑定
+     * 生成新的密钥和恢复码，口令验证通过后才会启用；恢复码只在此时返回一次
+     *
+     * @param {string} sub 用户标识
+     * @param {string} account 显示在认证器应用中的账号名称
+     * @return {Promise<object>} { secret, otpauthUri, recoveryCodes, expiresIn }
+     */
+    static async enroll(sub, account) {
+        const secret = Totp.generateSecret();
+        const recoveryCodes = [];
+        for (let i = 0; i < this.config.recoveryCodes; i++) {
+            const code = crypto.randomBytes(5).toString('hex');
+            recoveryCodes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+        }
+
+        await Redis.set(`mfa-enroll-${sub}`, JSON.stringify({
+            secret: this.encrypt(secret),
+            recovery: recoveryCodes.map(code => this.hashRecoveryCode(code))
+        }), this.config.enrollTtl);
+
+        return {
+            secret: secret,
+            otpauthUri: Totp.getProvisioningUri(secret, account, this.config.issuer),
+            recoveryCodes: recoveryCodes,
+            expiresIn: this.config.enrollTtl
+        };
+    }
+
+    /**
+     * 完成绑定
+     * 使用认证器应用生成的口令确认绑定，成功后启用双因素认证
+     *
+     * @param {string} sub 用户标识
+     * @param {string} code 动态口令
+     * @return {Promise<boolean>} 是否启用成功，未开始绑定或口令错误返回false
+     */
+    static async activate(sub, code) {
+        const value = await Redis.get(`mfa-enroll-${sub}`);
+        if (!value) {
+            return false;
+        }
+
+        const enrollment = JSON.parse(value);
+        const step = Totp.verify(this.decrypt(enrollment.secret), code);
+        if (step === null) {
+            return false;
+        }
+
+        await Redis.set(`mfa-${sub}`, JSON.stringify({
+            secret: enrollment.secret,
+            recovery: enrollment.recovery,
+            last_step: step,
+            enabled_at: Math.floor(Date.now() / 1000)
+        }));
+        await Redis.del(`mfa-enroll-${sub}`);
+
+        Logger.info('双因素认证已启用', { userId: sub });
+        return true;
+    }
+
+    /**
+     * 校验动态口令或恢复码
+     * 口令使用后记录步数防止重放，恢复码使用后即删除；记录和删除通过 Redis.consumeMfaFactor 原子完成，
+     * 并发请求使用同一口令或恢复码时只有一个通过
+     *
+     * @param {string} sub 用户标识
+     * @param {object} input { code, recoveryCode }
+     * @return {Promise<string|null>} 校验方式 totp 或 recovery_code，失败返回null
+     */
+    static async verify(sub, { code, recoveryCode } = {}) {
+        const entry = await this.get(sub);
+        if (!entry) {
+            return null;
+        }
+
+        if (code) {
+            const step = Totp.verify(this.decrypt(entry.secret), code, entry.last_step || 0);
+            if (step === null || await Redis.consumeMfaFactor(`mfa-${sub}`, 'totp', step) < 0) {
+                return null;
+            }
+            return 'totp';
+        }
+
+        if (recoveryCode) {
+            const left = await Redis.consumeMfaFactor(`mfa-${sub}`, 'recovery_code', this.hashRecoveryCode(recoveryCode));
+            if (left < 0) {
+                return null;
+            }
+
+            Logger.warning('使用恢复码完成双因素认证', {
+                userId: sub,
+                recoveryCodesLeft: left
+            });
+            return 'recovery_code';
+        }
+
+        return null;
+    }
+
+    /**
+     * 停用双因素认证
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<void>}
+     */
+    static async disable(sub) {
+        await Redis.del(`mfa-${sub}`);
+        await Redis.del(`mfa-enroll-${sub}`);
+        Logger.warning('双因素认证已停用', { userId: sub });
+    }
+
+    /**
+     * 创建两步登录的待验证状态
+     *
+     * @param {object} login 已通过密码验证的登录信息（包含rdb服务返回的token等）
+     * @return {Promise<string>} mfa pending token
+     */
+    static async createPending(login) {
+        const token = crypto.randomBytes(32).toString('hex');
+        await Redis.set(`mfa-pending-${token}`, JSON.stringify({ ...login, attempts: 0 }), this.config.pendingTtl);
+        return token;
+    }
+
+    /**
+     * 获取两步登录的待验证状态
+     *
+     * @param {string} token mfa pending token
+     * @return {Promise<object|null>} 登录信息，不存在或已过期返回null
+     */
+    static async getPending(token) {
+        if (!token || !/^[0-9a-f]{64}$/.test(String(token))) {
+            return null;
+        }
+        const value = await Redis.get(`mfa-pending-${token}`);
+        return value ? JSON.parse(value) : null;
+    }
+
+    /**
+     * 记录一次口令校验失败
+     * 超过允许的尝试次数后删除待验证状态，需要重新输入密码登录
+     *
+     * @param {string} token mfa pending token
+     * @param {object} pending 登录信息
+     * @return {Promise<number>} 剩余尝试次数
+     */
+    static async recordPendingFailure(token, pending) {
+        pending.attempts = (pending.attempts || 0) + 1;
+        const left = this.config.maxAttempts - pending.attempts;
+        if (left <= 0) {
+            await Redis.del(`mfa-pending-${token}`);
+            return 0;
+        }
+
+        const ttl = await Redis.ttl(`mfa-pending-${token}`);
+        await Redis.set(`mfa-pending-${token}`, JSON.stringify(pending), Math.max(ttl, 1));
+        return left;
+    }
+
+    /**
+     * 获取已登录用户绑定、停用时的剩余口令尝试次数
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<object>} { attemptsLeft: 剩余尝试次数, retryAfter: 计数剩余有效期（秒） }
+     */
+    static async getAttempts(sub) {
+        const count = parseInt(await Redis.get(`mfa-attempts-${sub}`)) || 0;
+        const left = Math.max(this.config.maxAttempts - count, 0);
+        return { attemptsLeft: left, retryAfter: left > 0 ? 0 : Math.max(await Redis.ttl(`mfa-attempts-${sub}`), 1) };
+    }
+
+    /**
+     * 记录已登录用户绑定、停用时的一次口令校验失败
+     * 计数在 pendingTtl 内有效；次数用尽时作废正在进行的绑定，需要重新开始绑定
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<object>} { attemptsLeft: 剩余尝试次数, retryAfter: 计数剩余有效期（秒） }
+     */
+    static async recordFailure(sub) {
+        const { count, ttl } = await Redis.hit(`mfa-attempts-${sub}`, this.config.pendingTtl);
+        const left = Math.max(this.config.maxAttempts - count, 0);
+        if (left === 0) {
+            await Redis.del(`mfa-enroll-${sub}`);
+            Logger.warning('双因素认证口令错误次数过多', { userId: sub });
+        }
+        return { attemptsLeft: left, retryAfter: ttl };
+    }
+
+    /**
+     * 清除已登录用户的口令错误次数
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<void>}
+     */
+    static async clearFailures(sub) {
+        await Redis.del(`mfa-attempts-${sub}`);
+    }
+
+    /**
+     * 结束两步登录的待验证状态
+     *
+     * @param {string} token mfa pending token
+     * @return {Promise<void>}
+     */
+    static async clearPending(token) {
+        await Redis.del(`mfa-pending-${token}`);
+    }
+
+    /**
+     * 计算恢复码的哈希
+     * 恢复码为高熵随机值，使用SHA-256即可，忽略大小写和分隔符
+     *
+     * @param {string} code 恢复码
+     * @return {string} 十六进制哈希
+     */
+    static hashRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * 获取加密密钥
+     *
+     * @return {Buffer} 32字节密钥
+     */
+    static getKey() {
+        const secret = process.env.MFA_SECRET_KEY || process.env.JWT_SECRET;
+        if (!secret) {
+            throw new Error('未配置MFA_SECRET_KEY，无法加密TOTP密钥');
+        }
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    /**
+     * 加密TOTP密钥（AES-256-GCM）
+     *
+     * @param {string} plain 明文
+     * @return {string} iv.tag.密文（均为base64）
+     */
+    static encrypt(plain) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    /**
+     * 解密TOTP密钥
+     *
+     * @param {string} value encrypt返回的字符串
+     * @return {string} 明文
+     */
+    static decrypt(value) {
+        const [iv, tag, encrypted] = String(value).split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = Mfa;
@@ -0,0 +1,322 @@
+/**
+ * OIDC提供方和客户端注册表
+ * 从配置加载多个OIDC提供方（IdP）和客户端，按租户或应用选择使用的客户端
+ *
+ * 配置来源（按优先级）：
+ * - OIDC_CLIENTS_FILE: JSON配置文件路径
+ * - OIDC_CLIENTS: JSON配置内容
+ * - 以上均未设置时，由 OIDC_ISSUER、OIDC_CLIENT_ID、OIDC_CLIENT_SECRET、OIDC_ID_TOKEN_ALG、WEB_URL 构建单个默认客户端，
+ *   未设置 OIDC_CLIENT_ID 时不注册任何客户端
+ *
+ * 配置无法解析或无效时 load 抛出异常，服务启动时加载（见 app.js），不会以空注册表运行
+ *
+ * 配置格式：
+ * {
+ *   "providers": { "corp": { "issuer": "https://sso.example.com" } },
+ *   "clients": [{
+ *     "id": "nps",                            // 注册表内的客户端标识
+ *     "provider": "corp",                     // 提供方名称
+ *     "client_id": "enterprise-tmsc",
+ *     "client_secret_env": "OIDC_NPS_SECRET", // 密钥所在的环境变量，或使用 client_secret_file
+ *     "redirect_uri": "https://web.example.com/nps",
+ *     "post_logout_redirect_uri": "https://web.example.com/", // RP发起登出后的回跳地址，可选
+ *     "scope": "openid profile email",
+ *     "id_token_signed_response_alg": "RS256", // ID Token签名算法，默认RS256；HS256必须配置客户端密钥
+ *     "tenants": ["inner.tenant"],            // 适用的租户路径前缀
+ *     "apps": ["nps"],                        // 适用的应用标识
+ *     "default": true                         // 无匹配时使用
+ *   }]
+ * }
+ * 密钥只能通过环境变量或文件引用，不能直接写在配置中
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const fs = require('fs');
+const OpenIDClient = require('./openIDClient');
+const Logger = require('../utils/logger');
+
+/**
+ * OidcRegistry类
+ * 管理OIDC提供方和客户端配置
+ */
+class OidcRegistry {
+    /**
+     * 提供方配置
+     * name => { name, issuer }
+     */
+    static providers = null;
+
+    /**
+     * 客户端配置
+     * id => { id, provider, issuer, clientId, clientSecret, redirectUri, postLogoutRedirectUri, scope, idTokenSigningAlg, tenants, apps, default }
+     */
+    static clients = null;
+
+    /**
+     * 加载注册表配置
+     * 配置无法解析或无效时抛出异常，注册表保持未加载状态，下次使用时重新加载
+     *
+     * @return {Map} 客户端配置
+     */
+    static load() {
+        const config = this.readConfig();
+
+        this.providers = new Map();
+        this.clients = new Map();
+        try {
+            for (const [name, provider] of Object.entries(config.providers || {})) {
+                if (!provider || !provider.issuer) {
+                    throw new Error(`OIDC提供方缺少issuer: ${name}`);
+                }
+                this.providers.set(name, { name, issuer: provider.issuer });
+            }
+
+            for (const client of config.clients || []) {
+                this.register(client);
+            }
+        } catch (error) {
+            this.providers = null;
+            this.clients = null;
+            throw error;
+        }
+
+        Logger.info('OIDC客户端注册表加载完成', {
+            providers: [...this.providers.keys()],
+            clients: [...this.clients.keys()]
+        });
+
+        return this.clients;
+    }
+
+    /**
+     * 读取注册表配置
+     *
+     * @return {object} 配置 { providers, clients }
+     */
+    static readConfig() {
+        const source = process.env.OIDC_CLIENTS_FILE ? 'OIDC_CLIENTS_FILE' : (process.env.OIDC_CLIENTS ? 'OIDC_CLIENTS' : null);
+
+        if (source) {
+            let config;
+            try {
+                config = JSON.parse(source === 'OIDC_CLIENTS_FILE'
+                    ? fs.readFileSync(process.env.OIDC_CLIENTS_FILE, 'utf8')
+                    : process.env.OIDC_CLIENTS);
+            } catch (error) {
+                throw new Error(`OIDC客户端配置无法解析（${source}）: ${error.message}`);
+            }
+            if (!config || typeof config !== 'object' || Array.isArray(config) || !Array.isArray(config.clients || [])) {
+                throw new Error(`OIDC客户端配置格式错误（${source}），应为 { providers: {...}, clients: [...] }`);
+            }
+            return config;
+        }
+
+        if (!process.env.OIDC_CLIENT_ID) {
+            return { providers: {}, clients: [] };
+        }
+        return {
+            providers: {
+                default: { issuer: process.env.OIDC_ISSUER || 'http://localhost:5556' }
+            },
+            clients: [{
+                id: 'default',
+                provider: 'default',
+                client_id: process.env.OIDC_CLIENT_ID,
+                client_secret_env: 'OIDC_CLIENT_SECRET',
+                redirect_uri: (process.env.WEB_URL || 'http://localhost:3000') + '/nps',
+                post_logout_redirect_uri: process.env.WEB_URL || 'http://localhost:3000',
+                id_token_signed_response_alg: process.env.OIDC_ID_TOKEN_ALG || 'RS256',
+                default: true
+            }]
+        };
+    }
+
+    /**
+     * 注册客户端
+     *
+     * @param {object} client 客户端配置（配置文件格式）
+     * @return {object} 注册后的客户端配置
+     */
+    static register(client) {
+        if (!this.clients) {
+            this.clients = new Map();
+            this.providers = this.providers || new Map();
+        }
+
+        const provider = this.providers.get(client.provider);
+        if (!client.id || !client.client_id || !provider) {
+            throw new Error(`OIDC客户端配置无效: ${client.id || client.client_id}`);
+        }
+        if (client.client_secret) {
+            throw new Error(`OIDC客户端密钥不能直接写在配置中，请使用client_secret_env或client_secret_file: ${client.id}`);
+        }
+
+        const entry = {
+            id: client.id,
+            provider: provider.name,
+            issuer: provider.issuer,
+            clientId: client.client_id,
+            clientSecret: this.resolveSecret(client),
+            redirectUri: client.redirect_uri,
+            postLogoutRedirectUri: client.post_logout_redirect_uri || null,
+            scope: client.scope || 'openid profile email',
+            idTokenSigningAlg: client.id_token_signed_response_alg || 'RS256',
+            tenants: client.tenants || [],
+            apps: client.apps || [],
+            default: !!client.default
+        };
+
+        if (!entry.redirectUri) {
+            throw new Error(`OIDC客户端缺少redirect_uri: ${client.id}`);
+        }
+        if (entry.idTokenSigningAlg === 'HS256' && !entry.clientSecret) {
+            throw new Error(`OIDC客户端使用HS256签名ID Token时必须配置客户端密钥: ${client.id}`);
+        }
+
+        this.clients.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * 读取客户端密钥
+     *
+     * @param {object} client 客户端配置
+     * @return {string|null} 客户端密钥，公共客户端（仅PKCE）返回null
+     */
+    static resolveSecret(client) {
+        if (client.client_secret_file) {
+            return fs.readFileSync(client.client_secret_file, 'utf8').trim();
+        }
+        if (client.client_secret_env) {
+            return process.env[client.client_secret_env] || null;
+        }
+        return null;
+    }
+
+    /**
+     * 获取全部客户端配置
+     *
+     * @return {Array} 客户端配置列表
+     */
+    static all() {
+        if (!this.clients) {
+            this.load();
+        }
+        return [...this.clients.values()];
+    }
+
+    /**
+     * 按标识获取客户端配置
+     *
+     * @param {string} id 客户端标识
+     * @return {object|null} 客户端配置
+     */
+    static get(id) {
+        return this.all().find(client => client.id === id) || null;
+    }
+
+    /**
+     * 按IdP签发的token声明查找客户端
+     * 签发者与提供方issuer一致且受众包含客户端ID
+     *
+     * @param {object} claims token声明 { iss, aud }
+     * @return {object|null} 客户端配置
+     */
+    static findByClaims(claims) {
+        const issuer = String(claims.iss || '').replace(/\/$/, '');
+        const audiences = [].concat(claims.aud || []);
+        return this.all().find(entry =>
+            entry.issuer.replace(/\/$/, '') === issuer && audiences.includes(entry.clientId)
+        ) || null;
+    }
+
+    /**
+     * 选择客户端
+     * 依次按显式指定的客户端、租户路径（最长前缀匹配）、应用标识选择，均无匹配时使用默认客户端
+     *
+     * @param {object} criteria 选择条件 { client, tenant, app }，均为字符串
+     * @return {object|null} 客户端配置，条件不是字符串时返回null
+     */
+    static resolve({ client, tenant, app } = {}) {
+        // 条件来自请求参数，重复参数会解析为数组，只接受字符串
+        if ([client, tenant, app].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+            return null;
+        }
+        const clients = this.all();
+
+        if (client) {
+            return this.get(client);
+        }
+
+        if (tenant) {
+            let best = null;
+            let bestLength = -1;
+            for (const entry of clients) {
+                for (const prefix of entry.tenants) {
+                    if ((tenant === prefix || tenant.startsWith(prefix + '.')) && prefix.length > bestLength) {
+                        best = entry;
+                        bestLength = prefix.length;
+                    }
+                }
+            }
+            if (best) {
+                return best;
+            }
+        }
+
+        if (app) {
+            const matched = clients.find(entry => entry.apps.includes(app));
+            if (matched) {
+                return matched;
+            }
+        }
+
+        return clients.find(entry => entry.default) || clients[0] || null;
+    }
+
+    /**
+     * 根据客户端配置创建OpenID Connect客户端实例
+     *
+     * @param {object} entry 客户端配置
+     * @return {OpenIDClient} 已设置重定向地址和授权范围的OIDC客户端
+     */
+    static createClient(entry) {
+        const oidc = new OpenIDClient(entry.issuer, entry.clientId, entry.clientSecret);
+        oidc.setRedirectURL(entry.redirectUri);
+        oidc.setScope(entry.scope);
+        oidc.setIdTokenSigningAlg(entry.idTokenSigningAlg);
+        return oidc;
+    }
+
+    /**
+     * 获取脱敏后的配置列表
+     * 客户端密钥只返回是否已配置
+     *
+     * @return {object} { providers, clients }
+     */
+    static describe() {
+        const clients = this.all().map(entry => ({
+            id: entry.id,
+            provider: entry.provider,
+            issuer: entry.issuer,
+            clientId: entry.clientId,
+            clientSecret: entry.clientSecret ? '******' : null,
+            redirectUri: entry.redirectUri,
+            postLogoutRedirectUri: entry.postLogoutRedirectUri,
+            scope: entry.scope,
+            idTokenSigningAlg: entry.idTokenSigningAlg,
+            tenants: entry.tenants,
+            apps: entry.apps,
+            default: entry.default
+        }));
+        return {
+            providers: [...this.providers.values()],
+            clients
+        };
+    }
+}
+
+module.exports = OidcRegistry;
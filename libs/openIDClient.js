@@ -10,12 +10,81 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const Logger = require('../utils/logger');
+const Jwt = require('../utils/jwt');
+
+/**
+ * ID Token（及Logout Token）验证错误
+ * reason为失败原因：malformed、unsupported_alg、unknown_key、invalid_signature、
+ * invalid_issuer、invalid_audience、invalid_azp、expired、issued_in_future、invalid_nonce、
+ * invalid_event、missing_subject
+ */
+class IdTokenError extends Error {
+    /**
+     * 构造函数
+     * 
+     * @param {string} reason 失败原因
+     * @param {string} message 错误描述
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'IdTokenError';
+        this.reason = reason;
+    }
+}
 
 /**
  * OpenIDClient类
  * 实现OpenID Connect协议的客户端功能
+ * 端点地址通过 .well-known/openid-configuration 发现，授权码流程使用PKCE（S256）
  */
 class OpenIDClient {
+    /**
+     * 发现文档缓存
+     * issuerUrl => { metadata, expiresAt }
+     */
+    static discoveryCache = new Map();
+
+    /**
+     * 发现文档缓存时间（毫秒）
+     */
+    static discoveryTtl = 3600 * 1000;
+
+    /**
+     * JWKS缓存
+     * jwks_uri => { keys, fetchedAt, expiresAt }
+     */
+    static jwksCache = new Map();
+
+    /**
+     * JWKS缓存时间（毫秒）
+     */
+    static jwksTtl = 3600 * 1000;
+
+    /**
+     * 遇到未知kid时强制刷新JWKS的最小间隔（毫秒）
+     */
+    static jwksRefreshInterval = 30 * 1000;
+
+    /**
+     * 验证ID Token时允许的时钟偏差（秒）
+     */
+    static clockTolerance = parseInt(process.env.OIDC_CLOCK_TOLERANCE) || 60;
+
+    /**
+     * 后端通道登出事件标识
+     */
+    static backchannelLogoutEvent = 'http://schemas.openid.net/event/backchannel-logout';
+
+    /**
+     * 发现文档不可用时使用的默认端点路径
+     */
+    static defaultEndpoints = {
+        authorization_endpoint: '/auth',
+        token_endpoint: '/token',
+        userinfo_endpoint: '/userinfo',
+        revocation_endpoint: '/revoke'
+    };
+
     /**
      * 构造函数
      * 
@@ -29,12 +98,72 @@ class OpenIDClient {
         this.clientSecret = clientSecret;
         this.redirectUrl = null;
         this.scope = 'openid profile email';
+        this.idTokenSigningAlg = 'RS256';
         this.responseType = 'code';
         this.idToken = null;
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenType = null;
         this.expiresIn = null;
+        this.metadata = null;
+    }
+
+    /**
+     * 获取OIDC发现文档
+     * 从 ${issuer}/.well-known/openid-configuration 获取并缓存端点配置
+     * 
+     * @param {boolean} force 是否忽略缓存重新获取
+     * @return {Promise<object>} 发现文档
+     */
+    async discover(force = false) {
+        const cached = OpenIDClient.discoveryCache.get(this.issuerUrl);
+        if (!force && cached && cached.expiresAt > Date.now()) {
+            this.metadata = cached.metadata;
+            return this.metadata;
+        }
+
+        const discoveryUrl = `${this.issuerUrl}/.well-known/openid-configuration`;
+        try {
+            const response = await axios.get(discoveryUrl, { timeout: 10000 });
+            if (response.status !== 200 || !response.data || !response.data.authorization_endpoint) {
+                throw new Error(`发现文档无效: ${response.status}`);
+            }
+
+            this.metadata = response.data;
+            OpenIDClient.discoveryCache.set(this.issuerUrl, {
+                metadata: this.metadata,
+                expiresAt: Date.now() + OpenIDClient.discoveryTtl
+            });
+
+            Logger.info('OIDC发现文档获取成功', {
+                issuer: this.metadata.issuer,
+                discoveryUrl: discoveryUrl
+            });
+
+            return this.metadata;
+
+        } catch (error) {
+            Logger.error('OIDC发现文档获取失败', {
+                error: error.message,
+                discoveryUrl: discoveryUrl
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * 获取端点地址
+     * 优先使用发现文档中的地址，未执行发现时使用默认路径
+     * 
+     * @param {string} name 端点名称，如 authorization_endpoint、token_endpoint
+     * @return {string|null} 端点地址
+     */
+    getEndpoint(name) {
+        if (this.metadata && this.metadata[name]) {
+            return this.metadata[name];
+        }
+        const path = OpenIDClient.defaultEndpoints[name];
+        return path ? `${this.issuerUrl}${path}` : null;
     }
 
     /**
@@ -55,13 +184,26 @@ class OpenIDClient {
         this.scope = scope;
     }
 
+    /**
+     * 设置客户端登记的ID Token签名算法（id_token_signed_response_alg）
+     * 只有登记为HS256且配置了客户端密钥时才接受HS256签名的token
+     * 
+     * @param {string} alg 签名算法
+     */
+    setIdTokenSigningAlg(alg) {
+        this.idTokenSigningAlg = alg;
+    }
+
     /**
      * 生成授权URL
      * 
      * @param {string} state 状态参数，用于防止CSRF攻击
+     * @param {object} options 可选参数
+     * @param {string} options.nonce ID Token中回传的随机数，用于防止重放
+     * @param {string} options.codeChallenge PKCE code_challenge（S256）
      * @return {string} 授权URL
      */
-    getAuthorizationUrl(state = null) {
+    getAuthorizationUrl(state = null, options = {}) {
         if (!this.redirectUrl) {
             throw new Error('重定向URL未设置');
         }
@@ -78,7 +220,18 @@ class OpenIDClient {
             state: state
         });
 
-        return `${this.issuerUrl}/auth?${params.toString()}`;
+        if (options.nonce) {
+            params.set('nonce', options.nonce);
+        }
+
+        if (options.codeChallenge) {
+            params.set('code_challenge', options.codeChallenge);
+            params.set('code_challenge_method', 'S256');
+        }
+
+        const endpoint = this.getEndpoint('authorization_endpoint');
+        const separator = endpoint.includes('?') ? '&' : '?';
+        return `${endpoint}${separator}${params.toString()}`;
     }
 
     /**
@@ -90,19 +243,49 @@ class OpenIDClient {
         return crypto.randomBytes(16).toString('hex');
     }
 
+    /**
+     * 生成随机nonce
+     * 
+     * @return {string} 随机nonce
+     */
+    generateNonce() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * 生成PKCE code_verifier
+     * 32字节随机数的Base64 URL编码（43个字符）
+     * 
+     * @return {string} code_verifier
+     */
+    generateCodeVerifier() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    /**
+     * 根据code_verifier计算PKCE code_challenge（S256）
+     * 
+     * @param {string} codeVerifier code_verifier
+     * @return {string} code_challenge
+     */
+    generateCodeChallenge(codeVerifier) {
+        return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    }
+
     /**
      * 使用授权码请求tokens
      * 
      * @param {string} code 授权码
+     * @param {string} codeVerifier PKCE code_verifier，可选
      * @return {Promise<object>} token响应数据
      */
-    async requestTokens(code) {
+    async requestTokens(code, codeVerifier = null) {
         try {
             if (!this.redirectUrl) {
                 throw new Error('重定向URL未设置');
             }
 
-            const tokenUrl = `${this.issuerUrl}/token`;
+            const tokenUrl = this.getEndpoint('token_endpoint');
             
             const data = {
                 grant_type: 'authorization_code',
@@ -112,6 +295,10 @@ class OpenIDClient {
                 client_secret: this.clientSecret
             };
 
+            if (codeVerifier) {
+                data.code_verifier = codeVerifier;
+            }
+
             Logger.info('请求OIDC tokens', {
                 tokenUrl: tokenUrl,
                 clientId: this.clientId,
@@ -183,6 +370,261 @@ class OpenIDClient {
         return this.refreshToken;
     }
 
+    /**
+     * 获取IdP的签名公钥集合（JWKS）
+     * 结果按jwks_uri缓存，force为true时在最小间隔外重新获取
+     * 
+     * @param {boolean} force 是否强制刷新
+     * @return {Promise<Array>} JWK数组
+     */
+    async getJwks(force = false) {
+        const jwksUri = this.getEndpoint('jwks_uri');
+        if (!jwksUri) {
+            throw new Error('发现文档中缺少jwks_uri');
+        }
+
+        const cached = OpenIDClient.jwksCache.get(jwksUri);
+        const now = Date.now();
+        if (cached && cached.expiresAt > now &&
+            (!force || now - cached.fetchedAt < OpenIDClient.jwksRefreshInterval)) {
+            return cached.keys;
+        }
+
+        try {
+            const response = await axios.get(jwksUri, { timeout: 10000 });
+            if (response.status !== 200 || !Array.isArray(response.data?.keys)) {
+                throw new Error(`JWKS响应无效: ${response.status}`);
+            }
+
+            OpenIDClient.jwksCache.set(jwksUri, {
+                keys: response.data.keys,
+                fetchedAt: now,
+                expiresAt: now + OpenIDClient.jwksTtl
+            });
+
+            Logger.info('OIDC JWKS获取成功', {
+                jwksUri: jwksUri,
+                keyCount: response.data.keys.length
+            });
+
+            return response.data.keys;
+
+        } catch (error) {
+            Logger.error('OIDC JWKS获取失败', {
+                error: error.message,
+                jwksUri: jwksUri
+            });
+            // 获取失败时继续使用未过期的缓存
+            if (cached) {
+                return cached.keys;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 查找ID Token的验证密钥
+     * HS256使用客户端密钥，仅限登记为HS256且有客户端密钥的客户端（公共客户端没有密钥）；
+     * RS256/ES256按kid从JWKS中查找，找不到时刷新一次JWKS
+     * 
+     * @param {object} header ID Token头部
+     * @return {Promise<object|null>} 可用于Jwt.verifySignature的密钥条目
+     */
+    async findVerificationKey(header) {
+        if (header.alg === 'HS256') {
+            if (this.idTokenSigningAlg !== 'HS256' || typeof this.clientSecret !== 'string' || !this.clientSecret) {
+                return null;
+            }
+            return { alg: 'HS256', secret: this.clientSecret };
+        }
+
+        const match = keys => keys.find(jwk =>
+            (!header.kid || jwk.kid === header.kid) &&
+            (!jwk.use || jwk.use === 'sig') &&
+            (!jwk.alg || jwk.alg === header.alg)
+        );
+
+        let jwk = match(await this.getJwks());
+        if (!jwk && header.kid) {
+            jwk = match(await this.getJwks(true));
+        }
+        if (!jwk) {
+            return null;
+        }
+
+        return {
+            alg: header.alg,
+            publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        };
+    }
+
+    /**
+     * 验证IdP签发的JWT的签名、签发者和受众
+     * ID Token和Logout Token共用，失败时抛出IdTokenError
+     * 
+     * @param {string} jwt 待验证的JWT
+     * @param {string} label 日志和错误信息中使用的token名称
+     * @return {Promise<object>} { header, claims }
+     */
+    async verifySignedToken(jwt, label) {
+        const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+        if (parts.length !== 3) {
+            throw new IdTokenError('malformed', `${label}格式错误`);
+        }
+
+        let header;
+        let claims;
+        try {
+            header = JSON.parse(Jwt.base64UrlDecode(parts[0]));
+            claims = JSON.parse(Jwt.base64UrlDecode(parts[1]));
+        } catch (e) {
+            throw new IdTokenError('malformed', `${label}无法解析`);
+        }
+
+        // 签名
+        if (!Jwt.algorithms[header.alg]) {
+            throw new IdTokenError('unsupported_alg', `不支持的签名算法: ${header.alg}`);
+        }
+        const key = await this.findVerificationKey(header);
+        if (!key) {
+            throw new IdTokenError('unknown_key', `未找到签名密钥: ${header.kid || ''}`);
+        }
+        if (!Jwt.verifySignature(parts[0] + '.' + parts[1], parts[2], key)) {
+            throw new IdTokenError('invalid_signature', `${label}签名无效`);
+        }
+
+        // 签发者
+        const issuer = this.metadata?.issuer || this.issuerUrl;
+        if (claims.iss !== issuer) {
+            throw new IdTokenError('invalid_issuer', `${label}签发者不匹配: ${claims.iss}`);
+        }
+
+        // 受众：必须包含本客户端
+        const audiences = [].concat(claims.aud || []);
+        if (!audiences.includes(this.clientId)) {
+            throw new IdTokenError('invalid_audience', `${label}受众不包含本客户端`);
+        }
+
+        return { header, claims };
+    }
+
+    /**
+     * 验证ID Token
+     * 校验签名、iss、aud、azp、exp、iat和nonce，失败时抛出IdTokenError
+     * 
+     * @param {string} idToken ID Token
+     * @param {object} options 验证选项
+     * @param {string} options.nonce 发起授权请求时生成的nonce
+     * @return {Promise<object>} ID Token声明
+     */
+    async verifyIdToken(idToken, options = {}) {
+        const { header, claims } = await this.verifySignedToken(idToken, 'ID Token');
+
+        // 多个受众时azp必须为本客户端
+        const audiences = [].concat(claims.aud || []);
+        if ((audiences.length > 1 || claims.azp) && claims.azp !== this.clientId) {
+            throw new IdTokenError('invalid_azp', 'ID Token授权方不是本客户端');
+        }
+
+        // 时间
+        const now = Math.floor(Date.now() / 1000);
+        const tolerance = OpenIDClient.clockTolerance;
+        if (typeof claims.exp !== 'number' || claims.exp <= now - tolerance) {
+            throw new IdTokenError('expired', 'ID Token已过期');
+        }
+        if (typeof claims.iat === 'number' && claims.iat > now + tolerance) {
+            throw new IdTokenError('issued_in_future', 'ID Token签发时间无效');
+        }
+
+        // nonce：发起请求时生成的nonce必须原样回传
+        if (options.nonce && claims.nonce !== options.nonce) {
+            throw new IdTokenError('invalid_nonce', 'ID Token nonce不匹配');
+        }
+
+        Logger.info('ID Token验证成功', {
+            sub: claims.sub,
+            iss: claims.iss,
+            kid: header.kid
+        });
+
+        return claims;
+    }
+
+    /**
+     * 验证后端通道登出的Logout Token
+     * 按 OpenID Connect Back-Channel Logout 1.0 校验签名、iss、aud、iat、exp、events，
+     * 必须包含sub或sid，且不能包含nonce，失败时抛出IdTokenError
+     * 
+     * @param {string} logoutToken Logout Token
+     * @return {Promise<object>} Logout Token声明
+     */
+    async verifyLogoutToken(logoutToken) {
+        const { header, claims } = await this.verifySignedToken(logoutToken, 'Logout Token');
+
+        if (header.typ && header.typ !== 'logout+jwt' && header.typ !== 'JWT') {
+            throw new IdTokenError('malformed', `Logout Token类型无效: ${header.typ}`);
+        }
+
+        // 时间：iat必须存在，exp存在时必须未过期
+        const now = Math.floor(Date.now() / 1000);
+        const tolerance = OpenIDClient.clockTolerance;
+        if (typeof claims.iat !== 'number' || claims.iat > now + tolerance) {
+            throw new IdTokenError('issued_in_future', 'Logout Token签发时间无效');
+        }
+        if (claims.exp !== undefined && (typeof claims.exp !== 'number' || claims.exp <= now - tolerance)) {
+            throw new IdTokenError('expired', 'Logout Token已过期');
+        }
+
+        if (!claims.events || typeof claims.events[OpenIDClient.backchannelLogoutEvent] !== 'object') {
+            throw new IdTokenError('invalid_event', 'Logout Token缺少后端通道登出事件');
+        }
+        if (!claims.sub && !claims.sid) {
+            throw new IdTokenError('missing_subject', 'Logout Token必须包含sub或sid');
+        }
+        if (claims.nonce !== undefined) {
+            throw new IdTokenError('invalid_nonce', 'Logout Token不能包含nonce');
+        }
+
+        Logger.info('Logout Token验证成功', {
+            sub: claims.sub,
+            sid: claims.sid,
+            iss: claims.iss,
+            kid: header.kid
+        });
+
+        return claims;
+    }
+
+    /**
+     * 获取RP发起登出的地址
+     * 使用发现文档中的end_session_endpoint，IdP不支持时返回null
+     * 
+     * @param {object} options 登出参数
+     * @param {string} options.idTokenHint 登录时获取的ID Token
+     * @param {string} options.postLogoutRedirectUri 登出后的回跳地址，必须已在IdP注册
+     * @param {string} options.state 回跳时原样返回的状态参数
+     * @return {string|null} 登出地址
+     */
+    getEndSessionUrl(options = {}) {
+        const endpoint = this.getEndpoint('end_session_endpoint');
+        if (!endpoint) {
+            return null;
+        }
+
+        const url = new URL(endpoint);
+        url.searchParams.set('client_id', this.clientId);
+        if (options.idTokenHint) {
+            url.searchParams.set('id_token_hint', options.idTokenHint);
+        }
+        if (options.postLogoutRedirectUri) {
+            url.searchParams.set('post_logout_redirect_uri', options.postLogoutRedirectUri);
+        }
+        if (options.state) {
+            url.searchParams.set('state', options.state);
+        }
+        return url.toString();
+    }
+
     /**
      * 解析JWT token（不验证签名）
      * 
@@ -219,7 +661,7 @@ class OpenIDClient {
                 throw new Error('Access Token未设置');
             }
 
-            const userInfoUrl = `${this.issuerUrl}/userinfo`;
+            const userInfoUrl = this.getEndpoint('userinfo_endpoint');
             
             const response = await axios.get(userInfoUrl, {
                 headers: {
@@ -257,7 +699,7 @@ class OpenIDClient {
                 throw new Error('Refresh Token未设置');
             }
 
-            const tokenUrl = `${this.issuerUrl}/token`;
+            const tokenUrl = this.getEndpoint('token_endpoint');
             
             const data = {
                 grant_type: 'refresh_token',
@@ -318,7 +760,7 @@ class OpenIDClient {
                 throw new Error('没有可撤销的token');
             }
 
-            const revokeUrl = `${this.issuerUrl}/revoke`;
+            const revokeUrl = this.getEndpoint('revocation_endpoint');
             
             const data = {
                 token: tokenToRevoke,
@@ -348,4 +790,5 @@ class OpenIDClient {
     }
 }
 
-module.exports = OpenIDClient;
\ No newline at end of file
+module.exports = OpenIDClient;
+module.exports.IdTokenError = IdTokenError;
\ No newline at end of file
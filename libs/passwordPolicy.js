@@ -0,0 +1,94 @@
+/**
+ * 密码强度策略
+ * 用户修改密码时校验新密码，规则通过环境变量配置：
+ * - PASSWORD_MIN_LENGTH: 最小长度，默认8
+ * - PASSWORD_MAX_LENGTH: 最大长度，默认64
+ * - PASSWORD_MIN_CLASSES: 至少包含的字符类别数（小写字母、大写字母、数字、符号），默认3
+ * - PASSWORD_ALLOW_USERNAME: 是否允许密码包含用户名，默认false
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+/**
+ * PasswordPolicy类
+ * 校验密码强度
+ */
+class PasswordPolicy {
+    /**
+     * 策略配置
+     */
+    static config = {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+        maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 64,
+        minClasses: parseInt(process.env.PASSWORD_MIN_CLASSES) || 3,
+        allowUsername: process.env.PASSWORD_ALLOW_USERNAME === 'true'
+    };
+
+    /**
+     * 字符类别
+     */
+    static classes = [
+        { name: 'lower', pattern: /[a-z]/ },
+        { name: 'upper', pattern: /[A-Z]/ },
+        { name: 'digit', pattern: /[0-9]/ },
+        { name: 'symbol', pattern: /[^a-zA-Z0-9]/ }
+    ];
+
+    /**
+     * 校验密码
+     *
+     * 违反的规则：
+     * - too_short/too_long: 长度不符合要求
+     * - too_few_classes: 字符类别不足
+     * - contains_username: 包含用户名
+     * - same_as_old: 与原密码相同
+     *
+     * @param {string} password 新密码
+     * @param {object} context 校验上下文 { username, oldPassword }
+     * @return {Array} 违反的规则 [{ rule, message }]，为空表示通过
+     */
+    static validate(password, context = {}) {
+        const config = this.config;
+        const violations = [];
+        const value = String(password || '');
+
+        if (value.length < config.minLength) {
+            violations.push({ rule: 'too_short', message: `密码长度不能少于${config.minLength}位` });
+        }
+        if (value.length > config.maxLength) {
+            violations.push({ rule: 'too_long', message: `密码长度不能超过${config.maxLength}位` });
+        }
+
+        const classCount = this.classes.filter(item => item.pattern.test(value)).length;
+        if (classCount < config.minClasses) {
+            violations.push({
+                rule: 'too_few_classes',
+                message: `密码需包含小写字母、大写字母、数字、符号中的至少${config.minClasses}类`
+            });
+        }
+
+        const username = String(context.username || '').toLowerCase();
+        if (!config.allowUsername && username && value.toLowerCase().includes(username)) {
+            violations.push({ rule: 'contains_username', message: '密码不能包含用户名' });
+        }
+
+        if (context.oldPassword && value === context.oldPassword) {
+            violations.push({ rule: 'same_as_old', message: '新密码不能与原密码相同' });
+        }
+
+        return violations;
+    }
+
+    /**
+     * 获取策略说明，供前端展示密码要求
+     *
+     * @return {object} 策略配置
+     */
+    static describe() {
+        return { ...this.config };
+    }
+}
+
+module.exports = PasswordPolicy;
@@ -0,0 +1,276 @@
+/**
+ * 权限引擎
+ * 负责获取并缓存用户权限，按 allOf/anyOf 和通配符规则判定访问权限，并记录判定日志
+ *
+ * 权限标识以 "." 分隔层级，例如 admin.role.read。用户拥有的权限可以使用通配符：
+ * - admin.role.*: 匹配 admin.role 下任意层级的权限（admin.role.read、admin.role.bind.write）
+ * - admin.*.read: 中间的 * 只匹配一个层级（admin.role.read、admin.user.read）
+ * - *: 匹配全部权限
+ *
+ * 用户权限缓存在Redis中（perm-${username}），缓存记录带有全局版本号（perm-version），
+ * 角色变更时递增版本号使全部缓存失效，角色绑定变更时删除对应用户的缓存
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const Redis = require('../utils/redis');
+const Curl = require('../utils/curl');
+const Logger = require('../utils/logger');
+
+/**
+ * PermissionEngine类
+ * 权限获取、缓存和判定
+ */
+class PermissionEngine {
+    /**
+     * 用户权限缓存时间（秒）
+     */
+    static cacheTtl = parseInt(process.env.PERMISSION_CACHE_TTL) || 300;
+
+    /**
+     * 获取用户权限列表
+     * 优先读取缓存，缓存不存在或版本已过期时从rdb服务获取
+     *
+     * @param {string} token 用户token
+     * @param {string} username 用户名
+     * @return {Promise<Array>} 权限列表
+     */
+    static async getPermissions(token, username) {
+        const key = `perm-${username}`;
+        const version = parseInt(await Redis.get('perm-version')) || 0;
+
+        const cached = await Redis.get(key);
+        if (cached) {
+            try {
+                const entry = JSON.parse(cached);
+                if (entry.version === version && Array.isArray(entry.permissions)) {
+                    return entry.permissions;
+                }
+            } catch (e) {
+                // 缓存内容损坏时重新获取
+            }
+        }
+
+        const permissions = await this.fetchPermissions(token, username);
+        await Redis.set(key, JSON.stringify({
+            version: version,
+            permissions: permissions,
+            cached_at: Math.floor(Date.now() / 1000)
+        }), this.cacheTtl);
+
+        return permissions;
+    }
+
+    /**
+     * 从rdb服务获取用户权限列表
+     * 服务返回按行分隔的JSON，每行的 result.operations 为一个角色的权限
+     *
+     * @param {string} token 用户token
+     * @param {string} username 用户名
+     * @return {Promise<Array>} 去重后的权限列表，服务调用失败时抛出UpstreamError
+     */
+    static async fetchPermissions(token, username) {
+        const data = {
+            user: { username: username }
+        };
+
+        const [res, error] = await Curl.api('rdb.listUserRole', token).request(data, false);
+        if (error) {
+            throw error;
+        }
+
+        const operations = [];
+        for (const line of String(res).split('\n')) {
+            try {
+                const tmp = JSON.parse(line);
+                if (tmp.result && tmp.result.operations) {
+                    operations.push(...tmp.result.operations);
+                }
+            } catch (e) {
+                // 忽略解析错误的行
+            }
+        }
+
+        return [...new Set(operations)];
+    }
+
+    /**
+     * 删除用户的权限缓存
+     * 用户的角色绑定变更后调用
+     *
+     * @param {string} username 用户名
+     * @return {Promise<void>}
+     */
+    static async invalidateUser(username) {
+        await Redis.del(`perm-${username}`);
+        Logger.info('用户权限缓存已失效', { username });
+    }
+
+    /**
+     * 使全部用户的权限缓存失效
+     * 角色的权限变更或角色被删除后调用，影响范围无法确定到具体用户
+     *
+     * @return {Promise<number>} 新的缓存版本号
+     */
+    static async invalidateAll() {
+        const version = await Redis.incr('perm-version');
+        Logger.info('全部权限缓存已失效', { version });
+        return version;
+    }
+
+    /**
+     * 规范化权限要求
+     * 数组表示满足其一即可（anyOf），对象可同时指定 allOf 和 anyOf
+     *
+     * @param {Array|string|object} requirement 权限要求
+     * @return {object} { allOf, anyOf }
+     */
+    static normalize(requirement) {
+        if (Array.isArray(requirement) || typeof requirement === 'string') {
+            return { allOf: [], anyOf: [].concat(requirement) };
+        }
+        return {
+            allOf: [].concat(requirement?.allOf || []),
+            anyOf: [].concat(requirement?.anyOf || [])
+        };
+    }
+
+    /**
+     * 判断权限模式是否匹配权限标识
+     *
+     * @param {string} pattern 用户拥有的权限（可含通配符）
+     * @param {string} permission 需要的权限
+     * @return {boolean} 是否匹配
+     */
+    static matches(pattern, permission) {
+        if (pattern === permission || pattern === '*') {
+            return true;
+        }
+
+        const patternParts = pattern.split('.');
+        const permissionParts = permission.split('.');
+
+        for (let i = 0; i < patternParts.length; i++) {
+            const part = patternParts[i];
+            const isLast = i === patternParts.length - 1;
+
+            if (part === '*' && isLast) {
+                // 末尾通配符匹配剩余的一个或多个层级
+                return permissionParts.length > i;
+            }
+            if (i >= permissionParts.length) {
+                return false;
+            }
+            if (part !== '*' && part !== permissionParts[i]) {
+                return false;
+            }
+        }
+
+        return patternParts.length === permissionParts.length;
+    }
+
+    /**
+     * 查找授予某个权限的用户权限
+     * 精确匹配优先于通配符
+     *
+     * @param {Array} granted 用户拥有的权限
+     * @param {string} permission 需要的权限
+     * @return {string|null} 匹配的用户权限，未匹配返回null
+     */
+    static findGrant(granted, permission) {
+        if (granted.includes(permission)) {
+            return permission;
+        }
+        return granted.find(pattern => this.matches(pattern, permission)) || null;
+    }
+
+    /**
+     * 判定权限
+     * allOf 中的权限必须全部具备，anyOf 中的权限至少具备一个，两者同时指定时都需满足
+     *
+     * 判定结果：
+     * - allowed: 是否允许访问
+     * - reason: granted、no_requirement、missing_all_of、missing_any_of
+     * - matched: 满足的权限及授予它的用户权限 [{ permission, grantedBy }]
+     * - missing: 缺少的权限
+     *
+     * @param {Array} granted 用户拥有的权限
+     * @param {Array|string|object} requirement 权限要求
+     * @return {object} 判定结果
+     */
+    static evaluate(granted, requirement) {
+        const { allOf, anyOf } = this.normalize(requirement);
+        const decision = {
+            allowed: true,
+            reason: 'granted',
+            allOf,
+            anyOf,
+            matched: [],
+            missing: []
+        };
+
+        if (allOf.length === 0 && anyOf.length === 0) {
+            decision.reason = 'no_requirement';
+            return decision;
+        }
+
+        for (const permission of allOf) {
+            const grantedBy = this.findGrant(granted, permission);
+            if (grantedBy) {
+                decision.matched.push({ permission, grantedBy });
+            } else {
+                decision.missing.push(permission);
+            }
+        }
+        if (decision.missing.length > 0) {
+            decision.allowed = false;
+            decision.reason = 'missing_all_of';
+            return decision;
+        }
+
+        if (anyOf.length > 0) {
+            for (const permission of anyOf) {
+                const grantedBy = this.findGrant(granted, permission);
+                if (grantedBy) {
+                    decision.matched.push({ permission, grantedBy });
+                    return decision;
+                }
+            }
+            decision.allowed = false;
+            decision.reason = 'missing_any_of';
+            decision.missing = anyOf;
+        }
+
+        return decision;
+    }
+
+    /**
+     * 记录权限判定日志
+     * 允许记为info，拒绝记为warning
+     *
+     * @param {object} decision evaluate返回的判定结果
+     * @param {object} context 请求上下文 { userId, method, path, requestId }
+     * @return {void}
+     */
+    static logDecision(decision, context = {}) {
+        const entry = {
+            ...context,
+            allowed: decision.allowed,
+            reason: decision.reason,
+            allOf: decision.allOf,
+            anyOf: decision.anyOf,
+            matched: decision.matched,
+            missing: decision.missing
+        };
+
+        if (decision.allowed) {
+            Logger.info('权限判定：允许', entry);
+        } else {
+            Logger.warning('权限判定：拒绝', entry);
+        }
+    }
+}
+
+module.exports = PermissionEngine;
@@ -0,0 +1,247 @@
+/**
+ * rdb服务客户端
+ * 封装节点和节点分类接口，统一rdb的几种响应格式：
+ * - 普通JSON: { node: {...} }、{ cates: [...] }
+ * - 带状态码的JSON: { code, message, data }，code不为0视为失败
+ * - 流式接口的NDJSON: 每行 { result: {...} } 或 { error: { code, message } }
+ *
+ * 所有方法返回 [数据, UpstreamError]，与 Curl 的调用约定一致；响应体中的错误同样转换为UpstreamError
+ *
+ * 用法：
+ * const [cates, error] = await new RdbClient(req.user.token).listNodeCate();
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const Curl = require('../utils/curl');
+const { UpstreamError } = Curl;
+const Logger = require('../utils/logger');
+
+/**
+ * RdbClient类
+ * 按用户token调用rdb服务
+ */
+class RdbClient {
+    /**
+     * 构造函数
+     *
+     * @param {string} token 用户token（服务账号为 SERVICE_ACCOUNT_UPSTREAM_TOKEN）
+     */
+    constructor(token = '') {
+        this.token = token;
+    }
+
+    /**
+     * 调用rdb接口并统一响应格式
+     *
+     * @param {string} apiName Curl.apiConfig中的API名称
+     * @param {object} data 请求数据
+     * @return {Promise<Array>} [统一后的响应数据, UpstreamError]
+     */
+    async call(apiName, data = {}) {
+        const [result, error] = await Curl.api(apiName, this.token).request(data, false);
+        if (error) {
+            return [null, error];
+        }
+        return RdbClient.unwrap(apiName, result);
+    }
+
+    /**
+     * 获取节点
+     *
+     * @param {object} query { id } 或 { path }
+     * @return {Promise<Array>} [节点，不存在时为null, UpstreamError]
+     */
+    async getNode(query) {
+        const [result, error] = await this.call('rdb.getNode', { node: query });
+        if (error) {
+            return error.kind === 'not_found' ? [null, null] : [null, error];
+        }
+        const node = result?.node;
+        return [node && (node.id || node.path) ? node : null, null];
+    }
+
+    /**
+     * 获取节点树
+     *
+     * @param {object} query { path, cate, query }
+     * @return {Promise<Array>} [节点树, UpstreamError]
+     */
+    async getNodeTree(query) {
+        const [result, error] = await this.call('rdb.getNodeTree', query);
+        if (error) {
+            return [null, error];
+        }
+        return [result?.tree ?? result ?? [], null];
+    }
+
+    /**
+     * 创建或更新节点
+     *
+     * @param {object} node 节点 { id, pid, name, title, cate_name, leaf, metadata }
+     * @param {object} options { update, remark }
+     * @return {Promise<Array>} [rdb返回的节点数据, UpstreamError]
+     */
+    async createNode(node, { update = false, remark = '' } = {}) {
+        return this.call('rdb.createNode', { node, update, remark });
+    }
+
+    /**
+     * 删除节点
+     *
+     * @param {number} id 节点ID
+     * @param {string} remark 备注
+     * @return {Promise<Array>} [true, UpstreamError]
+     */
+    async deleteNode(id, remark = '') {
+        const [, error] = await this.call('rdb.deleteNode', { node: { id }, remark });
+        return error ? [null, error] : [true, null];
+    }
+
+    /**
+     * 获取节点分类列表
+     *
+     * @return {Promise<Array>} [分类列表, UpstreamError]
+     */
+    async listNodeCate() {
+        const [result, error] = await this.call('rdb.listNodeCate');
+        if (error) {
+            return [null, error];
+        }
+        return [RdbClient.toList(result, 'cate'), null];
+    }
+
+    /**
+     * 获取节点分类
+     *
+     * @param {string} name 分类名称
+     * @return {Promise<Array>} [分类，不存在时为null, UpstreamError]
+     */
+    async getNodeCate(name) {
+        const [result, error] = await this.call('rdb.getNodeCate', { cate: { name } });
+        if (error) {
+            return error.kind === 'not_found' ? [null, null] : [null, error];
+        }
+        return [result?.cate || null, null];
+    }
+
+    /**
+     * 创建或更新节点分类
+     *
+     * @param {object} cate 分类 { id, name, title, icon_color, remark }
+     * @param {object} options { update, remark }
+     * @return {Promise<Array>} [rdb返回的分类数据, UpstreamError]
+     */
+    async createNodeCate(cate, { update = false, remark = '' } = {}) {
+        return this.call('rdb.createNodeCate', { cate, update, remark });
+    }
+
+    /**
+     * 删除节点分类
+     *
+     * @param {number} id 分类ID
+     * @param {string} remark 备注
+     * @return {Promise<Array>} [true, UpstreamError]
+     */
+    async deleteNodeCate(id, remark = '') {
+        const [, error] = await this.call('rdb.deleteNodeCate', { cate: { id }, remark });
+        return error ? [null, error] : [true, null];
+    }
+
+    /**
+     * 统一rdb响应格式
+     * NDJSON返回每行的result组成的数组；{ code, data } 返回data；其他JSON原样返回
+     *
+     * @param {string} apiName API名称
+     * @param {string|object} result Curl返回的原始数据
+     * @return {Array} [数据, UpstreamError]
+     */
+    static unwrap(apiName, result) {
+        if (typeof result === 'string') {
+            const text = result.trim();
+            if (!text) {
+                return [null, null];
+            }
+            try {
+                result = JSON.parse(text);
+            } catch (e) {
+                return this.parseLines(apiName, text);
+            }
+        }
+
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            return [result ?? null, null];
+        }
+
+        if (result.error && typeof result.error === 'object') {
+            return [null, UpstreamError.fromBody(apiName, result)];
+        }
+        if (typeof result.code === 'number' && ('data' in result || 'message' in result || 'msg' in result)) {
+            if (result.code !== 0) {
+                return [null, UpstreamError.fromBody(apiName, result)];
+            }
+            return [result.data ?? null, null];
+        }
+        if (result.result && typeof result.result === 'object') {
+            return [[result.result], null];
+        }
+
+        return [result, null];
+    }
+
+    /**
+     * 解析NDJSON响应
+     * 任一行为错误时整体视为失败，无法解析的行记录日志后跳过
+     *
+     * @param {string} apiName API名称
+     * @param {string} text 响应文本
+     * @return {Array} [每行result组成的数组, UpstreamError]
+     */
+    static parseLines(apiName, text) {
+        const items = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            let row;
+            try {
+                row = JSON.parse(line);
+            } catch (e) {
+                Logger.warning('解析rdb数据行失败', { apiName, line, error: e.message });
+                continue;
+            }
+            if (row.error && typeof row.error === 'object') {
+                return [null, UpstreamError.fromBody(apiName, row)];
+            }
+            items.push(row.result ?? row);
+        }
+        return [items, null];
+    }
+
+    /**
+     * 从统一后的数据中取出列表
+     * 兼容 NDJSON 每行 { [field]: ... }、{ [field + 's']: [...] } 和直接返回数组
+     *
+     * @param {*} data unwrap返回的数据
+     * @param {string} field 列表项字段名，如 cate、node
+     * @return {Array} 列表
+     */
+    static toList(data, field) {
+        if (Array.isArray(data)) {
+            return data.flatMap(item => {
+                if (item && item[field]) {
+                    return [item[field]];
+                }
+                return Array.isArray(item?.[field + 's']) ? item[field + 's'] : [];
+            });
+        }
+        if (data && typeof data === 'object') {
+            return data[field + 's'] || (data[field] ? [data[field]] : []);
+        }
+        return [];
+    }
+}
+
+module.exports = RdbClient;
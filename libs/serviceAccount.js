@@ -0,0 +1,250 @@
+/**
+ * 服务账号和API Key
+ * 供数据采集器、ETL脚本等机器客户端使用，通过 X-Api-Key 请求头认证，
+ * 权限范围（scopes）使用与用户相同的权限标识和通配符规则
+ *
+ * API Key格式为 tmk_${prefix}_${secret}：prefix用于查找服务账号，完整的Key只在创建时返回一次，
+ * 保存的是bcrypt哈希
+ *
+ * Redis键：
+ * - service-account-${id}: 服务账号 { id, name, description, scopes, tenant, key_prefix, key_hash,
+ *   created_by, created_at, expires_at, revoked_at }
+ * - service-account-used-${id}: 最后使用时间，单独保存，认证时写入不会覆盖并发的撤销
+ * - service-accounts: 全部服务账号ID（集合）
+ * - service-account-key-${prefix}: prefix => 服务账号ID
+ * - api-key-verified-${sha256}: 已通过bcrypt校验的Key，短时间内不再重复计算哈希
+ *
+ * 配置：
+ * - API_KEY_BCRYPT_ROUNDS: bcrypt轮数，默认10
+ * - API_KEY_VERIFY_CACHE_TTL: 校验结果缓存时间（秒），默认60
+ * - SERVICE_ACCOUNT_UPSTREAM_TOKEN: 服务账号请求rdb等上游服务时使用的token
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Redis = require('../utils/redis');
+const Logger = require('../utils/logger');
+
+/**
+ * API Key格式
+ */
+const API_KEY_PATTERN = /^tmk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * ServiceAccount类
+ * 服务账号管理和API Key认证
+ */
+class ServiceAccount {
+    /**
+     * 配置
+     */
+    static config = {
+        bcryptRounds: parseInt(process.env.API_KEY_BCRYPT_ROUNDS) || 10,
+        verifyCacheTtl: parseInt(process.env.API_KEY_VERIFY_CACHE_TTL) || 60
+    };
+
+    /**
+     * 创建服务账号并生成API Key
+     *
+     * @param {object} data { name, description, scopes, tenant, expires_at }
+     * @param {string} createdBy 创建人
+     * @return {Promise<object>} { account, apiKey }，apiKey只在此时返回
+     */
+    static async create(data, createdBy) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const prefix = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const apiKey = `tmk_${prefix}_${secret}`;
+
+        const account = {
+            id: id,
+            name: data.name,
+            description: data.description || '',
+            scopes: data.scopes,
+            tenant: data.tenant || '',
+            key_prefix: prefix,
+            key_hash: await bcrypt.hash(apiKey, this.config.bcryptRounds),
+            created_by: createdBy,
+            created_at: Math.floor(Date.now() / 1000),
+            expires_at: data.expires_at || null,
+            revoked_at: null,
+            last_used_at: null
+        };
+
+        await this.save(account);
+        await Redis.set(`service-account-key-${prefix}`, id);
+        await Redis.addMember('service-accounts', id);
+
+        Logger.info('服务账号已创建', {
+            id,
+            name: account.name,
+            scopes: account.scopes,
+            expiresAt: account.expires_at,
+            createdBy
+        });
+
+        return { account: this.describe(account), apiKey };
+    }
+
+    /**
+     * 保存服务账号
+     * 账号过期后保留记录，便于审计；最后使用时间不随账号保存，见 touch()
+     *
+     * @param {object} account 服务账号
+     * @return {Promise<void>}
+     */
+    static async save(account) {
+        const { last_used_at, ...record } = account;
+        await Redis.set(`service-account-${account.id}`, JSON.stringify(record));
+    }
+
+    /**
+     * 记录服务账号的最后使用时间
+     *
+     * @param {string} id 服务账号ID
+     * @return {Promise<number>} 最后使用时间
+     */
+    static async touch(id) {
+        const now = Math.floor(Date.now() / 1000);
+        await Redis.set(`service-account-used-${id}`, String(now));
+        return now;
+    }
+
+    /**
+     * 获取服务账号
+     *
+     * @param {string} id 服务账号ID
+     * @return {Promise<object|null>} 服务账号，不存在返回null
+     */
+    static async get(id) {
+        const value = await Redis.get(`service-account-${id}`);
+        if (!value) {
+            return null;
+        }
+        const account = JSON.parse(value);
+        account.last_used_at = parseInt(await Redis.get(`service-account-used-${id}`)) || account.last_used_at || null;
+        return account;
+    }
+
+    /**
+     * 获取全部服务账号
+     *
+     * @return {Promise<Array>} 服务账号列表（不含Key哈希），按创建时间倒序
+     */
+    static async list() {
+        const accounts = [];
+        for (const id of await Redis.members('service-accounts')) {
+            const account = await this.get(id);
+            if (account) {
+                accounts.push(this.describe(account));
+            }
+        }
+        return accounts.sort((a, b) => b.created_at - a.created_at);
+    }
+
+    /**
+     * 撤销服务账号
+     * 撤销后API Key立即失效
+     *
+     * @param {string} id 服务账号ID
+     * @param {string} revokedBy 操作人
+     * @return {Promise<object|null>} 撤销后的服务账号，不存在返回null
+     */
+    static async revoke(id, revokedBy) {
+        const account = await this.get(id);
+        if (!account) {
+            return null;
+        }
+
+        if (!account.revoked_at) {
+            account.revoked_at = Math.floor(Date.now() / 1000);
+            await this.save(account);
+
+            Logger.warning('服务账号已撤销', {
+                id,
+                name: account.name,
+                revokedBy
+            });
+        }
+
+        return this.describe(account);
+    }
+
+    /**
+     * 使用API Key认证
+     *
+     * @param {string} apiKey X-Api-Key请求头的值
+     * @return {Promise<object>} { account } 或 { reason }（invalid_key、revoked、expired）
+     */
+    static async authenticate(apiKey) {
+        const match = API_KEY_PATTERN.exec(String(apiKey || ''));
+        if (!match) {
+            return { reason: 'invalid_key' };
+        }
+
+        const id = await Redis.get(`service-account-key-${match[1]}`);
+        const account = id ? await this.get(id) : null;
+        if (!account) {
+            return { reason: 'invalid_key' };
+        }
+
+        // bcrypt校验较慢，校验通过的Key在缓存期内只比较摘要；撤销和过期状态每次都检查
+        const digest = crypto.createHash('sha256').update(apiKey).digest('hex');
+        const cacheKey = `api-key-verified-${digest}`;
+        if ((await Redis.get(cacheKey)) !== account.id) {
+            if (!(await bcrypt.compare(apiKey, account.key_hash))) {
+                return { reason: 'invalid_key' };
+            }
+            await Redis.set(cacheKey, account.id, this.config.verifyCacheTtl);
+
+            account.last_used_at = await this.touch(account.id);
+        }
+
+        if (account.revoked_at) {
+            return { reason: 'revoked' };
+        }
+        if (account.expires_at && account.expires_at <= Math.floor(Date.now() / 1000)) {
+            return { reason: 'expired' };
+        }
+
+        return { account };
+    }
+
+    /**
+     * 构建服务账号的用户上下文
+     * 权限即服务账号的scopes，没有菜单
+     *
+     * @param {object} serviceAccount req.user.serviceAccount
+     * @return {object} 用户上下文 { profile, tenant, permissions, menu }
+     */
+    static toContext(serviceAccount) {
+        return {
+            profile: {
+                id: serviceAccount.id,
+                username: serviceAccount.name,
+                tenant: serviceAccount.tenant,
+                type: 'service_account'
+            },
+            tenant: null,
+            permissions: serviceAccount.scopes,
+            menu: {}
+        };
+    }
+
+    /**
+     * 去除敏感字段
+     *
+     * @param {object} account 服务账号
+     * @return {object} 可返回给客户端的服务账号信息
+     */
+    static describe(account) {
+        const { key_hash, ...rest } = account;
+        return rest;
+    }
+}
+
+module.exports = ServiceAccount;
@@ -0,0 +1,182 @@
+/**
+ * TOTP动态口令（RFC 6238）
+ * 与Google Authenticator、Microsoft Authenticator等应用兼容：HMAC-SHA1、6位、30秒步长
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Base32字母表（RFC 4648）
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Totp类
+ * 密钥生成、口令计算和校验
+ */
+class Totp {
+    /**
+     * 时间步长（秒）
+     */
+    static period = 30;
+
+    /**
+     * 口令位数
+     */
+    static digits = 6;
+
+    /**
+     * 校验时前后允许的步数，用于容忍客户端时钟偏差
+     */
+    static window = 1;
+
+    /**
+     * 生成随机密钥
+     *
+     * @param {number} bytes 密钥字节数，默认20（160位，与SHA1输出等长）
+     * @return {string} Base32编码的密钥
+     */
+    static generateSecret(bytes = 20) {
+        return this.base32Encode(crypto.randomBytes(bytes));
+    }
+
+    /**
+     * Base32编码（不带填充）
+     *
+     * @param {Buffer} buffer 原始数据
+     * @return {string} Base32字符串
+     */
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Base32解码
+     * 忽略空格、填充符和大小写
+     *
+     * @param {string} str Base32字符串
+     * @return {Buffer} 原始数据
+     */
+    static base32Decode(str) {
+        const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Base32字符无效: ' + char);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * 获取时间对应的步数
+     *
+     * @param {number} time 时间戳（毫秒），默认当前时间
+     * @return {number} 步数
+     */
+    static getStep(time = Date.now()) {
+        return Math.floor(time / 1000 / this.period);
+    }
+
+    /**
+     * 计算指定步数的口令（HOTP，RFC 4226）
+     *
+     * @param {string} secret Base32编码的密钥
+     * @param {number} step 步数
+     * @return {string} 口令
+     */
+    static generate(secret, step = this.getStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, this.digits);
+
+        return String(code).padStart(this.digits, '0');
+    }
+
+    /**
+     * 校验口令
+     * 在前后 window 步内查找匹配的口令，返回匹配的步数；
+     * 调用方应记录已使用的步数，拒绝不大于它的步数以防止口令重放
+     *
+     * @param {string} secret Base32编码的密钥
+     * @param {string} code 用户输入的口令
+     * @param {number} lastStep 上次成功使用的步数，默认0
+     * @return {number|null} 匹配的步数，未匹配返回null
+     */
+    static verify(secret, code, lastStep = 0) {
+        const input = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(input) || input.length !== this.digits) {
+            return null;
+        }
+
+        const current = this.getStep();
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const step = current + offset;
+            if (step <= lastStep) {
+                continue;
+            }
+            const expected = Buffer.from(this.generate(secret, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(input))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 生成供认证器应用扫码的otpauth地址
+     *
+     * @param {string} secret Base32编码的密钥
+     * @param {string} account 账号名称
+     * @param {string} issuer 签发方名称，显示在认证器应用中
+     * @return {string} otpauth://totp/... 地址
+     */
+    static getProvisioningUri(secret, account, issuer) {
+        const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(account);
+        const params = new URLSearchParams({
+            secret: secret,
+            issuer: issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.period)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+}
+
+module.exports = Totp;
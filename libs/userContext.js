@@ -0,0 +1,273 @@
+/**
+ * 用户上下文加载器
+ * 按需解析当前用户的资料、租户、操作权限和菜单，每个请求只解析一次并缓存在Redis中
+ *
+ * 上下文缓存在 user-context-${username}，与权限缓存使用同一个版本号（perm-version），
+ * 角色变更时一起失效；缓存时间与权限缓存相同（PERMISSION_CACHE_TTL）
+ *
+ * @package libs
+ * @author System
+ * @version 1.0
+ */
+
+const Redis = require('../utils/redis');
+const Curl = require('../utils/curl');
+const Logger = require('../utils/logger');
+const PermissionEngine = require('./permissionEngine');
+const ServiceAccount = require('./serviceAccount');
+const RdbClient = require('./rdbClient');
+
+/**
+ * 根据用户权限生成菜单结构
+ * 用户权限支持通配符，匹配规则见 PermissionEngine.matches
+ *
+ * @param {object} sheet 权限表
+ * @param {boolean} isApp 是否为应用模式
+ * @param {Array} userOperations 用户操作权限列表
+ * @return {object} 菜单结构
+ */
+function toMenu(sheet, isApp = false, userOperations = []) {
+    const menu = {};
+
+    if (!sheet || !sheet.operations) {
+        return menu;
+    }
+
+    // 遍历权限表中的操作
+    sheet.operations.forEach(operation => {
+        // 检查用户是否有此操作权限
+        if (!PermissionEngine.findGrant(userOperations, operation.key)) {
+            return;
+        }
+
+        // 如果是应用模式，只显示标记为应用的菜单项
+        if (isApp && !operation.app) {
+            return;
+        }
+
+        // 构建菜单项
+        const menuItem = {
+            key: operation.key,
+            name: operation.name || operation.key,
+            path: operation.path || '',
+            icon: operation.icon || '',
+            order: operation.order || 0,
+            parent: operation.parent || null,
+            children: []
+        };
+
+        // 如果有父级菜单
+        if (operation.parent) {
+            // 确保父级菜单存在
+            if (!menu[operation.parent]) {
+                menu[operation.parent] = {
+                    key: operation.parent,
+                    name: operation.parent,
+                    path: '',
+                    icon: '',
+                    order: 0,
+                    children: []
+                };
+            }
+            // 添加到父级菜单的子菜单中
+            menu[operation.parent].children.push(menuItem);
+        } else {
+            // 顶级菜单
+            menu[operation.key] = menuItem;
+        }
+    });
+
+    // 对菜单项进行排序
+    Object.keys(menu).forEach(key => {
+        if (menu[key].children && menu[key].children.length > 0) {
+            menu[key].children.sort((a, b) => (a.order || 0) - (b.order || 0));
+        }
+    });
+
+    return menu;
+}
+
+/**
+ * UserContext类
+ * 解析并缓存用户上下文
+ */
+class UserContext {
+    /**
+     * 加载当前请求的用户上下文
+     * 同一个请求中多次调用共享同一次解析结果
+     *
+     * 上下文包含：
+     * - profile: 用户资料（rdb用户信息，附带app）
+     * - tenant: 租户节点元数据
+     * - permissions: 操作权限列表
+     * - menu: 按权限表生成的菜单
+     *
+     * @param {object} req Express请求对象，必须已通过tokenCheck
+     * @return {Promise<object>} 用户上下文
+     */
+    static load(req) {
+        if (!req.userContext) {
+            req.userContext = this.resolve(req.user).catch(error => {
+                req.userContext = null;
+                throw error;
+            });
+        }
+        return req.userContext;
+    }
+
+    /**
+     * 加载当前请求的用户操作权限
+     * 只获取权限（PermissionEngine缓存），不依赖用户资料、租户和权限表，
+     * 这些上游接口失败时权限检查仍可进行；同一请求已加载完整上下文时直接复用
+     *
+     * @param {object} req Express请求对象，必须已通过tokenCheck
+     * @return {Promise<Array>} 操作权限列表
+     */
+    static loadPermissions(req) {
+        if (!req.userPermissions) {
+            const user = req.user;
+            let pending;
+            if (req.userContext) {
+                pending = req.userContext.then(context => context.permissions);
+            } else if (user.serviceAccount) {
+                pending = Promise.resolve(ServiceAccount.toContext(user.serviceAccount).permissions);
+            } else {
+                pending = PermissionEngine.getPermissions(user.token, user.username);
+            }
+            req.userPermissions = pending.catch(error => {
+                req.userPermissions = null;
+                throw error;
+            });
+        }
+        return req.userPermissions;
+    }
+
+    /**
+     * 解析用户上下文
+     * 优先读取缓存，缓存不存在或版本已过期时从上游服务获取
+     *
+     * @param {object} user tokenCheck设置的req.user
+     * @return {Promise<object>} 用户上下文
+     */
+    static async resolve(user) {
+        // 服务账号的权限即其scopes，不请求上游服务也不缓存
+        if (user.serviceAccount) {
+            return ServiceAccount.toContext(user.serviceAccount);
+        }
+
+        const key = `user-context-${user.username}`;
+        const version = parseInt(await Redis.get('perm-version')) || 0;
+
+        const cached = await Redis.get(key);
+        if (cached) {
+            try {
+                const entry = JSON.parse(cached);
+                if (entry.version === version) {
+                    return entry.context;
+                }
+            } catch (e) {
+                // 缓存内容损坏时重新获取
+            }
+        }
+
+        const context = await this.build(user);
+        await Redis.set(key, JSON.stringify({
+            version: version,
+            context: context,
+            cached_at: Math.floor(Date.now() / 1000)
+        }), PermissionEngine.cacheTtl);
+
+        Logger.debug('用户上下文解析完成', {
+            userId: user.id,
+            hasTenant: !!context.tenant,
+            operationCount: context.permissions.length,
+            menuCount: Object.keys(context.menu).length
+        });
+
+        return context;
+    }
+
+    /**
+     * 从上游服务构建用户上下文
+     *
+     * @param {object} user tokenCheck设置的req.user
+     * @return {Promise<object>} 用户上下文，任一服务调用失败时抛出UpstreamError
+     */
+    static async build(user) {
+        const token = user.token;
+
+        const profile = await this.fetchProfile(token);
+        const permissions = await PermissionEngine.getPermissions(token, user.username);
+
+        // 租户优先取用户资料，其次取token自定义载荷
+        const tenantPath = profile.tenant || (user.payload && user.payload.tenant) || null;
+        let tenant = null;
+        if (tenantPath) {
+            const [tenantNode, tenantError] = await new RdbClient(token).getNode({ path: tenantPath });
+            if (tenantError) {
+                throw tenantError;
+            }
+            tenant = tenantNode?.metadata || null;
+        }
+
+        // 根据系统操作权限表生成菜单
+        const [sheetsResult, sheetsError] = await Curl.api('rdb.loadOperationSheet', token, 'nps')
+            .request();
+        if (sheetsError) {
+            throw sheetsError;
+        }
+
+        const menu = {};
+        if (sheetsResult && sheetsResult.operations) {
+            sheetsResult.operations.forEach(sheet => {
+                const tmp = toMenu(sheet, profile.app || false, permissions);
+                if (tmp && Object.keys(tmp).length > 0) {
+                    menu[sheet.key] = tmp;
+                }
+            });
+        }
+
+        return { profile, tenant, permissions, menu };
+    }
+
+    /**
+     * 获取用户资料
+     * 认证服务返回 "app:username" 格式的账号，再从rdb服务获取用户详细信息
+     *
+     * @param {string} token 用户token
+     * @return {Promise<object>} 用户资料
+     */
+    static async fetchProfile(token) {
+        const [res, error] = await Curl.api('auth.whoami', token, 'nps').request();
+        if (error) {
+            throw error;
+        }
+
+        const usernameParts = String(res?.username || '').split(':');
+        if (usernameParts.length < 2) {
+            throw new Error('用户账号格式错误');
+        }
+
+        const [userRes, userError] = await Curl.api('rdb.getUser', token)
+            .request({ user: { username: usernameParts[1] } });
+        if (userError) {
+            throw userError;
+        }
+
+        return { ...userRes.user, app: usernameParts[0] };
+    }
+
+    /**
+     * 使用户上下文缓存失效
+     * 同时删除该用户的权限缓存
+     *
+     * @param {string} username 用户名
+     * @return {Promise<void>}
+     */
+    static async invalidate(username) {
+        await Redis.del(`user-context-${username}`);
+        await PermissionEngine.invalidateUser(username);
+    }
+}
+
+module.exports = UserContext;
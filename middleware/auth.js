@@ -11,6 +11,10 @@ const Jwt = require('../utils/jwt');
 const Redis = require('../utils/redis');
 const Logger = require('../utils/logger');
 const Curl = require('../utils/curl');
+const { UpstreamError } = Curl;
+const PermissionEngine = require('../libs/permissionEngine');
+const UserContext = require('../libs/userContext');
+const ServiceAccount = require('../libs/serviceAccount');
 
 /**
  * 认证中间件类
@@ -24,9 +28,15 @@ class AuthMiddleware {
      * @param {object} req Express请求对象
      * @param {object} res Express响应对象
      * @param {function} next 下一个中间件函数
+     * @param {object} options { refresh }，refresh为true表示刷新token请求，见 refreshCheck
      */
-    static async tokenCheck(req, res, next) {
+    static async tokenCheck(req, res, next, options = {}) {
         try {
+            // 机器客户端使用API Key认证
+            if (req.headers['x-api-key']) {
+                return await AuthMiddleware.apiKeyCheck(req, res, next);
+            }
+
             // 从请求头获取token
             const token = req.headers['x-session-token'] || 
                          req.headers['authorization']?.replace('Bearer ', '') || 
@@ -41,18 +51,40 @@ class AuthMiddleware {
             }
 
             // 验证JWT token
-            const decoded = Jwt.verifyToken(token);
-            if (!decoded) {
+            const verification = Jwt.verifyToken(token);
+            if (!verification.valid) {
+                Logger.info('token验证未通过', {
+                    reason: verification.reason,
+                    ip: req.ip
+                });
+                return res.status(401).json({
+                    success: false,
+                    code: 401,
+                    reason: verification.reason,
+                    message: verification.error
+                });
+            }
+            const decoded = verification.token;
+
+            // 检查token是否已被撤销
+            const revoked = await AuthMiddleware.checkRevoked(decoded, { refresh: options.refresh === true });
+            if (revoked) {
+                Logger.warning('已撤销的token被使用', {
+                    userId: decoded.sub,
+                    jti: decoded.jti,
+                    reason: revoked,
+                    ip: req.ip
+                });
                 return res.status(401).json({
                     success: false,
                     code: 401,
-                    message: 'token无效或已过期'
+                    message: 'token已失效，请重新登录'
                 });
             }
 
-            // 检查Redis中的token缓存
-            const cachedToken = await Redis.get(`user-${decoded.sub}`);
-            if (!cachedToken || cachedToken !== token) {
+            // 检查Redis会话注册表中的会话
+            const session = await AuthMiddleware.loadSession(decoded);
+            if (!session) {
                 return res.status(401).json({
                     success: false,
                     code: 401,
@@ -60,11 +92,30 @@ class AuthMiddleware {
                 });
             }
 
+            // 更新会话最后活跃时间，单独写入活跃信息，不改写会话记录
+            await Redis.touchSession(decoded.sub, session.sid, {
+                last_seen: Math.floor(Date.now() / 1000),
+                ip: req.ip || session.ip
+            });
+
+            // 在线状态心跳，失败不影响认证结果
+            try {
+                await Redis.touchPresence(decoded.sub, AuthMiddleware.getPresenceScope(decoded));
+            } catch (error) {
+                Logger.warning('记录在线心跳失败', {
+                    userId: decoded.sub,
+                    error: error.message
+                });
+            }
+
             // 将用户信息添加到请求对象
             req.user = {
                 id: decoded.sub,
                 username: decoded.sub,
                 token: token,
+                jti: decoded.jti,
+                sid: session.sid,
+                claims: decoded,
                 payload: decoded.payload
             };
 
@@ -92,6 +143,75 @@ class AuthMiddleware {
         }
     }
 
+    /**
+     * API Key验证
+     * 服务账号通过 X-Api-Key 请求头认证，权限为服务账号的scopes；
+     * 服务账号没有会话，请求上游服务时使用 SERVICE_ACCOUNT_UPSTREAM_TOKEN
+     *
+     * @param {object} req Express请求对象
+     * @param {object} res Express响应对象
+     * @param {function} next 下一个中间件函数
+     */
+    static async apiKeyCheck(req, res, next) {
+        const { account, reason } = await ServiceAccount.authenticate(req.headers['x-api-key']);
+        if (!account) {
+            Logger.info('API Key验证未通过', {
+                reason,
+                ip: req.ip
+            });
+            return res.status(401).json({
+                success: false,
+                code: 401,
+                reason: reason,
+                message: reason === 'invalid_key' ? 'API Key无效' : 'API Key已失效'
+            });
+        }
+
+        req.user = {
+            id: `sa:${account.id}`,
+            username: `sa:${account.id}`,
+            type: 'service_account',
+            token: process.env.SERVICE_ACCOUNT_UPSTREAM_TOKEN || '',
+            jti: null,
+            sid: null,
+            claims: null,
+            payload: { tenant: account.tenant },
+            serviceAccount: {
+                id: account.id,
+                name: account.name,
+                scopes: account.scopes,
+                tenant: account.tenant
+            }
+        };
+
+        Logger.info('服务账号认证成功', {
+            serviceAccountId: account.id,
+            name: account.name,
+            ip: req.ip
+        });
+
+        next();
+    }
+
+    /**
+     * 拒绝服务账号访问
+     * 用于登出、刷新、会话管理、双因素认证等依赖用户会话的接口，需在tokenCheck之后使用
+     *
+     * @param {object} req Express请求对象
+     * @param {object} res Express响应对象
+     * @param {function} next 下一个中间件函数
+     */
+    static userOnly(req, res, next) {
+        if (req.user?.serviceAccount) {
+            return res.status(403).json({
+                success: false,
+                code: 403,
+                message: '服务账号不能访问此接口'
+            });
+        }
+        next();
+    }
+
     /**
      * gRPC Token验证
      * 通过gRPC调用认证服务验证token（模拟实现）
@@ -105,14 +225,19 @@ class AuthMiddleware {
             // 在实际项目中，需要使用gRPC客户端调用认证服务
             
             // 首先尝试JWT验证
-            const decoded = Jwt.verifyToken(token);
-            if (!decoded) {
+            const verification = Jwt.verifyToken(token);
+            if (!verification.valid) {
+                return 0;
+            }
+            const decoded = verification.token;
+
+            // 检查token是否已被撤销
+            if (await AuthMiddleware.checkRevoked(decoded)) {
                 return 0;
             }
 
-            // 检查Redis缓存
-            const cachedToken = await Redis.get(`user-${decoded.sub}`);
-            if (!cachedToken || cachedToken !== token) {
+            // 检查Redis会话注册表
+            if (!await AuthMiddleware.loadSession(decoded)) {
                 return 0;
             }
 
@@ -129,41 +254,116 @@ class AuthMiddleware {
     }
 
     /**
-     * 获取当前用户信息
-     * 通过token获取用户的详细信息
+     * 刷新token请求的验证中间件
+     * 与tokenCheck相同，但已轮换的token用于刷新时不享有宽限期，超出宽限期视为盗用
      * 
-     * @param {string} token 用户token
-     * @return {Promise<object|null>} 用户信息对象或null
+     * @param {object} req Express请求对象
+     * @param {object} res Express响应对象
+     * @param {function} next 下一个中间件函数
      */
-    static async whoami(token) {
-        try {
-            // 调用认证服务获取用户信息
-            const [res, error] = await Curl.api('auth.whoami', token, 'nps').request();
-            if (error) {
-                throw new Error('认证服务调用失败: ' + error);
-            }
+    static async refreshCheck(req, res, next) {
+        return AuthMiddleware.tokenCheck(req, res, next, { refresh: true });
+    }
 
-            // 解析用户名格式 "app:username"
-            const usernameParts = res.username.split(':');
-            if (usernameParts.length < 2) {
-                throw new Error('用户账号格式错误');
+    /**
+     * 检查token是否已被撤销
+     * 依次检查jti黑名单和用户级别的全部会话撤销记录
+     * 已轮换的token在宽限期（REFRESH_GRACE_PERIOD）内仍可用于普通请求，避免刷新时并发的请求失败；
+     * 超出宽限期后普通请求只拒绝，再次用于刷新才视为盗用并撤销该用户的全部会话
+     * 
+     * @param {object} decoded verifyToken返回的token数据对象（verification.token）
+     * @param {object} options { refresh }，是否为刷新token请求
+     * @return {Promise<string|null>} 撤销原因，未撤销返回null
+     */
+    static async checkRevoked(decoded, { refresh = false } = {}) {
+        const reason = await Redis.getDenyReason(decoded.jti);
+        if (reason === 'rotated') {
+            const inGrace = await Redis.inRotationGrace(decoded.jti);
+            if (inGrace && !refresh) {
+                return null;
+            }
+            if (!inGrace && refresh) {
+                Logger.warning('检测到已轮换的token被重复用于刷新，撤销用户全部会话', {
+                    userId: decoded.sub,
+                    jti: decoded.jti
+                });
+                await Redis.revokeUserSessions(decoded.sub, Jwt.getMaxLifetime());
+                return 'reused';
             }
+            return 'rotated';
+        }
+        if (reason) {
+            return reason;
+        }
 
-            const userData = {
-                user: { username: usernameParts[1] }
-            };
+        // iat精度为秒，撤销所在这一秒内签发的token不按时间拒绝，避免撤销后立即重新登录的token失效；
+        // 撤销时会话注册表已清空，同一秒内撤销前签发的token由loadSession拒绝
+        const revokedAt = await Redis.getUserRevokedAt(decoded.sub);
+        if (revokedAt && decoded.iat < revokedAt) {
+            return 'revoked';
+        }
 
-            // 获取用户详细信息
-            const [userRes, userError] = await Curl.api('rdb.getUser', token).request(userData);
-            if (userError) {
-                throw new Error('获取用户信息失败: ' + userError);
-            }
+        return null;
+    }
+
+    /**
+     * 获取token所属的会话标识
+     * 刷新后的token携带sid声明；首次签发的token以自身jti作为会话标识
+     * 
+     * @param {object} decoded verifyToken返回的token数据对象（verification.token）
+     * @return {string} 会话标识
+     */
+    static getSessionId(decoded) {
+        return decoded.sid || decoded.jti;
+    }
 
-            const user = userRes.user;
-            user.app = usernameParts[0]; // 添加应用标识
+    /**
+     * 加载token对应的会话
+     * 会话必须存在，且会话当前的token必须是本token；刚轮换的上一个token在宽限期内仍有效
+     * 
+     * @param {object} decoded verifyToken返回的token数据对象（verification.token）
+     * @return {Promise<object|null>} 会话信息，无效返回null
+     */
+    static async loadSession(decoded) {
+        const session = await Redis.getSession(decoded.sub, AuthMiddleware.getSessionId(decoded));
+        if (!session) {
+            return null;
+        }
+        if (session.jti === decoded.jti) {
+            return session;
+        }
+        if (session.previous_jti === decoded.jti && await Redis.inRotationGrace(decoded.jti)) {
+            return session;
+        }
+        return null;
+    }
 
-            return user;
+    /**
+     * 获取用户的在线统计范围
+     * 租户和应用优先取自token自定义载荷，应用缺省时从 "app:username" 格式的用户标识中解析
+     * 
+     * @param {object} decoded verifyToken返回的token数据对象（verification.token）
+     * @return {object} { tenant, app }
+     */
+    static getPresenceScope(decoded) {
+        const payload = (decoded.payload && typeof decoded.payload === 'object') ? decoded.payload : {};
+        const sub = String(decoded.sub);
+        return {
+            tenant: payload.tenant || '',
+            app: payload.app || (sub.includes(':') ? sub.split(':')[0] : '')
+        };
+    }
 
+    /**
+     * 获取当前用户信息
+     * 通过token获取用户的详细信息
+     * 
+     * @param {string} token 用户token
+     * @return {Promise<object|null>} 用户信息对象或null
+     */
+    static async whoami(token) {
+        try {
+            return await UserContext.fetchProfile(token);
         } catch (error) {
             Logger.error('获取用户信息失败', {
                 error: error.message,
@@ -175,12 +375,17 @@ class AuthMiddleware {
 
     /**
      * 权限检查中间件
-     * 检查用户是否有访问特定资源的权限
+     * 检查用户是否有访问特定资源的权限，判定规则见 PermissionEngine.evaluate
+     * 
+     * 用法：
+     * - requirePermissions(['a', 'b']): 具备其一即可
+     * - requirePermissions({ allOf: ['a', 'b'] }): 必须全部具备
+     * - requirePermissions({ allOf: ['a'], anyOf: ['b', 'c'] }): 两者同时满足
      * 
-     * @param {Array} requiredPermissions 需要的权限列表
+     * @param {Array|object} requirement 需要的权限
      * @return {function} Express中间件函数
      */
-    static requirePermissions(requiredPermissions = []) {
+    static requirePermissions(requirement = []) {
         return async (req, res, next) => {
             try {
                 if (!req.user) {
@@ -191,23 +396,30 @@ class AuthMiddleware {
                     });
                 }
 
+                const { allOf, anyOf } = PermissionEngine.normalize(requirement);
+
                 // 如果没有指定权限要求，直接通过
-                if (requiredPermissions.length === 0) {
+                if (allOf.length === 0 && anyOf.length === 0) {
                     return next();
                 }
 
-                // 获取用户权限
-                const userPermissions = await this.getUserPermissions(req.user.token, req.user.username);
-                
-                // 检查是否有所需权限
-                const hasPermission = requiredPermissions.some(permission => 
-                    userPermissions.includes(permission)
-                );
+                // 只获取用户权限，用户资料、租户和菜单的上游接口失败不影响权限检查
+                const userPermissions = await UserContext.loadPermissions(req);
+
+                const decision = PermissionEngine.evaluate(userPermissions, { allOf, anyOf });
+                PermissionEngine.logDecision(decision, {
+                    userId: req.user.id,
+                    method: req.method,
+                    path: req.originalUrl,
+                    requestId: req.headers['x-request-id']
+                });
 
-                if (!hasPermission) {
+                if (!decision.allowed) {
                     return res.status(403).json({
                         success: false,
                         code: 403,
+                        reason: decision.reason,
+                        missing: decision.missing,
                         message: '权限不足'
                     });
                 }
@@ -218,7 +430,7 @@ class AuthMiddleware {
                 Logger.error('权限检查失败', {
                     error: error.message,
                     userId: req.user?.id,
-                    requiredPermissions
+                    requirement
                 });
 
                 return res.status(500).json({
@@ -230,43 +442,51 @@ class AuthMiddleware {
         };
     }
 
+    /**
+     * 用户上下文中间件
+     * 解析用户资料、租户、权限和菜单并写入req.user，需在tokenCheck之后使用
+     * 
+     * @param {object} req Express请求对象
+     * @param {object} res Express响应对象
+     * @param {function} next 下一个中间件函数
+     */
+    static async loadUserContext(req, res, next) {
+        try {
+            const context = await UserContext.load(req);
+            req.user.profile = context.profile;
+            req.user.tenant = context.tenant;
+            req.user.permissions = context.permissions;
+            req.user.menu = context.menu;
+            next();
+
+        } catch (error) {
+            Logger.error('加载用户上下文失败', {
+                error: error.message,
+                userId: req.user?.id,
+                requestId: req.headers['x-request-id']
+            });
+
+            // 上游错误按类型转换状态码，提示中不包含错误详情
+            const mapped = UpstreamError.toHttp(error);
+            return res.status(mapped.status).json({
+                success: false,
+                code: mapped.code,
+                reason: mapped.reason,
+                message: '加载用户上下文失败: ' + mapped.message
+            });
+        }
+    }
+
     /**
      * 获取用户权限列表
      * 
      * @param {string} token 用户token
      * @param {string} username 用户名
-     * @return {Promise<Array>} 权限列表
+     * @return {Promise<Array>} 权限列表，获取失败时返回空数组
      */
     static async getUserPermissions(token, username) {
         try {
-            const data = {
-                user: { username: username }
-            };
-
-            // 获取用户角色权限
-            const [res, error] = await Curl.api('rdb.listUserRole', token).request(data, false);
-            if (error) {
-                throw new Error('获取用户角色失败: ' + error);
-            }
-
-            // 解析权限操作列表
-            const lines = res.split('\n');
-            const operations = [];
-            
-            for (const line of lines) {
-                try {
-                    const tmp = JSON.parse(line);
-                    if (tmp.result && tmp.result.operations) {
-                        operations.push(...tmp.result.operations);
-                    }
-                } catch (e) {
-                    // 忽略解析错误的行
-                }
-            }
-
-            // 去重并返回
-            return [...new Set(operations)];
-
+            return await PermissionEngine.getPermissions(token, username);
         } catch (error) {
             Logger.error('获取用户权限失败', {
                 error: error.message,
@@ -289,8 +509,8 @@ class AuthMiddleware {
                      req.headers['authorization']?.replace('Bearer ', '') || 
                      req.query.token;
 
-        if (token) {
-            // 如果有token，则进行验证
+        if (token || req.headers['x-api-key']) {
+            // 如果有token或API Key，则进行验证
             return AuthMiddleware.tokenCheck(req, res, next);
         } else {
             // 没有token，直接跳过
@@ -0,0 +1,452 @@
+/**
+ * 限流中间件
+ * 按IP、用户或API Key限制请求频率，支持令牌桶和滑动窗口两种算法，
+ * 计数保存在Redis中供多个实例共享；Redis不可用时退回到进程内存计数
+ *
+ * 响应头：
+ * - RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy
+ * - Retry-After: 被限流（429）时需要等待的秒数
+ *
+ * 配置（NAME为路由名称，如 AUTH、CATE、BASIN）：
+ * - RATE_LIMIT_ENABLED: 设为false时关闭全部限流
+ * - RATE_LIMIT_${NAME}_ALGORITHM: token-bucket 或 sliding-window
+ * - RATE_LIMIT_${NAME}_LIMIT: 窗口内允许的请求数（令牌桶容量）
+ * - RATE_LIMIT_${NAME}_WINDOW: 窗口长度（令牌桶补满的时间），单位秒
+ * - RATE_LIMIT_${NAME}_KEY: 计数维度 ip、user、api-key 或 auto（依次取API Key、用户、IP），API Key认证通过后才按服务账号计数
+ *
+ * 用法：
+ * router.use(RateLimit.forRouter('cate'));
+ * router.post('/x', RateLimit.create({ name: 'x', algorithm: 'sliding-window', limit: 10, window: 60, keyBy: 'user' }), ...);
+ *
+ * @package middleware
+ * @author System
+ * @version 1.0
+ */
+
+const Jwt = require('../utils/jwt');
+const Redis = require('../utils/redis');
+const Logger = require('../utils/logger');
+const ServiceAccount = require('../libs/serviceAccount');
+
+/**
+ * 内存计数
+ * Redis不可用时使用，与Redis计数的算法和返回值一致；计数只在当前进程内有效
+ */
+class MemoryStore {
+    /**
+     * @param {number} maxKeys 最多保存的键数量，超出时先清理过期的键，仍超出时淘汰最早的键
+     */
+    constructor(maxKeys = 10000) {
+        this.maxKeys = maxKeys;
+        this.entries = new Map();
+    }
+
+    /**
+     * 读取未过期的键
+     *
+     * @param {string} key 键名
+     * @param {number} now 当前时间（毫秒）
+     * @return {object|undefined} 键值
+     */
+    get(key, now) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * 写入键
+     *
+     * @param {string} key 键名
+     * @param {object} entry 键值，需包含 expiresAt
+     * @param {number} now 当前时间（毫秒）
+     * @return {void}
+     */
+    set(key, entry, now) {
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxKeys) {
+            for (const [name, value] of this.entries) {
+                if (value.expiresAt <= now) {
+                    this.entries.delete(name);
+                }
+            }
+            if (this.entries.size >= this.maxKeys) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+        this.entries.set(key, entry);
+    }
+
+    /**
+     * 令牌桶限流，算法同 Redis.tokenBucket
+     *
+     * @param {string} key 键名
+     * @param {number} capacity 桶容量
+     * @param {number} window 补满整个桶需要的时间（秒）
+     * @return {object} { allowed, tokens }
+     */
+    tokenBucket(key, capacity, window) {
+        const now = Date.now();
+        const bucket = this.get(key, now) || { tokens: capacity, ts: now };
+        let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * capacity / (window * 1000));
+        const allowed = tokens >= 1;
+        if (allowed) {
+            tokens -= 1;
+        }
+        this.set(key, { tokens, ts: now, expiresAt: now + window * 1000 }, now);
+        return { allowed, tokens };
+    }
+
+    /**
+     * 滑动窗口限流，算法同 Redis.slidingWindow
+     *
+     * @param {string} key 键名
+     * @param {number} limit 窗口内允许的请求数
+     * @param {number} window 窗口长度（秒）
+     * @return {object} { allowed, count, previous, current, elapsed }
+     */
+    slidingWindow(key, limit, window) {
+        const now = Date.now();
+        const size = window * 1000;
+        const index = Math.floor(now / size);
+        const elapsed = now - index * size;
+        const weight = 1 - elapsed / size;
+
+        const previous = this.get(`${key}-${index - 1}`, now)?.count || 0;
+        let current = this.get(`${key}-${index}`, now)?.count || 0;
+        const allowed = previous * weight + current + 1 <= limit;
+        if (allowed) {
+            current++;
+            this.set(`${key}-${index}`, { count: current, expiresAt: now + size * 2 }, now);
+        }
+        return { allowed, count: previous * weight + current, previous, current, elapsed };
+    }
+}
+
+/**
+ * RateLimit类
+ * 创建限流中间件
+ */
+class RateLimit {
+    /**
+     * 支持的算法
+     */
+    static algorithms = ['token-bucket', 'sliding-window'];
+
+    /**
+     * 支持的计数维度
+     */
+    static keyTypes = ['ip', 'user', 'api-key', 'auto'];
+
+    /**
+     * 各路由的默认限制，可通过 RATE_LIMIT_${NAME}_* 覆盖
+     */
+    static defaults = {
+        auth: { algorithm: 'sliding-window', limit: 120, window: 60, keyBy: 'auto' },
+        cate: { algorithm: 'token-bucket', limit: 300, window: 60, keyBy: 'auto' },
+        basin: { algorithm: 'token-bucket', limit: 300, window: 60, keyBy: 'auto' }
+    };
+
+    /**
+     * Redis不可用时使用的内存计数
+     */
+    static memory = new MemoryStore();
+
+    /**
+     * 上次记录退回内存计数的时间，避免Redis故障期间每个请求都写日志
+     */
+    static fallbackLoggedAt = 0;
+
+    /**
+     * 获取路由的限流配置
+     * 优先级：环境变量 > 调用方传入的配置 > 默认配置
+     *
+     * @param {string} name 路由名称
+     * @param {object} options 调用方传入的配置 { algorithm, limit, window, keyBy }
+     * @return {object} 限流配置 { name, algorithm, limit, window, keyBy }
+     */
+    static getConfig(name, options = {}) {
+        const prefix = `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+        const env = process.env;
+        const config = {
+            algorithm: 'sliding-window',
+            limit: 100,
+            window: 60,
+            keyBy: 'auto',
+            ...this.defaults[name],
+            ...options,
+            name: name
+        };
+
+        if (env[prefix + 'ALGORITHM']) {
+            config.algorithm = env[prefix + 'ALGORITHM'];
+        }
+        if (parseInt(env[prefix + 'LIMIT']) > 0) {
+            config.limit = parseInt(env[prefix + 'LIMIT']);
+        }
+        if (parseInt(env[prefix + 'WINDOW']) > 0) {
+            config.window = parseInt(env[prefix + 'WINDOW']);
+        }
+        if (env[prefix + 'KEY']) {
+            config.keyBy = env[prefix + 'KEY'];
+        }
+
+        return config;
+    }
+
+    /**
+     * 创建路由级限流中间件
+     *
+     * @param {string} name 路由名称，对应 defaults 和环境变量
+     * @param {object} options 默认配置之外的配置
+     * @return {function} Express中间件函数
+     */
+    static forRouter(name, options = {}) {
+        return this.create({ ...options, name });
+    }
+
+    /**
+     * 创建限流中间件
+     * 配置无效时在启动阶段抛出异常；运行中计数失败时放行请求
+     *
+     * @param {object} options { name, algorithm, limit, window, keyBy }，keyBy也可以是 (req) => string
+     * @return {function} Express中间件函数
+     */
+    static create(options = {}) {
+        if (!options.name) {
+            throw new Error('限流配置缺少name');
+        }
+        const config = this.getConfig(options.name, options);
+
+        if (!this.algorithms.includes(config.algorithm)) {
+            throw new Error(`限流算法无效: ${config.algorithm}`);
+        }
+        if (typeof config.keyBy !== 'function' && !this.keyTypes.includes(config.keyBy)) {
+            throw new Error(`限流计数维度无效: ${config.keyBy}`);
+        }
+        if (!(config.limit > 0) || !(config.window > 0)) {
+            throw new Error(`限流配置无效: ${config.name}`);
+        }
+
+        Logger.info('限流已配置', {
+            name: config.name,
+            algorithm: config.algorithm,
+            limit: config.limit,
+            window: config.window,
+            keyBy: typeof config.keyBy === 'function' ? 'custom' : config.keyBy
+        });
+
+        return async (req, res, next) => {
+            if (process.env.RATE_LIMIT_ENABLED === 'false') {
+                return next();
+            }
+
+            try {
+                const identity = await RateLimit.getIdentity(req, config.keyBy);
+                const result = await RateLimit.consume(config, `rate-limit-${config.name}-${identity}`);
+                RateLimit.setHeaders(res, config, result);
+
+                if (!result.allowed) {
+                    Logger.warning('请求频率超出限制', {
+                        name: config.name,
+                        identity,
+                        method: req.method,
+                        path: req.originalUrl,
+                        store: result.store,
+                        retryAfter: result.retryAfter,
+                        requestId: req.headers['x-request-id']
+                    });
+                    res.set('Retry-After', String(result.retryAfter));
+                    return res.status(429).json({
+                        success: false,
+                        code: 429,
+                        retryAfter: result.retryAfter,
+                        message: '请求过于频繁，请稍后再试'
+                    });
+                }
+
+                next();
+
+            } catch (error) {
+                Logger.error('限流检查失败', {
+                    name: config.name,
+                    error: error.message,
+                    requestId: req.headers['x-request-id']
+                });
+                next();
+            }
+        };
+    }
+
+    /**
+     * 获取请求的计数维度标识
+     * 限流通常在tokenCheck之前执行：user维度只验证token签名和有效期，api-key维度先认证API Key，
+     * 按请求头原值计数会让伪造的Key各自拥有额度，因此认证未通过时按用户或IP计数
+     *
+     * @param {object} req Express请求对象
+     * @param {string|function} keyBy 计数维度
+     * @return {Promise<string>} 标识，如 ip:1.2.3.4、user:alice、key:<服务账号ID>
+     */
+    static async getIdentity(req, keyBy) {
+        if (typeof keyBy === 'function') {
+            return String(keyBy(req));
+        }
+
+        if (keyBy === 'api-key' || keyBy === 'auto') {
+            const accountId = await this.getApiKeyAccount(req);
+            if (accountId) {
+                return `key:${accountId}`;
+            }
+        }
+
+        if (keyBy === 'user' || keyBy === 'auto') {
+            if (req.user?.id) {
+                return `user:${req.user.id}`;
+            }
+            const token = req.headers['x-session-token'] ||
+                         req.headers['authorization']?.replace('Bearer ', '');
+            if (token) {
+                const verification = Jwt.verifyToken(token);
+                if (verification.valid) {
+                    return `user:${verification.token.sub}`;
+                }
+            }
+        }
+
+        return `ip:${req.ip || 'unknown'}`;
+    }
+
+    /**
+     * 获取API Key对应的服务账号ID
+     * 已通过apiKeyCheck的请求直接使用认证结果，否则调用ServiceAccount.authenticate认证（格式和prefix不匹配时不计算哈希）
+     *
+     * @param {object} req Express请求对象
+     * @return {Promise<string|null>} 服务账号ID，未携带Key或认证未通过返回null
+     */
+    static async getApiKeyAccount(req) {
+        if (req.user?.serviceAccount) {
+            return req.user.serviceAccount.id;
+        }
+
+        const apiKey = req.headers['x-api-key'];
+        if (!apiKey) {
+            return null;
+        }
+
+        try {
+            const { account } = await ServiceAccount.authenticate(apiKey);
+            return account ? account.id : null;
+        } catch (error) {
+            Logger.warning('限流认证API Key失败，按用户或IP计数', {
+                error: error.message,
+                requestId: req.headers['x-request-id']
+            });
+            return null;
+        }
+    }
+
+    /**
+     * 消耗一次请求额度
+     *
+     * @param {object} config 限流配置
+     * @param {string} key 计数键
+     * @return {Promise<object>} { allowed, remaining, reset, retryAfter, store }
+     */
+    static async consume(config, key) {
+        let store = 'redis';
+        let state = null;
+
+        if (Redis.connected) {
+            try {
+                state = config.algorithm === 'token-bucket'
+                    ? await Redis.tokenBucket(key, config.limit, config.window)
+                    : await Redis.slidingWindow(key, config.limit, config.window);
+            } catch (error) {
+                state = null;
+            }
+        }
+
+        if (!state) {
+            store = 'memory';
+            if (Date.now() - this.fallbackLoggedAt > 60000) {
+                this.fallbackLoggedAt = Date.now();
+                Logger.warning('Redis不可用，限流退回到进程内存计数', { name: config.name });
+            }
+            state = config.algorithm === 'token-bucket'
+                ? this.memory.tokenBucket(key, config.limit, config.window)
+                : this.memory.slidingWindow(key, config.limit, config.window);
+        }
+
+        const result = config.algorithm === 'token-bucket'
+            ? this.describeTokenBucket(config, state)
+            : this.describeSlidingWindow(config, state);
+        result.store = store;
+        return result;
+    }
+
+    /**
+     * 计算令牌桶的剩余额度和等待时间
+     *
+     * @param {object} config 限流配置
+     * @param {object} state { allowed, tokens }
+     * @return {object} { allowed, remaining, reset: 桶补满需要的秒数, retryAfter: 下一个令牌需要的秒数 }
+     */
+    static describeTokenBucket(config, { allowed, tokens }) {
+        const rate = config.limit / config.window;
+        return {
+            allowed,
+            remaining: Math.max(0, Math.floor(tokens)),
+            reset: Math.ceil((config.limit - tokens) / rate),
+            retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / rate))
+        };
+    }
+
+    /**
+     * 计算滑动窗口的剩余额度和等待时间
+     * 被拒绝时按上一窗口权重的线性衰减估算，直到窗口内的请求数低于限制
+     *
+     * @param {object} config 限流配置
+     * @param {object} state { allowed, count, previous, current, elapsed }
+     * @return {object} { allowed, remaining, reset: 当前窗口结束的秒数, retryAfter }
+     */
+    static describeSlidingWindow(config, { allowed, count, previous, current, elapsed }) {
+        const size = config.window * 1000;
+        let wait = 0;
+
+        if (!allowed) {
+            if (current + 1 > config.limit) {
+                // 当前窗口已满：等到下一窗口，并等本窗口的计数衰减到限制以下
+                wait = (size - elapsed) + size * (1 - (config.limit - 1) / current);
+            } else {
+                wait = size * (1 - (config.limit - 1 - current) / previous) - elapsed;
+            }
+        }
+
+        return {
+            allowed,
+            remaining: Math.max(0, Math.floor(config.limit - count)),
+            reset: Math.ceil((size - elapsed) / 1000),
+            retryAfter: allowed ? 0 : Math.max(1, Math.ceil(wait / 1000))
+        };
+    }
+
+    /**
+     * 设置RateLimit响应头
+     *
+     * @param {object} res Express响应对象
+     * @param {object} config 限流配置
+     * @param {object} result consume返回的结果
+     * @return {void}
+     */
+    static setHeaders(res, config, result) {
+        res.set('RateLimit-Limit', String(config.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.reset));
+        res.set('RateLimit-Policy', `${config.limit};w=${config.window}`);
+    }
+}
+
+module.exports = RateLimit;
@@ -3,56 +3,114 @@ const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const accountController = require('../controllers/account.controller');
 const AuthMiddleware = require('../middleware/auth');
+const RateLimit = require('../middleware/rateLimit');
 const Logger = require('../utils/logger');
 
 // 初始化认证路由
 Logger.info('初始化认证路由模块');
 
+// 请求限流（配置见 middleware/rateLimit.js）
+router.use(RateLimit.forRouter('auth'));
+
 // ============ 公开接口（无需认证） ============
 
 // 获取OIDC配置
 router.get('/getOidc', authController.getOidc);
 
+// 发起OIDC授权码登录（PKCE）
+router.get('/oidc/login', authController.oidcLogin);
+
 // OIDC认证接口
 router.post('/authenticate', authController.exchange);
 
+// OIDC后端通道登出（由IdP调用）
+router.post('/oidc/backchannel_logout', authController.backchannelLogout);
+
+// 获取登录验证码
+router.get('/captcha', authController.getCaptcha);
+
+// 发送短信或邮件登录验证码
+router.post('/login-code', authController.sendLoginCode);
+
 // 管理员登录
 router.post('/supervisor', authController.supervisorLogin);
 
+// 双因素认证：输入动态口令完成两步登录
+router.post('/mfa/verify', authController.mfaVerify);
+
+// 双因素认证：开始绑定（已登录用户，或登录过程中使用mfa_token）
+router.post('/mfa/enroll', AuthMiddleware.optionalAuth, AuthMiddleware.userOnly, authController.mfaEnroll);
+
 // 获取在线用户数
 router.get('/online', authController.getOnlineUsers);
 
 // ============ 需要认证的接口 ============
 
 // 获取当前用户信息
-router.get('/whoami', AuthMiddleware.tokenCheck, accountController.getProfile);
+router.get('/whoami', AuthMiddleware.tokenCheck, AuthMiddleware.loadUserContext, accountController.getProfile);
 
 // 用户登出
-router.post('/logout', AuthMiddleware.tokenCheck, authController.logout);
+router.post('/logout', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, authController.logout);
 
 // 刷新token
-router.post('/refresh', AuthMiddleware.tokenCheck, authController.refreshToken);
+router.post('/refresh', AuthMiddleware.refreshCheck, AuthMiddleware.userOnly, authController.refreshToken);
+
+// 获取当前用户的会话列表
+router.get('/sessions', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, authController.listSessions);
+
+// 撤销当前用户的指定会话
+router.delete('/sessions/:sid', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, authController.revokeSession);
+
+// 双因素认证状态
+router.get('/mfa', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, AuthMiddleware.loadUserContext, authController.mfaStatus);
+
+// 双因素认证：输入动态口令完成绑定
+router.post('/mfa/activate', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, authController.mfaActivate);
+
+// 停用双因素认证
+router.delete('/mfa', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, AuthMiddleware.loadUserContext, authController.mfaDisable);
 
 // 获取用户详细资料
-router.get('/profile', AuthMiddleware.tokenCheck, accountController.getProfile);
+router.get('/profile', AuthMiddleware.tokenCheck, AuthMiddleware.loadUserContext, accountController.getProfile);
 
 // 获取用户权限列表
-router.get('/permissions', AuthMiddleware.tokenCheck, accountController.getPermissions);
+router.get('/permissions', AuthMiddleware.tokenCheck, AuthMiddleware.loadUserContext, accountController.getPermissions);
 
 // 获取用户菜单
-router.get('/menu', AuthMiddleware.tokenCheck, accountController.getMenu);
+router.get('/menu', AuthMiddleware.tokenCheck, AuthMiddleware.loadUserContext, accountController.getMenu);
 
 // 更新用户资料
-router.put('/profile', AuthMiddleware.tokenCheck, accountController.updateProfile);
+router.put('/profile', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, AuthMiddleware.loadUserContext, accountController.updateProfile);
 
 // 修改密码
-router.post('/change-password', AuthMiddleware.tokenCheck, accountController.changePassword);
+router.post('/change-password', AuthMiddleware.tokenCheck, AuthMiddleware.userOnly, AuthMiddleware.loadUserContext, accountController.changePassword);
 
 // 检查权限
-router.get('/check-permission', AuthMiddleware.tokenCheck, accountController.checkPermission);
+router.get('/check-permission', AuthMiddleware.tokenCheck, AuthMiddleware.loadUserContext, accountController.checkPermission);
 
 // ============ 权限管理接口（需要管理员权限） ============
 
+// OIDC客户端配置列表
+router.get('/oidc/clients',
+	AuthMiddleware.tokenCheck,
+	AuthMiddleware.requirePermissions(['admin.oidc.read']),
+	authController.listOidcClients
+);
+
+// 在线用户列表
+router.get('/online/users',
+	AuthMiddleware.tokenCheck,
+	AuthMiddleware.requirePermissions(['admin.online.read']),
+	authController.listOnlineUsers
+);
+
+// 解除登录锁定
+router.post('/unlock',
+	AuthMiddleware.tokenCheck,
+	AuthMiddleware.requirePermissions(['admin.user.unlock']),
+	authController.unlockLogin
+);
+
 // 加载权限表
 router.get('/loadPermissionSheet',
 	AuthMiddleware.tokenCheck,
@@ -109,4 +167,28 @@ router.get('/getRoleBinding',
 	authController.getRoleBinding
 );
 
+// 服务账号列表
+router.get('/service-accounts',
+	AuthMiddleware.tokenCheck,
+	AuthMiddleware.userOnly,
+	AuthMiddleware.requirePermissions(['admin.serviceaccount.read']),
+	authController.listServiceAccounts
+);
+
+// 创建服务账号（返回API Key）
+router.post('/service-accounts',
+	AuthMiddleware.tokenCheck,
+	AuthMiddleware.userOnly,
+	AuthMiddleware.requirePermissions(['admin.serviceaccount.write']),
+	authController.createServiceAccount
+);
+
+// 撤销服务账号
+router.delete('/service-accounts/:id',
+	AuthMiddleware.tokenCheck,
+	AuthMiddleware.userOnly,
+	AuthMiddleware.requirePermissions(['admin.serviceaccount.write']),
+	authController.revokeServiceAccount
+);
+
 module.exports = router;
\ No newline at end of file
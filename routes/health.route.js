@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/health.controller');
+const Logger = require('../utils/logger');
+
+// 初始化健康检查路由
+Logger.info('初始化健康检查路由模块');
+
+// ============ 公开接口（无需认证） ============
+
+// 服务健康状态，包含Redis连接和上游服务熔断器状态
+router.get('/', healthController.getHealth);
+
+module.exports = router;
@@ -10,11 +10,15 @@ const express = require('express');
 const router = express.Router();
 const basinController = require('../../controllers/nps/basin.controller');
 const AuthMiddleware = require('../../middleware/auth');
+const RateLimit = require('../../middleware/rateLimit');
 const Logger = require('../../utils/logger');
 
 // 初始化河流管理路由
 Logger.info('初始化河流管理路由模块');
 
+// 请求限流（配置见 middleware/rateLimit.js）
+router.use(RateLimit.forRouter('basin'));
+
 // ============ 河流管理接口（需要认证） ============
 
 /**
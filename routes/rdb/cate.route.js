@@ -11,11 +11,15 @@ const express = require('express');
 const router = express.Router();
 const cateController = require('../../controllers/rdb/cate.controller');
 const AuthMiddleware = require('../../middleware/auth');
+const RateLimit = require('../../middleware/rateLimit');
 const Logger = require('../../utils/logger');
 
 // 初始化节点分类路由
 Logger.info('初始化节点分类路由模块');
 
+// 请求限流（配置见 middleware/rateLimit.js）
+router.use(RateLimit.forRouter('cate'));
+
 // ============ 需要认证的接口 ============
 
 /**
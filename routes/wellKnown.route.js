@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const Logger = require('../utils/logger');
+
+// 初始化Well-Known路由
+Logger.info('初始化Well-Known路由模块');
+
+// ============ 公开接口（无需认证） ============
+
+// JWKS公钥集合，供下游服务验证token签名
+router.get('/jwks.json', authController.getJwks);
+
+module.exports = router;
@@ -1,11 +1,246 @@
 /**
  * 认证功能测试脚本
- * 用于测试JWT、Redis和认证中间件的基本功能
+ * 用于测试JWT、Redis和认证中间件的基本功能，以及角色接口与认证服务的对接（使用本地模拟的认证服务）
+ * 需要连接真实的Redis（REDIS_HOST/REDIS_PORT），Redis不可用时跳过Redis相关的测试；
+ * 不依赖外部服务的行为测试见 test/ 目录（npm test）
  */
 
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
 const Jwt = require('./utils/jwt');
 const Redis = require('./utils/redis');
+const Curl = require('./utils/curl');
 const Logger = require('./utils/logger');
+const OpenIDClient = require('./libs/openIDClient');
+const authController = require('./controllers/auth.controller');
+
+/**
+ * 清理测试写入Redis的数据
+ * 在线状态只移除测试用户，不删除其他用户共用的有序集合
+ */
+async function cleanup() {
+    if (!Redis.connected) {
+        return;
+    }
+    try {
+        await Redis.del('test-key');
+        await Redis.del('sessions-test-subject');
+        await Redis.removePresence('test-subject');
+        if (await Redis.countPresence('presence-tenant-test-tenant', 300) === 0) {
+            await Redis.del('presence-tenant-test-tenant');
+            await Redis.removeMember('presence-tenants', 'test-tenant');
+        }
+    } catch (error) {
+        Logger.error('清理测试数据失败', { error: error.message });
+    }
+}
+
+/**
+ * 检查Redis服务是否可以连接
+ * Redis.init在连接失败时会不断重连，需先检查以免脚本无法结束
+ *
+ * @param {number} timeout 超时时间（毫秒）
+ * @return {Promise<boolean>} 是否可以连接
+ */
+function redisReachable(timeout = 2000) {
+    return new Promise(resolve => {
+        const socket = net.connect({
+            host: process.env.REDIS_HOST || 'localhost',
+            port: parseInt(process.env.REDIS_PORT) || 6379
+        });
+        const done = (reachable) => {
+            socket.destroy();
+            resolve(reachable);
+        };
+        socket.setTimeout(timeout, () => done(false));
+        socket.once('connect', () => done(true));
+        socket.once('error', () => done(false));
+    });
+}
+
+// 未通过的检查数量，非0时以失败状态退出
+let failures = 0;
+
+/**
+ * 检查结果是否符合预期
+ */
+function expect(name, actual, expected) {
+    if (actual === expected) {
+        Logger.info(`检查通过: ${name}`);
+    } else {
+        failures++;
+        Logger.error(`检查未通过: ${name}，期望 ${expected}，实际 ${actual}`);
+    }
+}
+
+/**
+ * 按IdP的方式签发测试用JWT
+ */
+function signIdpToken(header, claims, key) {
+    const input = Jwt.base64UrlEncode(JSON.stringify(header)) + '.' + Jwt.base64UrlEncode(JSON.stringify(claims));
+    return input + '.' + Jwt.sign(input, key);
+}
+
+/**
+ * 验证结果：通过返回ok，失败返回IdTokenError的reason
+ */
+async function verifyResult(promise) {
+    try {
+        await promise;
+        return 'ok';
+    } catch (error) {
+        return error.reason || error.message;
+    }
+}
+
+/**
+ * 测试ID Token和Logout Token验证
+ * 不访问IdP：HS256使用客户端密钥，RS256使用本地生成的密钥对代替JWKS
+ */
+async function testIdpTokens() {
+    Logger.info('测试ID Token和Logout Token验证...');
+    const issuer = 'http://idp.test';
+    const now = Math.floor(Date.now() / 1000);
+    const idClaims = { iss: issuer, aud: 'test-client', sub: 'idp-user', iat: now, exp: now + 300, nonce: 'n-1' };
+
+    // HS256：只有登记为HS256且有客户端密钥的客户端接受
+    const confidential = new OpenIDClient(issuer, 'test-client', 'test-secret');
+    confidential.setIdTokenSigningAlg('HS256');
+    const publicClient = new OpenIDClient(issuer, 'test-client', null);
+    publicClient.setIdTokenSigningAlg('HS256');
+    const rs256Client = new OpenIDClient(issuer, 'test-client', 'test-secret');
+
+    const hsToken = signIdpToken({ alg: 'HS256', typ: 'JWT' }, idClaims, { alg: 'HS256', secret: 'test-secret' });
+    const emptyKeyToken = signIdpToken({ alg: 'HS256', typ: 'JWT' }, idClaims, { alg: 'HS256', secret: '' });
+
+    // RS256：以本地公钥代替IdP的JWKS
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    rs256Client.getJwks = async () => [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-kid', use: 'sig', alg: 'RS256' }];
+    const rsToken = signIdpToken({ alg: 'RS256', kid: 'test-kid' }, idClaims, { alg: 'RS256', privateKey });
+
+    const logoutClaims = {
+        iss: issuer,
+        aud: 'test-client',
+        sid: 'idp-session',
+        iat: now,
+        jti: Jwt.getJti(),
+        events: { [OpenIDClient.backchannelLogoutEvent]: {} }
+    };
+    const logoutToken = signIdpToken({ alg: 'RS256', kid: 'test-kid', typ: 'logout+jwt' }, logoutClaims, { alg: 'RS256', privateKey });
+    const nonceLogoutToken = signIdpToken({ alg: 'RS256', kid: 'test-kid', typ: 'logout+jwt' },
+        { ...logoutClaims, nonce: 'n-1' }, { alg: 'RS256', privateKey });
+
+    expect('HS256 ID Token（机密客户端）', await verifyResult(confidential.verifyIdToken(hsToken, { nonce: 'n-1' })), 'ok');
+    expect('HS256 ID Token（公共客户端）', await verifyResult(publicClient.verifyIdToken(emptyKeyToken)), 'unknown_key');
+    expect('HS256 ID Token（未登记HS256）', await verifyResult(rs256Client.verifyIdToken(hsToken)), 'unknown_key');
+    expect('RS256 ID Token', await verifyResult(rs256Client.verifyIdToken(rsToken, { nonce: 'n-1' })), 'ok');
+    expect('RS256 ID Token nonce不匹配', await verifyResult(rs256Client.verifyIdToken(rsToken, { nonce: 'other' })), 'invalid_nonce');
+    expect('Logout Token', await verifyResult(rs256Client.verifyLogoutToken(logoutToken)), 'ok');
+    expect('Logout Token包含nonce', await verifyResult(rs256Client.verifyLogoutToken(nonceLogoutToken)), 'invalid_nonce');
+    expect('ID Token用作Logout Token', await verifyResult(rs256Client.verifyLogoutToken(rsToken)), 'invalid_event');
+}
+
+/**
+ * 启动模拟的认证服务
+ * ListRole、GetRoleBinding按流式接口逐行返回，EditRole重名返回409，DeleteRole不存在返回404
+ */
+function startAuthStub() {
+    const roles = [];
+    for (let i = 1; i <= 25; i++) {
+        roles.push({ id: i, name: i === 1 ? 'admin' : `role-${i}`, description: i % 5 === 0 ? '管理' : '', operations: [] });
+    }
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : {};
+            const send = (status, data) => {
+                res.writeHead(status, { 'content-type': 'application/json' });
+                res.end(typeof data === 'string' ? data : JSON.stringify(data));
+            };
+            switch (req.url) {
+                case '/ListRole':
+                    return send(200, roles.map(role => JSON.stringify({ result: { role } })).join('\n'));
+                case '/EditRole':
+                    if (!body.update && roles.some(role => role.name === body.role.name)) {
+                        return send(409, { error: { code: 6, message: 'role already exists' } });
+                    }
+                    return send(200, { role: body.role });
+                case '/DeleteRole':
+                    return send(404, { error: { code: 5, message: 'role not found' } });
+                case '/GetRoleBinding':
+                    return send(200, [1, 2].map(id => JSON.stringify({ result: { binding: { principal: body.principal, role_id: id } } })).join('\n'));
+                default:
+                    return send(404, {});
+            }
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * 调用控制器方法，返回响应状态码和响应体
+ */
+async function callHandler(handler, { query = {}, body = {} } = {}) {
+    const req = {
+        query,
+        body,
+        params: {},
+        headers: {},
+        ip: '127.0.0.1',
+        user: { id: 'test-subject', username: 'test-subject', token: 'test-token' }
+    };
+    const result = { status: 200, body: null };
+    const res = {
+        status(code) { result.status = code; return res; },
+        json(data) { result.body = data; return res; }
+    };
+    await handler(req, res, error => { throw error; });
+    return result;
+}
+
+/**
+ * 测试角色接口与认证服务的对接
+ * 认证服务的ListRole不支持分页，分页和关键字筛选在本服务完成
+ */
+async function testRoleApi() {
+    Logger.info('测试角色接口...');
+    const server = await startAuthStub();
+    const host = `http://127.0.0.1:${server.address().port}`;
+    for (const name of ['auth.listRole', 'auth.editRole', 'auth.deleteRole', 'auth.getRoleBinding']) {
+        Curl.apiConfig[name].host = host;
+    }
+
+    try {
+        let result = await callHandler(authController.listRole, { query: { page: '2', size: '10' } });
+        expect('角色列表第2页', result.body?.data?.list?.map(role => role.id).join(','), '11,12,13,14,15,16,17,18,19,20');
+        expect('角色列表总数', result.body?.data?.pagination?.total, 25);
+
+        result = await callHandler(authController.listRole, { query: { page: '3', size: '10' } });
+        expect('角色列表最后一页', result.body?.data?.list?.length, 5);
+
+        result = await callHandler(authController.listRole, { query: { q: '管理', size: '500' } });
+        expect('角色列表关键字筛选', result.body?.data?.pagination?.total, 5);
+        expect('角色列表每页上限', result.body?.data?.pagination?.size, 100);
+
+        result = await callHandler(authController.editRole, { body: { name: 'admin', permissions: ['admin.*'] } });
+        expect('创建重名角色', result.status, 409);
+
+        result = await callHandler(authController.deleteRole, { body: { id: 99 } });
+        expect('删除不存在的角色', result.status, 404);
+
+        result = await callHandler(authController.getRoleBinding, { query: { userId: '7' } });
+        expect('获取角色绑定', result.body?.data?.length, 2);
+
+        result = await callHandler(authController.getRoleBinding, { query: {} });
+        expect('获取角色绑定缺少用户ID', result.status, 400);
+    } finally {
+        server.close();
+    }
+}
 
 async function testAuth() {
     try {
@@ -24,12 +259,22 @@ async function testAuth() {
         
         const verification = Jwt.verifyToken(token);
         if (verification.valid) {
-            Logger.info('JWT Token验证成功', { payload: verification.payload });
+            Logger.info('JWT Token验证成功', { payload: verification.token.payload });
         } else {
-            Logger.error('JWT Token验证失败', { error: verification.error });
+            Logger.error('JWT Token验证失败', { reason: verification.reason, error: verification.error });
         }
 
+        // 测试IdP签发的token验证
+        await testIdpTokens();
+
+        // 测试角色接口（模拟认证服务，不访问Redis）
+        await testRoleApi();
+
         // 测试Redis功能
+        if (!await redisReachable()) {
+            Logger.warning('Redis不可用，跳过Redis相关的测试');
+            return;
+        }
         Logger.info('测试Redis功能...');
         await Redis.init();
         
@@ -38,30 +283,41 @@ async function testAuth() {
         const value = await Redis.get('test-key');
         Logger.info('Redis读写测试', { key: 'test-key', value });
         
-        // 测试用户token缓存
-        await Redis.set('user-test-user', token, 600);
-        const cachedToken = await Redis.get('user-test-user');
-        Logger.info('用户token缓存测试', { 
-            cached: !!cachedToken,
-            tokenMatch: cachedToken === token
+        // 测试用户会话注册表
+        const now = Math.floor(Date.now() / 1000);
+        await Redis.saveSession('test-subject', {
+            sid: verification.token?.jti,
+            jti: verification.token?.jti,
+            device_uid: 'test-device',
+            device_type: 'web',
+            created_at: now,
+            last_seen: now,
+            expires_at: now + 600
+        }, 600);
+        const session = await Redis.getSession('test-subject', verification.token?.jti);
+        Logger.info('用户会话注册表测试', { 
+            cached: !!session,
+            jtiMatch: !!session && session.jti === verification.token?.jti,
+            sessionCount: (await Redis.listSessions('test-subject')).length
         });
         
         // 测试在线用户统计
-        const userKeys = await Redis.keys('user-*');
-        Logger.info('在线用户统计测试', { onlineUsers: userKeys.length });
-        
-        // 清理测试数据
-        await Redis.del('test-key');
-        await Redis.del('user-test-user');
+        await Redis.touchPresence('test-subject', { tenant: 'test-tenant', app: 'nps' });
+        const onlineUsers = await Redis.countPresence('presence-all', 300);
+        Logger.info('在线用户统计测试', { onlineUsers });
         
         Logger.info('认证功能测试完成');
         
     } catch (error) {
+        failures++;
         Logger.error('认证功能测试失败', { error: error.message });
     } finally {
+        // 清理测试数据，测试失败时同样清理
+        await cleanup();
+
         // 关闭Redis连接
         await Redis.close();
-        process.exit(0);
+        process.exit(failures > 0 ? 1 : 0);
     }
 }
 
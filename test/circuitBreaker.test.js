@@ -0,0 +1,129 @@
+/**
+ * 熔断器测试：状态切换，以及Curl按上游服务地址熔断
+ */
+
+require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Curl = require('../utils/curl');
+const CircuitBreaker = require('../utils/circuitBreaker');
+
+/**
+ * 启动本地上游服务，按 status 返回状态码并记录请求次数
+ *
+ * @return {Promise<object>} { host, state, server }
+ */
+function startUpstream() {
+    const state = { status: 502, hits: 0 };
+    const server = http.createServer((req, res) => {
+        state.hits++;
+        res.writeHead(state.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 0, data: { ok: true } }));
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ host: `http://127.0.0.1:${server.address().port}`, state, server });
+        });
+    });
+}
+
+const originalConfig = { ...Curl.apiConfig['rdb.createNode'] };
+let first;
+let second;
+
+before(async () => {
+    first = await startUpstream();
+    second = await startUpstream();
+});
+
+after(() => {
+    Curl.apiConfig['rdb.createNode'] = originalConfig;
+    first.server.close();
+    second.server.close();
+});
+
+beforeEach(() => {
+    CircuitBreaker.registry.clear();
+    first.state.status = 502;
+    first.state.hits = 0;
+    second.state.status = 200;
+    second.state.hits = 0;
+});
+
+/**
+ * 通过Curl请求上游服务（rdb.createNode为非幂等接口，不重试）
+ */
+function request(upstream) {
+    Curl.apiConfig['rdb.createNode'] = { ...originalConfig, host: upstream.host };
+    return Curl.api('rdb.createNode').request({});
+}
+
+test('连续失败达到阈值后熔断，熔断时间结束后半开探测', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeout: 60000, halfOpenMax: 1 });
+
+    breaker.onFailure('e1');
+    assert.equal(breaker.state, 'closed');
+    breaker.onFailure('e2');
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.allow(), false);
+
+    breaker.openedAt -= 60000;
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.state, 'half_open');
+    // 半开期间只允许一个探测请求
+    assert.equal(breaker.allow(), false);
+
+    breaker.onSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.failures, 0);
+});
+
+test('半开探测失败后重新熔断', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 60000 });
+    breaker.onFailure('e1');
+    breaker.openedAt -= 60000;
+    assert.equal(breaker.allow(), true);
+
+    breaker.onFailure('e2');
+
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.getState().lastError, 'e2');
+    assert.ok(breaker.getState().retryAt);
+});
+
+test('熔断后请求不发往上游服务，直接返回circuit_open', async () => {
+    CircuitBreaker.get(first.host, { failureThreshold: 2, resetTimeout: 60000 });
+
+    for (let i = 0; i < 2; i++) {
+        const [, error] = await request(first);
+        assert.equal(error.status, 502);
+    }
+    const [data, error] = await request(first);
+
+    assert.equal(data, null);
+    assert.equal(error.reason, 'circuit_open');
+    assert.equal(first.state.hits, 2);
+});
+
+test('熔断器按上游服务地址划分，同一服务的其他地址不受影响', async () => {
+    CircuitBreaker.get(first.host, { failureThreshold: 1, resetTimeout: 60000 });
+    await request(first);
+    assert.equal(CircuitBreaker.get(first.host).state, 'open');
+
+    const [data, error] = await request(second);
+
+    assert.equal(error, null);
+    assert.deepEqual(data, { code: 0, data: { ok: true } });
+    assert.equal(CircuitBreaker.get(second.host).state, 'closed');
+});
+
+test('4xx响应不计入熔断失败', async () => {
+    first.state.status = 404;
+    CircuitBreaker.get(first.host, { failureThreshold: 1, resetTimeout: 60000 });
+
+    const [, error] = await request(first);
+
+    assert.equal(error.kind, 'not_found');
+    assert.equal(CircuitBreaker.get(first.host).state, 'closed');
+});
@@ -0,0 +1,132 @@
+/**
+ * 测试公共工具
+ * 测试文件需最先引入本模块：设置测试用的环境变量后才加载被测模块（配置在模块加载时读取）
+ *
+ * @package test
+ * @author System
+ * @version 1.0
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'critical';
+process.env.JWT_SECRET = 'test-secret';
+process.env.API_KEY_BCRYPT_ROUNDS = '4';
+process.env.RATE_LIMIT_ENABLED = 'true';
+
+const Redis = require('../../utils/redis');
+const Jwt = require('../../utils/jwt');
+const RedisStub = require('./redisStub');
+
+/**
+ * 使用Redis测试替身代替Redis连接
+ *
+ * @return {RedisStub} 测试替身，每次调用都是新的空数据
+ */
+function installRedisStub() {
+    const stub = new RedisStub();
+    Redis.client = stub;
+    Redis.connected = true;
+    return stub;
+}
+
+/**
+ * 构建Express请求对象
+ *
+ * @param {object} options { headers, body, query, params, ip, user, method, originalUrl }
+ * @return {object} 请求对象
+ */
+function mockReq(options = {}) {
+    const headers = {};
+    for (const [name, value] of Object.entries(options.headers || {})) {
+        headers[name.toLowerCase()] = value;
+    }
+    return {
+        method: 'GET',
+        originalUrl: '/',
+        query: {},
+        body: {},
+        params: {},
+        ip: '127.0.0.1',
+        ...options,
+        headers,
+        get(name) {
+            return headers[name.toLowerCase()];
+        }
+    };
+}
+
+/**
+ * 构建Express响应对象，记录状态码、响应头和响应体
+ *
+ * @return {object} 响应对象 { statusCode, headers, body }
+ */
+function mockRes() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null
+    };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.set = (name, value) => {
+        if (typeof name === 'object') {
+            Object.assign(res.headers, name);
+        } else {
+            res.headers[name] = value;
+        }
+        return res;
+    };
+    return res;
+}
+
+/**
+ * 调用中间件，返回是否调用了next
+ *
+ * @param {function} middleware Express中间件
+ * @param {object} req 请求对象
+ * @param {object} res 响应对象
+ * @return {Promise<boolean>} 是否通过
+ */
+async function runMiddleware(middleware, req, res = mockRes()) {
+    let passed = false;
+    await middleware(req, res, () => {
+        passed = true;
+    });
+    return passed;
+}
+
+/**
+ * 签发用户token并登记会话，与登录接口的结果一致
+ *
+ * @param {string} sub 用户标识
+ * @param {object} claims 附加声明
+ * @return {Promise<object>} { token, jti, claims }
+ */
+async function login(sub, claims = {}) {
+    const jti = Jwt.getJti();
+    const token = Jwt.issueToken('test', sub, { tenant: 'tenant-a', app: 'nps' }, Jwt.defaultTime, { jti, ...claims });
+    const now = Math.floor(Date.now() / 1000);
+    await Redis.saveSession(sub, {
+        sid: jti,
+        jti: jti,
+        device_uid: `device-${jti}`,
+        device_type: 'web',
+        created_at: now,
+        last_seen: now,
+        expires_at: now + Jwt.defaultTime
+    }, Jwt.defaultTime);
+    return { token, jti, claims: Jwt.verifyToken(token).token };
+}
+
+module.exports = {
+    installRedisStub,
+    mockReq,
+    mockRes,
+    runMiddleware,
+    login
+};
@@ -0,0 +1,540 @@
+/**
+ * Redis测试替身
+ * 在内存中实现 utils/redis.js 用到的node-redis命令，测试不需要Redis服务
+ *
+ * Lua脚本（client.eval）按脚本内容识别，并以同步的JavaScript实现模拟：
+ * 单个脚本执行期间不会穿插其他命令，与Redis中脚本原子执行的语义一致。
+ * utils/redis.js新增脚本时需要在 scripts 中加入对应的实现，否则eval抛出异常
+ *
+ * @package test
+ * @author System
+ * @version 1.0
+ */
+
+/**
+ * 按Redis的方式把数字转为整数回复（Lua数字返回给客户端时截断为整数）
+ *
+ * @param {number} value 数字
+ * @return {number} 整数
+ */
+function toInteger(value) {
+    return Math.trunc(Number(value));
+}
+
+/**
+ * 解析有序集合的分数范围
+ *
+ * @param {string|number} value 分数，支持 -inf、+inf
+ * @return {number} 分数
+ */
+function toScore(value) {
+    if (value === '-inf') {
+        return -Infinity;
+    }
+    if (value === '+inf' || value === 'inf') {
+        return Infinity;
+    }
+    return Number(value);
+}
+
+/**
+ * RedisStub类
+ * 内存键空间和命令实现
+ */
+class RedisStub {
+    /**
+     * 构造函数
+     */
+    constructor() {
+        this.data = new Map();
+        this.expires = new Map();
+    }
+
+    /**
+     * 清空全部数据
+     *
+     * @return {void}
+     */
+    flushAll() {
+        this.data.clear();
+        this.expires.clear();
+    }
+
+    /**
+     * 读取键值，已过期的键先删除
+     *
+     * @param {string} key 键名
+     * @return {*} 值，不存在返回undefined
+     */
+    read(key) {
+        const expireAt = this.expires.get(key);
+        if (expireAt !== undefined && expireAt <= Date.now()) {
+            this.data.delete(key);
+            this.expires.delete(key);
+        }
+        return this.data.get(key);
+    }
+
+    /**
+     * 读取指定类型的值，不存在时按需创建
+     *
+     * @param {string} key 键名
+     * @param {function} Type Map 或 Set
+     * @param {boolean} create 不存在时是否创建
+     * @return {Map|Set|null} 值
+     */
+    container(key, Type, create = false) {
+        const value = this.read(key);
+        if (value === undefined) {
+            if (!create) {
+                return null;
+            }
+            const created = new Type();
+            this.data.set(key, created);
+            return created;
+        }
+        if (!(value instanceof Type)) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value;
+    }
+
+    /**
+     * 写入字符串值，清除原有过期时间
+     *
+     * @param {string} key 键名
+     * @param {*} value 值
+     * @return {void}
+     */
+    write(key, value) {
+        this.data.set(key, String(value));
+        this.expires.delete(key);
+    }
+
+    /**
+     * 设置过期时间（毫秒）
+     *
+     * @param {string} key 键名
+     * @param {number} ms 过期时间
+     * @return {number} 键存在返回1，否则返回0
+     */
+    pExpireSync(key, ms) {
+        if (this.read(key) === undefined) {
+            return 0;
+        }
+        this.expires.set(key, Date.now() + Number(ms));
+        return 1;
+    }
+
+    // ---- 连接 ----
+
+    on() {
+        return this;
+    }
+
+    async connect() {}
+
+    async quit() {}
+
+    // ---- 字符串 ----
+
+    async get(key) {
+        return this.getSync(key);
+    }
+
+    getSync(key) {
+        const value = this.read(key);
+        if (value !== undefined && typeof value !== 'string') {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value ?? null;
+    }
+
+    async set(key, value, options = {}) {
+        return this.setSync(key, value, options);
+    }
+
+    setSync(key, value, options = {}) {
+        if (options.NX && this.read(key) !== undefined) {
+            return null;
+        }
+        this.write(key, value);
+        if (options.EX) {
+            this.pExpireSync(key, options.EX * 1000);
+        } else if (options.PX) {
+            this.pExpireSync(key, options.PX);
+        }
+        return 'OK';
+    }
+
+    async setEx(key, ttl, value) {
+        return this.setSync(key, value, { EX: ttl });
+    }
+
+    async incr(key) {
+        return this.incrSync(key);
+    }
+
+    incrSync(key) {
+        // INCR保留原有的过期时间
+        const value = (parseInt(this.getSync(key)) || 0) + 1;
+        this.data.set(key, String(value));
+        return value;
+    }
+
+    // ---- 键 ----
+
+    async del(keys) {
+        return this.delSync(keys);
+    }
+
+    delSync(keys) {
+        let count = 0;
+        for (const key of [].concat(keys)) {
+            if (this.read(key) !== undefined) {
+                this.data.delete(key);
+                this.expires.delete(key);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    async exists(keys) {
+        return [].concat(keys).filter(key => this.read(key) !== undefined).length;
+    }
+
+    async expire(key, seconds) {
+        return this.pExpireSync(key, seconds * 1000);
+    }
+
+    async ttl(key) {
+        return this.ttlSync(key);
+    }
+
+    ttlSync(key) {
+        if (this.read(key) === undefined) {
+            return -2;
+        }
+        const expireAt = this.expires.get(key);
+        return expireAt === undefined ? -1 : Math.ceil((expireAt - Date.now()) / 1000);
+    }
+
+    async keys(pattern) {
+        const source = pattern.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+        const regexp = new RegExp(`^${source}$`);
+        return [...this.data.keys()].filter(key => this.read(key) !== undefined && regexp.test(key));
+    }
+
+    // ---- Hash ----
+
+    async hSet(key, field, value) {
+        return this.hSetSync(key, field, value);
+    }
+
+    hSetSync(key, field, value) {
+        const hash = this.container(key, Map, true);
+        const entries = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+        let added = 0;
+        for (const [name, item] of entries) {
+            if (!hash.has(name)) {
+                added++;
+            }
+            hash.set(name, String(item));
+        }
+        return added;
+    }
+
+    async hGet(key, field) {
+        return this.hGetSync(key, field);
+    }
+
+    hGetSync(key, field) {
+        const hash = this.container(key, Map);
+        return hash && hash.has(field) ? hash.get(field) : null;
+    }
+
+    async hGetAll(key) {
+        const hash = this.container(key, Map);
+        return hash ? Object.fromEntries(hash) : {};
+    }
+
+    async hDel(key, fields) {
+        const hash = this.container(key, Map);
+        if (!hash) {
+            return 0;
+        }
+        let count = 0;
+        for (const field of [].concat(fields)) {
+            if (hash.delete(field)) {
+                count++;
+            }
+        }
+        if (hash.size === 0) {
+            this.delSync(key);
+        }
+        return count;
+    }
+
+    // ---- 集合 ----
+
+    async sAdd(key, members) {
+        const set = this.container(key, Set, true);
+        let added = 0;
+        for (const member of [].concat(members)) {
+            if (!set.has(String(member))) {
+                set.add(String(member));
+                added++;
+            }
+        }
+        return added;
+    }
+
+    async sMembers(key) {
+        const set = this.container(key, Set);
+        return set ? [...set] : [];
+    }
+
+    async sRem(key, members) {
+        const set = this.container(key, Set);
+        if (!set) {
+            return 0;
+        }
+        let count = 0;
+        for (const member of [].concat(members)) {
+            if (set.delete(String(member))) {
+                count++;
+            }
+        }
+        if (set.size === 0) {
+            this.delSync(key);
+        }
+        return count;
+    }
+
+    // ---- 有序集合（成员 => 分数） ----
+
+    async zAdd(key, members) {
+        const zset = this.container(key, Map, true);
+        let added = 0;
+        for (const { score, value } of [].concat(members)) {
+            if (!zset.has(String(value))) {
+                added++;
+            }
+            zset.set(String(value), Number(score));
+        }
+        return added;
+    }
+
+    async zRem(key, members) {
+        const zset = this.container(key, Map);
+        if (!zset) {
+            return 0;
+        }
+        let count = 0;
+        for (const member of [].concat(members)) {
+            if (zset.delete(String(member))) {
+                count++;
+            }
+        }
+        if (zset.size === 0) {
+            this.delSync(key);
+        }
+        return count;
+    }
+
+    async zCard(key) {
+        const zset = this.container(key, Map);
+        return zset ? zset.size : 0;
+    }
+
+    async zRemRangeByScore(key, min, max) {
+        const zset = this.container(key, Map);
+        if (!zset) {
+            return 0;
+        }
+        let count = 0;
+        for (const [member, score] of zset) {
+            if (score >= toScore(min) && score <= toScore(max)) {
+                zset.delete(member);
+                count++;
+            }
+        }
+        if (zset.size === 0) {
+            this.delSync(key);
+        }
+        return count;
+    }
+
+    async zRangeWithScores(key, start, stop, options = {}) {
+        const zset = this.container(key, Map);
+        if (!zset) {
+            return [];
+        }
+        const items = [...zset]
+            .map(([value, score]) => ({ value, score }))
+            .sort((a, b) => a.score - b.score || a.value.localeCompare(b.value));
+        if (options.REV) {
+            items.reverse();
+        }
+        const end = stop < 0 ? items.length + stop : stop;
+        return items.slice(start, end + 1);
+    }
+
+    // ---- 事务 ----
+
+    /**
+     * 事务：命令排队，exec时依次执行
+     *
+     * @return {object} 可链式调用的命令队列
+     */
+    multi() {
+        const queue = [];
+        const stub = this;
+        const chain = new Proxy({}, {
+            get(target, name) {
+                if (name === 'exec') {
+                    return async () => {
+                        const results = [];
+                        for (const [command, args] of queue) {
+                            results.push(await stub[command](...args));
+                        }
+                        return results;
+                    };
+                }
+                return (...args) => {
+                    queue.push([name, args]);
+                    return chain;
+                };
+            }
+        });
+        return chain;
+    }
+
+    // ---- 脚本 ----
+
+    /**
+     * 执行Lua脚本
+     *
+     * @param {string} script 脚本内容
+     * @param {object} options { keys, arguments }
+     * @return {Promise<*>} 脚本返回值，Lua的false返回null
+     */
+    async eval(script, { keys = [], arguments: args = [] } = {}) {
+        const entry = RedisStub.scripts.find(([marker]) => script.includes(marker));
+        if (!entry) {
+            throw new Error('Redis测试替身不支持该脚本');
+        }
+        return entry[1].call(this, keys, args);
+    }
+}
+
+/**
+ * utils/redis.js中Lua脚本的模拟实现
+ * [脚本中的特征内容, (keys, args) => 返回值]
+ */
+RedisStub.scripts = [
+    // 令牌桶限流
+    ["'HMGET'", function (keys, args) {
+        const [capacity, rate, now, ttl] = args.map(Number);
+        const bucket = this.container(keys[0], Map);
+        const stored = bucket && bucket.has('tokens') ? Number(bucket.get('tokens')) : capacity;
+        const ts = bucket && bucket.has('ts') ? Number(bucket.get('ts')) : now;
+        let tokens = Math.min(capacity, stored + Math.max(0, now - ts) * rate);
+        let allowed = 0;
+        if (tokens >= 1) {
+            tokens -= 1;
+            allowed = 1;
+        }
+        this.hSetSync(keys[0], { tokens: String(tokens), ts: String(now) });
+        this.pExpireSync(keys[0], ttl);
+        return [allowed, String(tokens)];
+    }],
+
+    // 滑动窗口限流
+    ["'INCR', KEYS[1]", function (keys, args) {
+        const [limit, weight, ttl] = args.map(Number);
+        let current = toInteger(this.getSync(keys[0]) || 0);
+        const previous = toInteger(this.getSync(keys[1]) || 0);
+        if (previous * weight + current + 1 > limit) {
+            return [0, previous, current];
+        }
+        current = this.incrSync(keys[0]);
+        this.pExpireSync(keys[0], ttl);
+        return [1, previous, current];
+    }],
+
+    // 会话活跃信息写入
+    ["'HEXISTS'", function (keys, args) {
+        if (this.hGetSync(keys[0], args[0]) === null) {
+            return 0;
+        }
+        this.hSetSync(keys[0], args[1], args[2]);
+        return 1;
+    }],
+
+    // 会话token轮换
+    ['session.previous_jti', function (keys, args) {
+        const value = this.hGetSync(keys[0], args[0]);
+        if (!value) {
+            return null;
+        }
+        const session = JSON.parse(value);
+        if (session.jti !== args[1]) {
+            return null;
+        }
+        session.previous_jti = args[1];
+        session.jti = args[2];
+        session.expires_at = Number(args[3]);
+        const encoded = JSON.stringify(session);
+        this.hSetSync(keys[0], args[0], encoded);
+        if (this.ttlSync(keys[0]) < Number(args[4])) {
+            this.pExpireSync(keys[0], Number(args[4]) * 1000);
+        }
+        return encoded;
+    }],
+
+    // 登录验证码校验计数
+    ["'HINCRBY'", function (keys, args) {
+        const hash = this.hGetSync(keys[0], 'hash');
+        if (!hash) {
+            return null;
+        }
+        const attempts = toInteger(this.hGetSync(keys[0], 'attempts') || 0) + 1;
+        this.hSetSync(keys[0], 'attempts', attempts);
+        if (attempts >= Number(args[0])) {
+            this.delSync(keys[0]);
+        }
+        return [hash, attempts];
+    }],
+
+    // 双因素认证口令或恢复码使用
+    ['entry.last_step', function (keys, args) {
+        const value = this.getSync(keys[0]);
+        if (!value) {
+            return -1;
+        }
+        const entry = JSON.parse(value);
+        const recovery = Array.isArray(entry.recovery) ? entry.recovery : [];
+        if (args[0] === 'totp') {
+            const step = Number(args[1]);
+            if ((Number(entry.last_step) || 0) >= step) {
+                return -1;
+            }
+            entry.last_step = step;
+        } else {
+            const index = recovery.indexOf(args[1]);
+            if (index < 0) {
+                return -1;
+            }
+            recovery.splice(index, 1);
+            entry.recovery = recovery;
+        }
+        // cjson把空数组编码为 {}
+        const encoded = JSON.stringify(entry, (key, item) => (Array.isArray(item) && item.length === 0 ? {} : item));
+        this.write(keys[0], encoded);
+        return recovery.length;
+    }]
+];
+
+module.exports = RedisStub;
@@ -0,0 +1,139 @@
+/**
+ * 短信和邮件登录验证码测试：发送间隔、IP限制、校验次数和一次性使用
+ */
+
+const { installRedisStub, mockReq, mockRes } = require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LoginCode = require('../libs/loginCode');
+const CodeSender = require('../libs/codeSender');
+const authController = require('../controllers/auth.controller');
+
+// 发送的验证码记录在内存中，测试从中读取
+const sent = [];
+CodeSender.register('test', {
+    async send(message) {
+        sent.push(message);
+    }
+});
+process.env.SMS_SENDER = 'test';
+
+/**
+ * 最近一次发送的验证码
+ */
+function lastCode() {
+    return sent[sent.length - 1].content.match(/\d{6}/)[0];
+}
+
+/**
+ * 调用发送验证码接口
+ */
+async function sendLoginCode(body, ip = '10.0.0.1') {
+    const req = mockReq({ method: 'POST', body, ip });
+    const res = mockRes();
+    await authController.sendLoginCode(req, res, (error) => {
+        throw error;
+    });
+    return res;
+}
+
+beforeEach(() => {
+    installRedisStub();
+    sent.length = 0;
+});
+
+test('验证码发送间隔内不能重发', async () => {
+    const first = await sendLoginCode({ method: 'sms', phone: '138-0000-0000' });
+    const second = await sendLoginCode({ method: 'sms', phone: '13800000000' });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.statusCode, 429);
+    assert.ok(Number(second.headers['Retry-After']) > 0);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, '13800000000');
+});
+
+test('同一IP请求次数超过上限后拒绝', async () => {
+    for (let i = 0; i < LoginCode.config.ipLimit; i++) {
+        assert.equal((await sendLoginCode({ method: 'sms', phone: `1380000${String(i).padStart(4, '0')}` })).statusCode, 200);
+    }
+
+    const res = await sendLoginCode({ method: 'sms', phone: '13900000000' });
+
+    assert.equal(res.statusCode, 429);
+    assert.equal((await sendLoginCode({ method: 'sms', phone: '13900000000' }, '10.0.0.2')).statusCode, 200);
+});
+
+test('验证码只能使用一次', async () => {
+    await LoginCode.issue('sms', '13800000000');
+    const code = lastCode();
+
+    assert.deepEqual(await LoginCode.verify('sms', '13800000000', code), { valid: true, attemptsLeft: 0 });
+    assert.equal((await LoginCode.verify('sms', '13800000000', code)).valid, false);
+});
+
+test('验证码只对签发时的手机号有效', async () => {
+    await LoginCode.issue('sms', '13800000000');
+
+    assert.equal((await LoginCode.verify('sms', '13800000001', lastCode())).valid, false);
+});
+
+test('校验次数用完后验证码失效', async () => {
+    await LoginCode.issue('sms', '13800000000');
+    const code = lastCode();
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    for (let left = LoginCode.config.maxAttempts - 1; left > 0; left--) {
+        assert.deepEqual(await LoginCode.verify('sms', '13800000000', wrong), { valid: false, attemptsLeft: left });
+    }
+    assert.deepEqual(await LoginCode.verify('sms', '13800000000', wrong), { valid: false, attemptsLeft: 0 });
+
+    assert.equal((await LoginCode.verify('sms', '13800000000', code)).valid, false);
+});
+
+test('并发校验不会超出允许的次数', async () => {
+    await LoginCode.issue('sms', '13800000000');
+    const code = lastCode();
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    const attempts = [];
+    for (let i = 0; i < LoginCode.config.maxAttempts + 3; i++) {
+        attempts.push(LoginCode.verify('sms', '13800000000', wrong));
+    }
+    await Promise.all(attempts);
+
+    assert.equal((await LoginCode.verify('sms', '13800000000', code)).valid, false);
+});
+
+test('发送失败时撤销验证码，允许立即重试', async () => {
+    CodeSender.register('broken', {
+        async send() {
+            throw new Error('短信网关不可用');
+        }
+    });
+    process.env.EMAIL_SENDER = 'broken';
+
+    await assert.rejects(LoginCode.issue('email', 'alice@example.com'));
+    assert.equal((await LoginCode.verify('email', 'alice@example.com', '000000')).valid, false);
+    assert.ok((await LoginCode.issue('sms', '13800000000')).sent);
+
+    delete process.env.EMAIL_SENDER;
+});
+
+test('验证码登录时错误的验证码不会请求rdb服务', async () => {
+    await LoginCode.issue('sms', '13800000000');
+    const code = lastCode();
+    const req = mockReq({
+        method: 'POST',
+        body: { method: 'sms', phone: '13800000000', code: code === '000000' ? '000001' : '000000' }
+    });
+    const res = mockRes();
+
+    await authController.supervisorLogin(req, res, (error) => {
+        throw error;
+    });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 1008);
+    assert.equal(res.body.data.attemptsLeft, LoginCode.config.maxAttempts - 1);
+});
@@ -0,0 +1,140 @@
+/**
+ * 登录防暴力破解测试：失败计数、锁定、解锁和验证码
+ */
+
+const { installRedisStub, mockReq, mockRes } = require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('../utils/redis');
+const LoginGuard = require('../libs/loginGuard');
+const Captcha = require('../libs/captcha');
+const authController = require('../controllers/auth.controller');
+
+beforeEach(() => {
+    installRedisStub();
+});
+
+/**
+ * 调用管理员登录接口
+ */
+async function supervisorLogin(body, ip = '10.0.0.1') {
+    const req = mockReq({ method: 'POST', body: { method: 'account', ...body }, ip });
+    const res = mockRes();
+    await authController.supervisorLogin(req, res, (error) => {
+        throw error;
+    });
+    return res;
+}
+
+/**
+ * 记录多次登录失败，返回最后一次的锁定信息
+ */
+async function fail(username, ip, times) {
+    let locked = null;
+    for (let i = 0; i < times; i++) {
+        locked = await LoginGuard.recordFailure(username, ip);
+    }
+    return locked;
+}
+
+test('同一用户名失败次数达到上限后锁定', async () => {
+    const limit = LoginGuard.config.userLimit;
+
+    assert.equal(await fail('Alice', '10.0.0.1', limit - 1), null);
+    assert.equal(await LoginGuard.checkLock('alice', '10.0.0.2'), null);
+
+    const locked = await fail('Alice', '10.0.0.1', 1);
+
+    assert.equal(locked.type, 'user');
+    assert.equal(locked.retryAfter, LoginGuard.config.lockoutTime);
+    // 用户名不区分大小写，换IP同样被锁定
+    const lock = await LoginGuard.checkLock(' ALICE ', '10.0.0.2');
+    assert.equal(lock.type, 'user');
+    assert.equal(lock.failures, limit);
+    assert.ok(lock.retryAfter > 0);
+});
+
+test('同一IP失败次数达到上限后锁定该IP', async () => {
+    for (let i = 0; i < LoginGuard.config.ipLimit; i++) {
+        await LoginGuard.recordFailure(`user-${i}`, '10.0.0.9');
+    }
+
+    const lock = await LoginGuard.checkLock('someone-else', '10.0.0.9');
+
+    assert.equal(lock.type, 'ip');
+    assert.equal(await LoginGuard.checkLock('someone-else', '10.0.0.10'), null);
+});
+
+test('登录成功只清除用户名的失败记录，IP计数保留', async () => {
+    await fail('alice', '10.0.0.1', 3);
+
+    await LoginGuard.reset('alice');
+
+    assert.equal(await Redis.slidingCount('login-fail-user-alice', LoginGuard.config.window), 0);
+    assert.equal(await LoginGuard.getFailures('bob', '10.0.0.1'), 3);
+});
+
+test('管理员解锁后可以再次登录', async () => {
+    await fail('alice', '10.0.0.1', LoginGuard.config.userLimit);
+
+    assert.equal(await LoginGuard.unlock('user', 'ALICE'), true);
+    assert.equal(await LoginGuard.checkLock('alice', '10.0.0.3'), null);
+    assert.equal(await LoginGuard.getFailures('alice', '10.0.0.3'), 0);
+});
+
+test('失败次数增加时延迟递增且不超过上限', () => {
+    const config = LoginGuard.config;
+
+    assert.equal(LoginGuard.getDelay(config.delayAfter - 1), 0);
+    assert.equal(LoginGuard.getDelay(config.delayAfter), config.delayBase);
+    assert.equal(LoginGuard.getDelay(config.delayAfter + 1), config.delayBase * 2);
+    assert.equal(LoginGuard.getDelay(config.delayAfter + 20), config.delayMax);
+});
+
+test('失败次数达到阈值后需要验证码', async () => {
+    await fail('alice', '10.0.0.1', LoginGuard.config.captchaAfter - 1);
+    assert.equal(LoginGuard.requiresCaptcha(await LoginGuard.getFailures('alice', '10.0.0.2')), false);
+
+    await fail('alice', '10.0.0.1', 1);
+    assert.equal(LoginGuard.requiresCaptcha(await LoginGuard.getFailures('alice', '10.0.0.2')), true);
+});
+
+test('验证码不区分大小写且只能使用一次', async () => {
+    const { captcha_id } = await Captcha.create('image');
+    const { answer } = JSON.parse(await Redis.get(`captcha-${captcha_id}`));
+
+    assert.equal(await Captcha.verify(captcha_id, answer.toLowerCase()), true);
+    assert.equal(await Captcha.verify(captcha_id, answer), false);
+});
+
+test('验证码答错后失效', async () => {
+    const { captcha_id } = await Captcha.create('math');
+    const { answer } = JSON.parse(await Redis.get(`captcha-${captcha_id}`));
+
+    assert.equal(await Captcha.verify(captcha_id, `${answer}0`), false);
+    assert.equal(await Captcha.verify(captcha_id, answer), false);
+    assert.equal(await Captcha.verify('', answer), false);
+});
+
+test('已锁定的账号登录返回429，不请求rdb服务', async () => {
+    await fail('alice', '10.0.0.1', LoginGuard.config.userLimit);
+
+    const res = await supervisorLogin({ username: 'alice', password: 'secret' }, '10.0.0.5');
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 1003);
+    assert.equal(res.headers['Retry-After'], String(LoginGuard.config.lockoutTime));
+});
+
+test('需要验证码时未提交或答错的登录被拒绝', async () => {
+    await fail('alice', '10.0.0.1', LoginGuard.config.captchaAfter);
+
+    const missing = await supervisorLogin({ username: 'alice', password: 'secret' });
+    assert.equal(missing.statusCode, 400);
+    assert.equal(missing.body.code, 1004);
+
+    const { captcha_id } = await Captcha.create('image');
+    const wrong = await supervisorLogin({ username: 'alice', password: 'secret', captcha_id, captcha_answer: '!' });
+    assert.equal(wrong.statusCode, 400);
+    assert.equal(wrong.body.code, 1005);
+});
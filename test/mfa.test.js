@@ -0,0 +1,89 @@
+/**
+ * 双因素认证测试：绑定、口令防重放和恢复码
+ */
+
+const { installRedisStub } = require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Mfa = require('../libs/mfa');
+const Totp = require('../libs/totp');
+
+beforeEach(() => {
+    installRedisStub();
+});
+
+/**
+ * 绑定并启用双因素认证
+ *
+ * @return {Promise<object>} enroll的返回值
+ */
+async function enable(sub) {
+    const enrollment = await Mfa.enroll(sub, sub);
+    assert.equal(await Mfa.activate(sub, Totp.generate(enrollment.secret)), true);
+    return enrollment;
+}
+
+test('口令错误时不能启用', async () => {
+    const { secret } = await Mfa.enroll('alice', 'alice');
+    const wrong = Totp.generate(secret, Totp.getStep() + 5);
+
+    assert.equal(await Mfa.activate('alice', wrong), false);
+    assert.equal((await Mfa.status('alice')).enabled, false);
+});
+
+test('启用时使用的口令不能再次用于登录', async () => {
+    const { secret } = await Mfa.enroll('alice', 'alice');
+    const code = Totp.generate(secret);
+    assert.equal(await Mfa.activate('alice', code), true);
+
+    assert.equal(await Mfa.verify('alice', { code }), null);
+});
+
+test('同一口令并发校验只有一个通过', async () => {
+    const { secret } = await enable('alice');
+    const code = Totp.generate(secret, Totp.getStep() + 1);
+
+    const results = await Promise.all([
+        Mfa.verify('alice', { code }),
+        Mfa.verify('alice', { code }),
+        Mfa.verify('alice', { code })
+    ]);
+
+    assert.deepEqual(results.filter(Boolean), ['totp']);
+    assert.equal(await Mfa.verify('alice', { code }), null);
+});
+
+test('恢复码只能使用一次，并发使用只有一个通过', async () => {
+    const { recoveryCodes } = await enable('alice');
+
+    const results = await Promise.all([
+        Mfa.verify('alice', { recoveryCode: recoveryCodes[0] }),
+        Mfa.verify('alice', { recoveryCode: recoveryCodes[0] })
+    ]);
+
+    assert.deepEqual(results.filter(Boolean), ['recovery_code']);
+    assert.equal((await Mfa.status('alice')).recoveryCodesLeft, recoveryCodes.length - 1);
+    assert.equal(await Mfa.verify('alice', { recoveryCode: 'xxxxx-xxxxx' }), null);
+});
+
+test('恢复码用完后状态正确', async () => {
+    const { recoveryCodes } = await enable('alice');
+
+    for (const recoveryCode of recoveryCodes) {
+        assert.equal(await Mfa.verify('alice', { recoveryCode }), 'recovery_code');
+    }
+
+    const status = await Mfa.status('alice');
+    assert.equal(status.enabled, true);
+    assert.equal(status.recoveryCodesLeft, 0);
+    assert.equal(await Mfa.verify('alice', { recoveryCode: recoveryCodes[0] }), null);
+});
+
+test('停用后不再校验', async () => {
+    const { secret } = await enable('alice');
+
+    await Mfa.disable('alice');
+
+    assert.equal(await Mfa.verify('alice', { code: Totp.generate(secret, Totp.getStep() + 1) }), null);
+    assert.equal((await Mfa.status('alice')).enabled, false);
+});
@@ -0,0 +1,107 @@
+/**
+ * 限流测试：令牌桶、滑动窗口、计数维度和Redis不可用时的内存计数
+ */
+
+const { installRedisStub, mockReq, mockRes, runMiddleware } = require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Jwt = require('../utils/jwt');
+const Redis = require('../utils/redis');
+const RateLimit = require('../middleware/rateLimit');
+const ServiceAccount = require('../libs/serviceAccount');
+
+let seq = 0;
+
+beforeEach(() => {
+    installRedisStub();
+});
+
+/**
+ * 创建限流中间件，每个测试使用不同的名称，避免内存计数相互影响
+ */
+function limiter(options) {
+    return RateLimit.create({ name: `test-${++seq}`, limit: 3, window: 60, ...options });
+}
+
+/**
+ * 发起count次请求，返回每次的响应
+ */
+async function hit(middleware, count, request = {}) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        const res = mockRes();
+        res.passed = await runMiddleware(middleware, mockReq(request), res);
+        results.push(res);
+    }
+    return results;
+}
+
+for (const algorithm of RateLimit.algorithms) {
+    test(`${algorithm}: 超出限制返回429和Retry-After`, async () => {
+        const results = await hit(limiter({ algorithm, keyBy: 'ip' }), 4);
+
+        assert.deepEqual(results.map(res => res.passed), [true, true, true, false]);
+        const rejected = results[3];
+        assert.equal(rejected.statusCode, 429);
+        assert.ok(Number(rejected.headers['Retry-After']) >= 1);
+        assert.equal(rejected.headers['RateLimit-Limit'], '3');
+        assert.equal(rejected.headers['RateLimit-Remaining'], '0');
+        assert.equal(results[0].headers['RateLimit-Remaining'], '2');
+    });
+
+    test(`${algorithm}: 不同IP分别计数`, async () => {
+        const middleware = limiter({ algorithm, keyBy: 'ip' });
+        await hit(middleware, 3, { ip: '10.0.0.1' });
+
+        const [other] = await hit(middleware, 1, { ip: '10.0.0.2' });
+
+        assert.ok(other.passed);
+    });
+
+    test(`${algorithm}: Redis不可用时退回内存计数，仍然限流`, async () => {
+        Redis.connected = false;
+
+        const results = await hit(limiter({ algorithm, keyBy: 'ip' }), 4);
+
+        assert.deepEqual(results.map(res => res.passed), [true, true, true, false]);
+    });
+}
+
+test('按用户计数时使用token中的用户', async () => {
+    const middleware = limiter({ keyBy: 'user' });
+    const token = Jwt.issueToken('test', 'alice', { app: 'nps' });
+    await hit(middleware, 3, { headers: { authorization: `Bearer ${token}` }, ip: '10.0.0.1' });
+
+    const [sameUser] = await hit(middleware, 1, { headers: { authorization: `Bearer ${token}` }, ip: '10.0.0.2' });
+    const [anonymous] = await hit(middleware, 1, { ip: '10.0.0.1' });
+
+    assert.equal(sameUser.passed, false);
+    assert.ok(anonymous.passed);
+});
+
+test('伪造的API Key不单独计数，按IP计数', async () => {
+    const middleware = limiter({ keyBy: 'auto' });
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+        const forged = `tmk_${'0'.repeat(11)}${i}_${'A'.repeat(43)}`;
+        results.push(...await hit(middleware, 1, { headers: { 'X-Api-Key': forged } }));
+    }
+
+    assert.deepEqual(results.map(res => res.passed), [true, true, true, false]);
+});
+
+test('有效的API Key按服务账号计数', async () => {
+    const middleware = limiter({ keyBy: 'auto' });
+    const { apiKey } = await ServiceAccount.create({ name: 'ci', scopes: ['rdb.cate.read'] }, 'admin');
+    await hit(middleware, 3, { ip: '10.0.0.1' });
+
+    const results = await hit(middleware, 4, { headers: { 'X-Api-Key': apiKey }, ip: '10.0.0.1' });
+
+    assert.deepEqual(results.map(res => res.passed), [true, true, true, false]);
+});
+
+test('配置无效时创建失败', () => {
+    assert.throws(() => RateLimit.create({ name: 'bad', algorithm: 'leaky-bucket' }));
+    assert.throws(() => RateLimit.create({ name: 'bad', keyBy: 'cookie' }));
+    assert.throws(() => RateLimit.create({ name: 'bad', limit: -1 }));
+});
@@ -0,0 +1,69 @@
+/**
+ * rdb服务客户端测试：统一 { code, data }、NDJSON 和普通JSON 三种响应格式
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RdbClient = require('../libs/rdbClient');
+
+test('{ code: 0, data } 返回data', () => {
+    assert.deepEqual(RdbClient.unwrap('rdb.getNode', { code: 0, data: { node: { id: 1 } }, message: '' }), [{ node: { id: 1 } }, null]);
+    assert.deepEqual(RdbClient.unwrap('rdb.getNode', JSON.stringify({ code: 0, data: null })), [null, null]);
+});
+
+test('code不为0时返回上游错误', () => {
+    const [data, error] = RdbClient.unwrap('rdb.getNode', { code: 5, message: 'node not found' });
+
+    assert.equal(data, null);
+    assert.equal(error.code, 5);
+    assert.equal(error.kind, 'not_found');
+});
+
+test('{ error } 格式的错误', () => {
+    const [data, error] = RdbClient.unwrap('rdb.getNode', { error: { code: 7, message: 'denied' } });
+
+    assert.equal(data, null);
+    assert.equal(error.kind, 'forbidden');
+});
+
+test('NDJSON返回每行的result组成的数组', () => {
+    const text = [
+        JSON.stringify({ result: { cate: { id: 1, name: 'a' } } }),
+        '',
+        'not json',
+        JSON.stringify({ result: { cate: { id: 2, name: 'b' } } })
+    ].join('\n');
+
+    const [data, error] = RdbClient.unwrap('rdb.listNodeCate', text);
+
+    assert.equal(error, null);
+    assert.deepEqual(RdbClient.toList(data, 'cate').map(cate => cate.name), ['a', 'b']);
+});
+
+test('NDJSON中任一行为错误时整体失败', () => {
+    const text = [
+        JSON.stringify({ result: { cate: { id: 1 } } }),
+        JSON.stringify({ error: { code: 14, message: 'unavailable' } })
+    ].join('\n');
+
+    const [data, error] = RdbClient.unwrap('rdb.listNodeCate', text);
+
+    assert.equal(data, null);
+    assert.equal(error.kind, 'unavailable');
+    assert.ok(error.retryable);
+});
+
+test('单个 { result } 和普通JSON', () => {
+    assert.deepEqual(RdbClient.unwrap('rdb.getNode', { result: { node: { id: 1 } } }), [[{ node: { id: 1 } }], null]);
+    assert.deepEqual(RdbClient.unwrap('rdb.getNode', { node: { id: 1 } }), [{ node: { id: 1 } }, null]);
+    assert.deepEqual(RdbClient.unwrap('rdb.getNode', ''), [null, null]);
+    assert.deepEqual(RdbClient.unwrap('rdb.getNode', [1, 2]), [[1, 2], null]);
+});
+
+test('toList兼容多种列表结构', () => {
+    assert.deepEqual(RdbClient.toList({ cates: [{ id: 1 }] }, 'cate'), [{ id: 1 }]);
+    assert.deepEqual(RdbClient.toList({ cate: { id: 1 } }, 'cate'), [{ id: 1 }]);
+    assert.deepEqual(RdbClient.toList([{ cates: [{ id: 1 }, { id: 2 }] }], 'cate'), [{ id: 1 }, { id: 2 }]);
+    assert.deepEqual(RdbClient.toList(null, 'cate'), []);
+});
@@ -0,0 +1,116 @@
+/**
+ * 服务账号测试：API Key认证、撤销、过期、权限范围和接口限制
+ */
+
+const { installRedisStub, mockReq, mockRes, runMiddleware } = require('./helpers');
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ServiceAccount = require('../libs/serviceAccount');
+const PermissionEngine = require('../libs/permissionEngine');
+const AuthMiddleware = require('../middleware/auth');
+const authController = require('../controllers/auth.controller');
+
+beforeEach(() => {
+    installRedisStub();
+    mock.restoreAll();
+});
+
+/**
+ * 创建服务账号
+ */
+function create(data = {}) {
+    return ServiceAccount.create({ name: 'ci', scopes: ['rdb.cate.read'], ...data }, 'admin');
+}
+
+/**
+ * 以API Key发起请求，返回通过认证后的请求对象
+ */
+async function authenticate(apiKey) {
+    const req = mockReq({ headers: { 'X-Api-Key': apiKey } });
+    const res = mockRes();
+    const passed = await runMiddleware(AuthMiddleware.tokenCheck, req, res);
+    return { passed, req, res };
+}
+
+test('有效的API Key通过认证，权限为服务账号的scopes', async () => {
+    const { account, apiKey } = await create({ tenant: 'tenant-a' });
+
+    const { passed, req } = await authenticate(apiKey);
+
+    assert.ok(passed);
+    assert.equal(req.user.id, `sa:${account.id}`);
+    assert.deepEqual(req.user.serviceAccount.scopes, ['rdb.cate.read']);
+    assert.ok((await ServiceAccount.get(account.id)).last_used_at > 0);
+});
+
+test('格式错误或密钥不匹配的API Key被拒绝', async () => {
+    const { apiKey } = await create();
+    const forged = apiKey.slice(0, -4) + (apiKey.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+
+    assert.equal((await ServiceAccount.authenticate('tmk_invalid')).reason, 'invalid_key');
+    assert.equal((await ServiceAccount.authenticate(forged)).reason, 'invalid_key');
+
+    const { passed, res } = await authenticate(forged);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.reason, 'invalid_key');
+});
+
+test('撤销后API Key立即失效，包括验证缓存期内', async () => {
+    const { account, apiKey } = await create();
+    assert.ok((await ServiceAccount.authenticate(apiKey)).account);
+
+    await ServiceAccount.revoke(account.id, 'admin');
+
+    assert.equal((await ServiceAccount.authenticate(apiKey)).reason, 'revoked');
+});
+
+test('过期的API Key被拒绝', async () => {
+    const { apiKey } = await create({ expires_at: Math.floor(Date.now() / 1000) - 1 });
+
+    assert.equal((await ServiceAccount.authenticate(apiKey)).reason, 'expired');
+});
+
+test('服务账号只能访问scopes范围内的接口', async () => {
+    const { apiKey } = await create({ scopes: ['rdb.cate.*'] });
+    const { req } = await authenticate(apiKey);
+
+    assert.ok(await runMiddleware(AuthMiddleware.requirePermissions(['rdb.cate.edit']), req));
+
+    const res = mockRes();
+    assert.equal(await runMiddleware(AuthMiddleware.requirePermissions(['admin.role.read']), req, res), false);
+    assert.equal(res.statusCode, 403);
+});
+
+test('服务账号不能访问依赖用户会话的接口', async () => {
+    const { apiKey } = await create();
+    const { req } = await authenticate(apiKey);
+    const res = mockRes();
+
+    assert.equal(await runMiddleware(AuthMiddleware.userOnly, req, res), false);
+    assert.equal(res.statusCode, 403);
+});
+
+test('创建的服务账号权限范围不能超出创建人的权限', async () => {
+    mock.method(PermissionEngine, 'getPermissions', async () => ['rdb.cate.*']);
+    const call = async (scopes) => {
+        const req = mockReq({
+            method: 'POST',
+            body: { name: 'ci', scopes },
+            user: { id: 'alice', username: 'alice', token: 't' }
+        });
+        const res = mockRes();
+        await authController.createServiceAccount(req, res, (error) => {
+            throw error;
+        });
+        return res;
+    };
+
+    const exceeded = await call(['rdb.cate.read', 'admin.role.write']);
+    assert.equal(exceeded.statusCode, 403);
+    assert.deepEqual(exceeded.body.missing, ['admin.role.write']);
+
+    const created = await call(['rdb.cate.read']);
+    assert.equal(created.statusCode, 201);
+    assert.ok((await ServiceAccount.authenticate(created.body.data.apiKey)).account);
+});
@@ -0,0 +1,157 @@
+/**
+ * 会话测试：token验证、登出撤销、刷新轮换、盗用检测和在线状态
+ */
+
+const { installRedisStub, mockReq, mockRes, runMiddleware, login } = require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Jwt = require('../utils/jwt');
+const Redis = require('../utils/redis');
+const AuthMiddleware = require('../middleware/auth');
+const authController = require('../controllers/auth.controller');
+
+let stub;
+
+beforeEach(() => {
+    stub = installRedisStub();
+});
+
+/**
+ * 以token发起普通请求，返回是否通过认证
+ */
+async function authenticate(token) {
+    const req = mockReq({ headers: { authorization: `Bearer ${token}` } });
+    const res = mockRes();
+    const passed = await runMiddleware(AuthMiddleware.tokenCheck, req, res);
+    return { passed, req, res };
+}
+
+/**
+ * 以token调用刷新接口
+ */
+async function refresh(token) {
+    const req = mockReq({ method: 'POST', headers: { authorization: `Bearer ${token}` } });
+    const res = mockRes();
+    if (await runMiddleware(AuthMiddleware.refreshCheck, req, res)) {
+        await authController.refreshToken(req, res, (error) => {
+            throw error;
+        });
+    }
+    return res;
+}
+
+/**
+ * 以token调用登出接口
+ */
+async function logout(token, body = {}) {
+    const { passed, req } = await authenticate(token);
+    assert.ok(passed);
+    req.body = body;
+    const res = mockRes();
+    await authController.logout(req, res, (error) => {
+        throw error;
+    });
+    return res;
+}
+
+test('有效token通过认证并记录在线状态', async () => {
+    const { token } = await login('alice');
+
+    const { passed, req } = await authenticate(token);
+
+    assert.ok(passed);
+    assert.equal(req.user.id, 'alice');
+    assert.equal(await Redis.countPresence('presence-all', 300), 1);
+    assert.equal(await Redis.countPresence('presence-tenant-tenant-a', 300), 1);
+});
+
+test('没有会话记录的token被拒绝', async () => {
+    const token = Jwt.issueToken('test', 'alice', { app: 'nps' });
+
+    const { passed, res } = await authenticate(token);
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+});
+
+test('有效期超过上限的token验证失败', () => {
+    const token = Jwt.issueToken('test', 'alice', { app: 'nps' }, Jwt.options.maxLifetime + 3600);
+
+    assert.equal(Jwt.verifyToken(token).reason, 'invalid_lifetime');
+});
+
+test('登出只撤销当前会话', async () => {
+    const first = await login('alice');
+    const second = await login('alice');
+
+    const res = await logout(first.token);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal((await authenticate(first.token)).passed, false);
+    assert.ok((await authenticate(second.token)).passed);
+});
+
+test('登出全部设备撤销全部会话，撤销记录保留到最长有效期结束', async () => {
+    const first = await login('alice');
+    const second = await login('alice');
+
+    await logout(first.token, { all: true });
+
+    assert.equal((await authenticate(first.token)).passed, false);
+    assert.equal((await authenticate(second.token)).passed, false);
+    const ttl = stub.ttlSync('user-revoked-alice');
+    assert.ok(ttl > Jwt.defaultTime && ttl <= Jwt.getMaxLifetime());
+
+    // 撤销后重新登录的会话不受影响
+    const again = await login('alice');
+    assert.ok((await authenticate(again.token)).passed);
+});
+
+test('刷新后新token可用，旧token在宽限期内仍可用于普通请求', async () => {
+    const { token } = await login('alice');
+
+    const res = await refresh(token);
+
+    assert.equal(res.statusCode, 200);
+    assert.ok((await authenticate(res.body.data.token)).passed);
+    assert.ok((await authenticate(token)).passed);
+});
+
+test('并发刷新同一token只有一个成功', async () => {
+    const { token } = await login('alice');
+
+    const results = await Promise.all([refresh(token), refresh(token), refresh(token)]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 401, 401]);
+});
+
+test('会话轮换只在当前token匹配时生效', async () => {
+    const { jti } = await login('alice');
+
+    const rotated = await Redis.rotateSession('alice', jti, jti, 'jti-2', 600);
+    const stale = await Redis.rotateSession('alice', jti, jti, 'jti-3', 600);
+
+    assert.equal(rotated.jti, 'jti-2');
+    assert.equal(rotated.previous_jti, jti);
+    assert.equal(stale, null);
+    assert.equal((await Redis.getSession('alice', jti)).jti, 'jti-2');
+});
+
+test('宽限期后旧token再次用于刷新视为盗用，撤销全部会话', async () => {
+    const { token, jti } = await login('alice');
+    const other = await login('alice');
+    const refreshed = await refresh(token);
+    assert.equal(refreshed.statusCode, 200);
+
+    // 宽限期内重复刷新只拒绝
+    assert.equal((await refresh(token)).statusCode, 401);
+    assert.ok((await authenticate(refreshed.body.data.token)).passed);
+
+    // 宽限期结束
+    await Redis.del(`jwt-rotated-${jti}`);
+    assert.equal((await refresh(token)).statusCode, 401);
+
+    assert.equal((await authenticate(refreshed.body.data.token)).passed, false);
+    assert.equal((await authenticate(other.token)).passed, false);
+    assert.ok(await Redis.getUserRevokedAt('alice') > 0);
+});
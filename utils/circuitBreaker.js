@@ -0,0 +1,182 @@
+/**
+ * 熔断器
+ * 每个上游服务地址一个熔断器，连续失败达到阈值后熔断，熔断期间请求直接失败，
+ * 不再占用连接等待超时；熔断时间结束后进入半开状态，放行少量探测请求，成功则恢复，失败则重新熔断
+ *
+ * 状态：
+ * - closed: 正常
+ * - open: 熔断中
+ * - half_open: 半开，探测中
+ *
+ * 配置：
+ * - CIRCUIT_FAILURE_THRESHOLD: 连续失败多少次后熔断，默认5
+ * - CIRCUIT_RESET_TIMEOUT: 熔断时间（毫秒），默认30000
+ * - CIRCUIT_HALF_OPEN_MAX: 半开状态同时放行的探测请求数，默认1
+ *
+ * @package utils
+ * @author System
+ * @version 1.0
+ */
+
+const Logger = require('./logger');
+
+/**
+ * CircuitBreaker类
+ * 熔断器实例和按名称管理的注册表
+ */
+class CircuitBreaker {
+    /**
+     * 已创建的熔断器
+     * name => CircuitBreaker
+     */
+    static registry = new Map();
+
+    /**
+     * 默认配置
+     */
+    static defaults = {
+        failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+        resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 30000,
+        halfOpenMax: parseInt(process.env.CIRCUIT_HALF_OPEN_MAX) || 1
+    };
+
+    /**
+     * 获取熔断器，不存在时创建
+     *
+     * @param {string} name 熔断器名称（上游服务地址）
+     * @param {object} options 配置，覆盖默认配置
+     * @return {CircuitBreaker} 熔断器
+     */
+    static get(name, options = {}) {
+        if (!this.registry.has(name)) {
+            this.registry.set(name, new CircuitBreaker(name, options));
+        }
+        return this.registry.get(name);
+    }
+
+    /**
+     * 获取全部熔断器的状态
+     *
+     * @return {Array} 状态列表，见 getState
+     */
+    static list() {
+        return [...this.registry.values()].map(breaker => breaker.getState());
+    }
+
+    /**
+     * 构造函数
+     *
+     * @param {string} name 熔断器名称
+     * @param {object} options { failureThreshold, resetTimeout, halfOpenMax }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...CircuitBreaker.defaults, ...options };
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probes = 0;
+        this.lastError = null;
+        this.lastFailureAt = null;
+    }
+
+    /**
+     * 判断是否允许发送请求
+     * 熔断时间结束后转为半开，并计入一个探测名额；允许的请求必须在结束后调用 onSuccess 或 onFailure
+     *
+     * @return {boolean} 是否允许
+     */
+    allow() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.options.resetTimeout) {
+                return false;
+            }
+            this.transition('half_open');
+        }
+
+        if (this.state === 'half_open') {
+            if (this.probes >= this.options.halfOpenMax) {
+                return false;
+            }
+            this.probes++;
+        }
+
+        return true;
+    }
+
+    /**
+     * 记录请求成功
+     *
+     * @return {void}
+     */
+    onSuccess() {
+        this.failures = 0;
+        if (this.state !== 'closed') {
+            this.transition('closed');
+        }
+    }
+
+    /**
+     * 记录请求失败（网络错误、超时或5xx）
+     *
+     * @param {string} error 错误描述
+     * @return {void}
+     */
+    onFailure(error) {
+        this.failures++;
+        this.lastError = error;
+        this.lastFailureAt = Date.now();
+
+        if (this.state === 'half_open' || this.failures >= this.options.failureThreshold) {
+            this.transition('open');
+        }
+    }
+
+    /**
+     * 切换状态
+     *
+     * @param {string} state 新状态
+     * @return {void}
+     */
+    transition(state) {
+        const from = this.state;
+        this.state = state;
+        this.probes = 0;
+
+        if (state === 'open') {
+            this.openedAt = Date.now();
+            Logger.error('上游服务熔断', {
+                name: this.name,
+                from,
+                failures: this.failures,
+                error: this.lastError,
+                resetTimeout: this.options.resetTimeout
+            });
+        } else if (state === 'closed') {
+            this.openedAt = null;
+            Logger.info('上游服务熔断恢复', { name: this.name, from });
+        } else {
+            Logger.info('上游服务熔断半开，开始探测', { name: this.name });
+        }
+    }
+
+    /**
+     * 获取熔断器状态
+     *
+     * @return {object} { name, state, failures, openedAt, retryAt, lastError, lastFailureAt }，时间为ISO字符串
+     */
+    getState() {
+        const toIso = time => (time ? new Date(time).toISOString() : null);
+        return {
+            name: this.name,
+            state: this.state,
+            failures: this.failures,
+            openedAt: toIso(this.openedAt),
+            retryAt: this.state === 'open' ? toIso(this.openedAt + this.options.resetTimeout) : null,
+            lastError: this.lastError,
+            lastFailureAt: toIso(this.lastFailureAt)
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
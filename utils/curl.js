@@ -2,6 +2,22 @@
  * HTTP请求工具类
  * 提供与外部API服务通信的功能，类似PHP中的Curl工具
  * 
+ * 每个API可以单独配置超时和重试；重试只用于幂等请求（GET/HEAD/PUT/DELETE/OPTIONS，
+ * 或标记了 idempotent 的只读POST接口），遇到网络错误或502/503时按指数退避加随机抖动重试。
+ * 超时（含504）不重试，上游已经很慢时重试只会成倍延长等待；全部尝试和退避等待不超过总时限 deadline。
+ * 每个上游服务地址（apiConfig中的host，即 RDB_HOST、AUTH_HOST）一个熔断器，见 utils/circuitBreaker.js
+ * 
+ * 请求失败时返回 [null, UpstreamError]，控制器通过 UpstreamError.toHttp() 转换为对外的状态码和提示，
+ * 不直接拼接错误信息，避免泄露上游地址和状态
+ * 
+ * 请求日志中密码、密钥、验证码和token字段替换为 ******，见 Curl.redact()
+ * 
+ * 配置：
+ * - CURL_TIMEOUT: 默认超时（毫秒），默认10000
+ * - CURL_RETRIES: 幂等请求的默认重试次数，默认2
+ * - CURL_BACKOFF_BASE / CURL_BACKOFF_MAX: 退避基数和上限（毫秒），默认200、2000
+ * - CURL_DEADLINE: 一次调用（含重试）的总时限（毫秒），默认15000，不小于接口的超时
+ * 
  * @package utils
  * @author System
  * @version 1.0
@@ -9,15 +25,294 @@
 
 const axios = require('axios');
 const Logger = require('./logger');
+const CircuitBreaker = require('./circuitBreaker');
+
+/**
+ * 幂等的HTTP方法
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+/**
+ * 请求日志中脱敏的字段：密码、密钥、验证码、token
+ */
+const SENSITIVE_FIELDS = /password|secret|token|^(code|recovery_code|captcha_answer)$/i;
+
+/**
+ * 可重试的HTTP状态码
+ * 504为网关超时，与请求超时一样不重试
+ */
+const RETRYABLE_STATUSES = [502, 503];
+
+/**
+ * gRPC状态码（rdb、认证服务的网关错误使用）对应的错误类型
+ */
+const GRPC_KINDS = {
+    3: 'invalid',
+    4: 'timeout',
+    5: 'not_found',
+    6: 'conflict',
+    7: 'forbidden',
+    8: 'rate_limited',
+    9: 'conflict',
+    10: 'conflict',
+    14: 'unavailable',
+    16: 'unauthorized'
+};
+
+/**
+ * HTTP状态码对应的错误类型
+ */
+const HTTP_KINDS = {
+    400: 'invalid',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    422: 'invalid',
+    429: 'rate_limited',
+    502: 'unavailable',
+    503: 'unavailable',
+    504: 'timeout'
+};
+
+/**
+ * 错误类型对应的对外响应
+ * status为HTTP状态码，code为响应体中的业务码
+ */
+const KIND_RESPONSES = {
+    not_found: { status: 404, code: 404, message: '资源不存在' },
+    conflict: { status: 409, code: 409, message: '资源已存在或状态冲突' },
+    forbidden: { status: 403, code: 403, message: '无权操作该资源' },
+    unauthorized: { status: 401, code: 401, message: '上游服务认证失败，请重新登录' },
+    invalid: { status: 400, code: 400, message: '请求参数无效' },
+    rate_limited: { status: 429, code: 429, message: '上游服务繁忙，请稍后再试' },
+    unavailable: { status: 503, code: 2004, message: '上游服务暂不可用，请稍后再试' },
+    timeout: { status: 504, code: 2004, message: '上游服务响应超时' },
+    error: { status: 500, code: 2004, message: '上游服务调用失败' }
+};
+
+/**
+ * 上游服务调用错误
+ * reason为失败原因：network（网络错误）、timeout（超时）、circuit_open（熔断中）、
+ * http（HTTP状态码非2xx）、upstream（响应体中的错误码）、error（其他异常）
+ */
+class UpstreamError extends Error {
+    /**
+     * 构造函数
+     * 
+     * @param {object} options { apiName, reason, status, code, body, retryable, message }
+     */
+    constructor({ apiName, reason, status = null, code = null, body = null, retryable = false, message }) {
+        super(message || `${apiName}调用失败: ${reason}`);
+        this.name = 'UpstreamError';
+        this.apiName = apiName;
+        this.service = String(apiName).split('.')[0];
+        this.reason = reason;
+        this.status = status;
+        this.code = code;
+        this.body = body;
+        this.retryable = retryable;
+    }
+
+    /**
+     * 由axios异常创建
+     * 
+     * @param {string} apiName API名称
+     * @param {Error} error axios异常
+     * @return {UpstreamError} 上游错误
+     */
+    static fromAxios(apiName, error) {
+        if (error.response) {
+            return this.fromResponse(apiName, error.response);
+        }
+        const timeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return new UpstreamError({
+            apiName,
+            reason: timeout ? 'timeout' : 'network',
+            code: error.code || null,
+            retryable: !timeout,
+            message: `${apiName}${timeout ? '请求超时' : '网络错误'}: ${error.message}`
+        });
+    }
+
+    /**
+     * 由HTTP状态码非2xx的响应创建
+     * 
+     * @param {string} apiName API名称
+     * @param {object} response axios响应
+     * @return {UpstreamError} 上游错误
+     */
+    static fromResponse(apiName, response) {
+        const body = response.data;
+        return new UpstreamError({
+            apiName,
+            reason: 'http',
+            status: response.status,
+            code: this.extractCode(body),
+            body: body,
+            retryable: RETRYABLE_STATUSES.includes(response.status),
+            message: `${apiName}返回HTTP ${response.status}`
+        });
+    }
+
+    /**
+     * 由响应体中的错误创建
+     * 用于HTTP 200但响应体为 { code, message } 或 { error: { code, message } } 的情况
+     * 
+     * @param {string} apiName API名称
+     * @param {object} body 响应体或其中的错误对象
+     * @return {UpstreamError} 上游错误
+     */
+    static fromBody(apiName, body) {
+        const code = this.extractCode(body);
+        const detail = body?.error?.message || body?.message || body?.msg || '未知错误';
+        return new UpstreamError({
+            apiName,
+            reason: 'upstream',
+            code: code,
+            body: body,
+            retryable: GRPC_KINDS[code] === 'unavailable',
+            message: `${apiName}返回错误: ${detail}（code ${code}）`
+        });
+    }
+
+    /**
+     * 熔断中，请求未发出
+     * 
+     * @param {string} apiName API名称
+     * @return {UpstreamError} 上游错误
+     */
+    static circuitOpen(apiName) {
+        return new UpstreamError({
+            apiName,
+            reason: 'circuit_open',
+            retryable: true,
+            message: `${apiName}未发送: 上游服务熔断中`
+        });
+    }
+
+    /**
+     * 从响应体中取出上游错误码
+     * 
+     * @param {*} body 响应体
+     * @return {number|string|null} 错误码
+     */
+    static extractCode(body) {
+        if (!body || typeof body !== 'object') {
+            return null;
+        }
+        return body.error?.code ?? body.code ?? null;
+    }
+
+    /**
+     * 错误类型
+     * 优先按HTTP状态码，其次按响应体中的错误码（gRPC状态码或HTTP风格的4xx错误码）判定：
+     * not_found、conflict、forbidden、unauthorized、invalid、rate_limited、unavailable、timeout、error
+     * 
+     * @return {string} 错误类型
+     */
+    get kind() {
+        if (this.reason === 'timeout') {
+            return 'timeout';
+        }
+        if (this.reason === 'network' || this.reason === 'circuit_open') {
+            return 'unavailable';
+        }
+        if (this.status && HTTP_KINDS[this.status]) {
+            return HTTP_KINDS[this.status];
+        }
+
+        const code = Number(this.code);
+        if (GRPC_KINDS[code]) {
+            return GRPC_KINDS[code];
+        }
+        if (HTTP_KINDS[code]) {
+            return HTTP_KINDS[code];
+        }
+        return 'error';
+    }
+
+    /**
+     * 是否为上游服务自身故障（不可用、超时或未知错误），而不是请求本身被拒绝
+     * 登录等场景据此区分"凭证错误"和"服务故障"
+     *
+     * @return {boolean} 是否为上游故障
+     */
+    get isFault() {
+        return ['unavailable', 'timeout', 'error'].includes(this.kind);
+    }
+
+    /**
+     * 日志序列化，不包含响应体
+     *
+     * @return {object} 错误摘要
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            apiName: this.apiName,
+            reason: this.reason,
+            kind: this.kind,
+            status: this.status,
+            code: this.code,
+            retryable: this.retryable
+        };
+    }
+
+    /**
+     * 转换为对外响应
+     * 不是UpstreamError的错误按上游服务调用失败处理
+     * 
+     * @param {UpstreamError|Error|string} error 错误
+     * @return {object} { status, code, reason, message }，reason为错误类型
+     */
+    static toHttp(error) {
+        const kind = error instanceof UpstreamError ? error.kind : 'error';
+        return { ...KIND_RESPONSES[kind], reason: kind };
+    }
+
+    /**
+     * 返回上游服务调用失败响应
+     * 按toHttp转换状态码，提示为“操作描述: 对外提示”，不包含上游地址和状态；控制器共用
+     *
+     * @param {object} res Express响应对象
+     * @param {UpstreamError|Error} error 上游错误
+     * @param {string} action 操作描述
+     * @return {object} Express响应
+     */
+    static respond(res, error, action) {
+        const mapped = UpstreamError.toHttp(error);
+        return res.status(mapped.status).json({
+            success: false,
+            code: mapped.code,
+            reason: mapped.reason,
+            message: `${action}: ${mapped.message}`
+        });
+    }
+}
 
 /**
  * Curl HTTP请求工具类
  * 封装axios，提供统一的API调用接口
  */
 class Curl {
+    /**
+     * 默认超时和重试配置
+     */
+    static defaults = {
+        timeout: parseInt(process.env.CURL_TIMEOUT) || 10000,
+        retries: isNaN(parseInt(process.env.CURL_RETRIES)) ? 2 : parseInt(process.env.CURL_RETRIES),
+        backoffBase: parseInt(process.env.CURL_BACKOFF_BASE) || 200,
+        backoffMax: parseInt(process.env.CURL_BACKOFF_MAX) || 2000,
+        deadline: parseInt(process.env.CURL_DEADLINE) || 15000
+    };
+
     /**
      * API配置映射
      * 存储不同服务的API配置信息
+     * 可选项：timeout（毫秒）、retries（重试次数）、backoffBase / backoffMax（退避基数和上限，毫秒）、
+     * deadline（含重试的总时限，毫秒）、idempotent（POST接口是否可安全重试）
      */
     static apiConfig = {
         'rdb.login': {
@@ -25,35 +320,50 @@ class Curl {
             url: '/api/login',
             host: process.env.RDB_HOST || 'http://localhost:8080'
         },
+        'rdb.logout': {
+            method: 'POST',
+            url: '/api/logout',
+            host: process.env.RDB_HOST || 'http://localhost:8080'
+        },
         'rdb.getUser': {
             method: 'POST',
             url: '/api/user',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true
         },
         'rdb.profileUser': {
             method: 'POST',
             url: '/api/user/profile',
             host: process.env.RDB_HOST || 'http://localhost:8080'
         },
+        'rdb.changePassword': {
+            method: 'POST',
+            url: '/api/user/password',
+            host: process.env.RDB_HOST || 'http://localhost:8080'
+        },
         'rdb.listUserRole': {
             method: 'POST',
             url: '/api/user/roles',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true
         },
         'rdb.loadOperationSheet': {
             method: 'POST',
             url: '/LoadOperationSheet',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true
         },
         'rdb.getNode': {
             method: 'POST',
             url: '/InspectNode',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true
         },
         'rdb.listNodeCate': {
             method: 'POST',
             url: '/api/node/cate/list',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true
         },
         'rdb.createNodeCate': {
             method: 'POST',
@@ -63,7 +373,8 @@ class Curl {
         'rdb.getNodeCate': {
             method: 'POST',
             url: '/api/node/cate/get',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true
         },
         'rdb.deleteNodeCate': {
             method: 'POST',
@@ -73,7 +384,9 @@ class Curl {
         'rdb.getNodeTree': {
             method: 'POST',
             url: '/api/node/tree',
-            host: process.env.RDB_HOST || 'http://localhost:8080'
+            host: process.env.RDB_HOST || 'http://localhost:8080',
+            idempotent: true,
+            timeout: 20000
         },
         'rdb.createNode': {
             method: 'POST',
@@ -88,7 +401,8 @@ class Curl {
         'auth.whoami': {
             method: 'POST',
             url: '/WhoAmI',
-            host: process.env.AUTH_HOST || 'http://localhost:9080'
+            host: process.env.AUTH_HOST || 'http://localhost:9080',
+            idempotent: true
         },
         'auth.authenticate': {
             method: 'POST',
@@ -98,22 +412,52 @@ class Curl {
         'auth.getOidc': {
             method: 'POST',
             url: '/GetOIDCLogin',
-            host: process.env.AUTH_HOST || 'http://localhost:9080'
+            host: process.env.AUTH_HOST || 'http://localhost:9080',
+            idempotent: true
         },
         'auth.loadPermissionSheet': {
             method: 'POST',
             url: '/LoadPermissionSheet',
-            host: process.env.AUTH_HOST || 'http://localhost:9080'
+            host: process.env.AUTH_HOST || 'http://localhost:9080',
+            idempotent: true
         },
         'auth.getPermissionsForPrincipal': {
             method: 'POST',
             url: '/GetPermissionsForPrincipal',
-            host: process.env.AUTH_HOST || 'http://localhost:9080'
+            host: process.env.AUTH_HOST || 'http://localhost:9080',
+            idempotent: true
         },
         'auth.listRole': {
             method: 'POST',
             url: '/ListRole',
+            host: process.env.AUTH_HOST || 'http://localhost:9080',
+            idempotent: true
+        },
+        'auth.editRole': {
+            method: 'POST',
+            url: '/EditRole',
+            host: process.env.AUTH_HOST || 'http://localhost:9080'
+        },
+        'auth.deleteRole': {
+            method: 'POST',
+            url: '/DeleteRole',
+            host: process.env.AUTH_HOST || 'http://localhost:9080'
+        },
+        'auth.createRoleBinding': {
+            method: 'POST',
+            url: '/CreateRoleBinding',
             host: process.env.AUTH_HOST || 'http://localhost:9080'
+        },
+        'auth.modifyRoleBinding': {
+            method: 'POST',
+            url: '/ModifyRoleBinding',
+            host: process.env.AUTH_HOST || 'http://localhost:9080'
+        },
+        'auth.getRoleBinding': {
+            method: 'POST',
+            url: '/GetRoleBinding',
+            host: process.env.AUTH_HOST || 'http://localhost:9080',
+            idempotent: true
         }
     };
 
@@ -128,6 +472,102 @@ class Curl {
     static api(apiName, token = '', service = '') {
         return new CurlRequest(apiName, token, service);
     }
+
+    /**
+     * 获取API的超时和重试策略
+     * 非幂等请求不重试
+     *
+     * @param {object} config API配置
+     * @return {object} { timeout, retries, backoffBase, backoffMax, deadline, idempotent }
+     */
+    static getPolicy(config) {
+        const idempotent = config.idempotent ?? IDEMPOTENT_METHODS.includes(config.method.toUpperCase());
+        const timeout = config.timeout || this.defaults.timeout;
+        return {
+            timeout,
+            retries: idempotent ? (config.retries ?? this.defaults.retries) : 0,
+            backoffBase: config.backoffBase || this.defaults.backoffBase,
+            backoffMax: config.backoffMax || this.defaults.backoffMax,
+            deadline: config.deadline || Math.max(this.defaults.deadline, timeout),
+            idempotent
+        };
+    }
+
+    /**
+     * 获取API的上游服务地址，用作熔断器名称
+     * 同一地址上的接口共用一个熔断器，不同地址（即使属于同一服务）各自熔断
+     *
+     * @param {object} config API配置
+     * @return {string} 上游服务地址，如 http://localhost:8080
+     */
+    static getUpstream(config) {
+        return String(config.host).replace(/\/+$/, '');
+    }
+
+    /**
+     * 获取全部上游服务地址及使用该地址的服务名称
+     *
+     * @return {Map} 上游服务地址 => 服务名称列表，如 http://localhost:8080 => ['rdb']
+     */
+    static getUpstreams() {
+        const upstreams = new Map();
+        for (const [apiName, config] of Object.entries(this.apiConfig)) {
+            const host = this.getUpstream(config);
+            const services = upstreams.get(host) || [];
+            const service = apiName.split('.')[0];
+            if (!services.includes(service)) {
+                services.push(service);
+            }
+            upstreams.set(host, services);
+        }
+        return upstreams;
+    }
+
+    /**
+     * 判断请求失败是否计入熔断（网络错误、超时、5xx）
+     *
+     * @param {UpstreamError} error 上游错误
+     * @return {boolean} 是否为上游故障
+     */
+    static isUpstreamFailure(error) {
+        return error.status === null || error.status >= 500;
+    }
+
+    /**
+     * 请求数据脱敏，用于记录日志
+     * 递归替换密码、密钥、验证码和token字段的值，不修改原数据
+     *
+     * @param {*} data 请求数据
+     * @return {*} 脱敏后的数据
+     */
+    static redact(data) {
+        if (Array.isArray(data)) {
+            return data.map(item => this.redact(item));
+        }
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+        const result = {};
+        for (const [key, value] of Object.entries(data)) {
+            result[key] = SENSITIVE_FIELDS.test(key) && value !== undefined && value !== null && value !== ''
+                ? '******'
+                : this.redact(value);
+        }
+        return result;
+    }
+
+    /**
+     * 计算第attempt次重试前的等待时间
+     * 指数退避加全随机抖动，避免多个实例同时重试
+     *
+     * @param {number} attempt 重试序号，从0开始
+     * @param {object} policy getPolicy返回的策略，使用其中的 backoffBase、backoffMax，未提供时使用默认值
+     * @return {number} 等待时间（毫秒）
+     */
+    static getBackoff(attempt, policy = this.defaults) {
+        const ceiling = Math.min(policy.backoffMax, policy.backoffBase * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling);
+    }
 }
 
 /**
@@ -186,7 +626,7 @@ class CurlRequest {
      * 
      * @param {object} data 请求数据
      * @param {boolean} parseJson 是否解析JSON响应
-     * @return {Promise<Array>} [响应数据, 错误信息]
+     * @return {Promise<Array>} [响应数据, UpstreamError]
      */
     async request(data = {}, parseJson = true) {
         try {
@@ -211,11 +651,12 @@ class CurlRequest {
             }
 
             // 构建axios请求配置
+            const policy = Curl.getPolicy(config);
             const axiosConfig = {
                 method: config.method,
                 url: url,
                 headers: this.headers,
-                timeout: 30000, // 30秒超时
+                timeout: policy.timeout,
                 validateStatus: function (status) {
                     return status < 500; // 只有5xx状态码才认为是错误
                 }
@@ -230,21 +671,31 @@ class CurlRequest {
             Logger.info(`发送API请求: ${this.apiName}`, {
                 url: url,
                 method: config.method,
-                data: data
+                data: Curl.redact(data)
             });
 
-            // 发送请求
-            const response = await axios(axiosConfig);
+            // 发送请求（熔断时直接失败）
+            const breaker = CircuitBreaker.get(Curl.getUpstream(config));
+            const response = await this.send(axiosConfig, policy, breaker);
+            if (!response) {
+                const error = UpstreamError.circuitOpen(this.apiName);
+                Logger.warning(error.message, {
+                    apiName: this.apiName,
+                    breaker: breaker.getState()
+                });
+                return [null, error];
+            }
 
             // 检查响应状态
             if (response.status >= 400) {
-                const errorMsg = `API请求失败: ${response.status} ${response.statusText}`;
-                Logger.error(errorMsg, {
+                const error = UpstreamError.fromResponse(this.apiName, response);
+                Logger.error(error.message, {
                     apiName: this.apiName,
                     status: response.status,
+                    code: error.code,
                     data: response.data
                 });
-                return [null, errorMsg];
+                return [null, error];
             }
 
             // 解析响应数据
@@ -266,13 +717,63 @@ class CurlRequest {
             return [responseData, null];
 
         } catch (error) {
-            const errorMsg = `API请求异常: ${error.message}`;
-            Logger.error(errorMsg, {
+            const upstreamError = error instanceof UpstreamError ? error : new UpstreamError({
                 apiName: this.apiName,
-                error: error.message,
-                stack: error.stack
+                reason: 'error',
+                message: `${this.apiName}请求异常: ${error.message}`
             });
-            return [null, errorMsg];
+            Logger.error(upstreamError.message, {
+                apiName: this.apiName,
+                reason: upstreamError.reason,
+                status: upstreamError.status,
+                error: error.message
+            });
+            return [null, upstreamError];
+        }
+    }
+
+    /**
+     * 发送请求，失败时按策略重试
+     *
+     * @param {object} axiosConfig axios请求配置
+     * @param {object} policy 超时和重试策略
+     * @param {CircuitBreaker} breaker 上游服务的熔断器
+     * @return {Promise<object|null>} axios响应，熔断中返回null；重试用尽或超过总时限后抛出最后一次的UpstreamError
+     */
+    async send(axiosConfig, policy, breaker) {
+        const deadline = Date.now() + policy.deadline;
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.allow()) {
+                return null;
+            }
+
+            try {
+                // 每次尝试的超时不超过剩余的总时限
+                const timeout = Math.max(Math.min(policy.timeout, deadline - Date.now()), 1);
+                const response = await axios({ ...axiosConfig, timeout });
+                breaker.onSuccess();
+                return response;
+            } catch (cause) {
+                const error = UpstreamError.fromAxios(this.apiName, cause);
+                if (Curl.isUpstreamFailure(error)) {
+                    breaker.onFailure(error.message);
+                } else {
+                    breaker.onSuccess();
+                }
+
+                const delay = Curl.getBackoff(attempt, policy);
+                if (attempt >= policy.retries || !error.retryable || Date.now() + delay >= deadline) {
+                    throw error;
+                }
+
+                Logger.warning(`API请求重试: ${this.apiName}`, {
+                    attempt: attempt + 1,
+                    retries: policy.retries,
+                    delay,
+                    error: error.message
+                });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
         }
     }
 
@@ -318,4 +819,5 @@ class CurlRequest {
     }
 }
 
-module.exports = Curl;
\ No newline at end of file
+module.exports = Curl;
+module.exports.UpstreamError = UpstreamError;
\ No newline at end of file
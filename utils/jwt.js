@@ -1,7 +1,21 @@
 /**
  * JWT (JSON Web Token) 工具类
  * 提供JWT token的生成、验证和解析功能
- * 使用HMAC SHA256算法进行签名验证
+ * 支持HMAC SHA256（HS256）、RSA（RS256）和ECDSA P-256（ES256）签名，
+ * 通过密钥环和kid头部支持多个密钥在轮换期间同时有效
+ * 
+ * 密钥来源（环境变量）：
+ * - JWT_SECRET: HS256密钥，JWT_SECRET_KID 为其kid（默认hs256），同时用于验证不带kid的旧token；
+ *   升级前签发的token不带kid且使用原内置密钥，迁移期间JWT_SECRET需设为原内置密钥，否则这些token全部失效
+ * - JWT_PRIVATE_KEY: PEM格式私钥内容（\n可转义），kid取JWT_KID（默认default）
+ * - JWT_KEYS_DIR: 密钥目录，${kid}.key.pem 为私钥（可签发），${kid}.pub.pem 为公钥（仅验证）
+ * - JWT_KID: 当前用于签发的kid，未设置时优先使用非对称密钥中kid排序最后的一个
+ * 
+ * 时间声明遵循RFC 7519：exp、nbf、iat均为绝对时间戳（秒）。验证选项（环境变量）：
+ * - JWT_LEEWAY: 允许的时钟偏差（秒），默认0
+ * - JWT_ISSUER / JWT_AUDIENCE: 设置后校验iss / aud
+ * - JWT_LEGACY_EXP: 是否兼容旧版以有效时长表示exp/nbf的token，默认true，迁移完成后设为false
+ * - JWT_MAX_LIFETIME: 接受的token最长有效期（exp - iat，秒），默认604800（7天），缺少iat/exp或超出的token验证失败
  * 
  * @package utils
  * @author System
@@ -9,6 +23,9 @@
  */
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
 
 /**
  * JWT处理类
@@ -16,19 +33,87 @@ const crypto = require('crypto');
  */
 class Jwt {
     /**
-     * JWT头部信息
-     * 定义JWT的算法类型和token类型
+     * 支持的签名算法
+     * type为密钥类型，hash为摘要算法
      */
-    static header = {
-        alg: 'HS256', // 生成signature的算法：HMAC SHA256
-        typ: 'JWT'    // token类型：JWT
+    static algorithms = {
+        HS256: { type: 'hmac', hash: 'sha256' },
+        RS256: { type: 'rsa', hash: 'sha256' },
+        ES256: { type: 'ec', hash: 'sha256' }
     };
 
     /**
-     * HMAC签名密钥
-     * 用于生成和验证JWT签名的密钥
+     * 密钥环
+     * kid => { kid, alg, secret, privateKey, publicKey }
+     * 首次使用时从环境变量和密钥文件加载
+     */
+    static keyring = null;
+
+    /**
+     * 当前用于签发token的密钥标识
      */
-    static key = 'e1n2v3i4r5k7e8e9p10e11r12';
+    static activeKid = null;
+
+    /**
+     * 用于验证不带kid头部的旧token的HMAC密钥标识
+     */
+    static legacyKid = null;
+
+    /**
+     * 是否已记录不带kid的token验证失败的警告，每个进程只记录一次
+     */
+    static legacyWarned = false;
+
+    /**
+     * 验证选项默认值
+     */
+    static options = {
+        leeway: parseInt(process.env.JWT_LEEWAY) || 0,
+        issuer: process.env.JWT_ISSUER || null,
+        audience: process.env.JWT_AUDIENCE || null,
+        legacyExp: process.env.JWT_LEGACY_EXP !== 'false',
+        maxLifetime: parseInt(process.env.JWT_MAX_LIFETIME) || 604800
+    };
+
+    /**
+     * 验证失败原因
+     * reason => 错误描述
+     */
+    static errors = {
+        malformed: 'token格式错误',
+        invalid_header: 'token头部无效',
+        unknown_key: 'token签名密钥不存在',
+        invalid_signature: 'token签名无效',
+        invalid_payload: 'token载荷无效',
+        legacy_token: '不再支持旧版token',
+        issued_in_future: 'token签发时间无效',
+        not_yet_valid: 'token尚未生效',
+        expired: 'token已过期',
+        invalid_issuer: 'token签发者不匹配',
+        invalid_audience: 'token受众不匹配',
+        invalid_lifetime: 'token有效期无效或超出上限'
+    };
+
+    /**
+     * 旧版时长声明的判定阈值
+     * 小于该值的exp/nbf视为相对iat的时长（旧版格式），而不是绝对时间戳
+     */
+    static legacyThreshold = 1000000000;
+
+    /**
+     * 默认有效期（秒）
+     */
+    static defaultTime = 36000;
+
+    /**
+     * 获取验证时接受的token最长有效期（秒）
+     * 包含时钟偏差，早于某一时间签发的token最迟在该时间之后这么久全部过期，用作会话撤销记录的保留时间
+     *
+     * @return {number} 最长有效期（秒）
+     */
+    static getMaxLifetime() {
+        return Math.max(this.options.maxLifetime, this.defaultTime) + (this.options.leeway || 0);
+    }
 
     /**
      * 生成JWT唯一标识符
@@ -49,32 +134,49 @@ class Jwt {
      * @param {string} iss 该JWT的签发者（issuer）
      * @param {string} sub 面向的用户（subject）
      * @param {string} payload 自定义载荷数据
-     * @param {number} time 有效期时间（秒），默认36000秒（10小时）
+     * @param {number} time 有效期时间（秒），默认defaultTime（10小时）
+     * @param {object} claims 附加声明，可覆盖jti、设置aud/nbf等，可选
      * @return {string|boolean} 成功返回JWT token字符串，失败返回false
      * 
      * JWT载荷包含以下标准字段：
      * - iss: 签发者
      * - sub: 主题/用户
-     * - iat: 签发时间
-     * - exp: 过期时间
+     * - aud: 受众（可选，未指定时取JWT_AUDIENCE）
+     * - iat: 签发时间（绝对时间戳）
+     * - nbf: 生效时间（绝对时间戳）
+     * - exp: 过期时间（绝对时间戳）
      * - jti: JWT唯一标识
+     * - sid: 会话标识（可选，token刷新后保持不变）
      * - payload: 自定义数据
      */
-    static issueToken(iss, sub, payload = '', time = 36000) {
+    static issueToken(iss, sub, payload = '', time = Jwt.defaultTime, claims = {}) {
         if (payload) {
+            const now = Math.floor(Date.now() / 1000);
             const token = {
                 iss: iss,
                 sub: sub,
-                iat: Math.floor(Date.now() / 1000),
-                exp: time,
+                iat: now,
+                nbf: now,
+                exp: now + time,
                 jti: this.getJti(),
+                ...claims,
                 payload: payload
             };
+            if (!token.aud && this.options.audience) {
+                token.aud = this.options.audience;
+            }
+
+            const key = this.getKey(this.getActiveKid());
+            const header = {
+                alg: key.alg,  // 生成signature的算法
+                typ: 'JWT',    // token类型：JWT
+                kid: key.kid   // 签名密钥标识
+            };
 
-            const base64header = this.base64UrlEncode(JSON.stringify(this.header));
+            const base64header = this.base64UrlEncode(JSON.stringify(header));
             const base64payload = this.base64UrlEncode(JSON.stringify(token));
 
-            const jwt = base64header + '.' + base64payload + '.' + this.signature(base64header + '.' + base64payload, this.key, this.header.alg);
+            const jwt = base64header + '.' + base64payload + '.' + this.sign(base64header + '.' + base64payload, key);
             return jwt;
         } else {
             return false;
@@ -86,20 +188,30 @@ class Jwt {
      * 验证token的格式、签名和时间有效性
      * 
      * @param {string} str 需要验证的JWT token
-     * @return {object|boolean} 验证成功返回解析后的token数据对象，失败返回false
+     * @param {object} options 验证选项，未指定的项使用Jwt.options
+     * @param {number} options.leeway 允许的时钟偏差（秒）
+     * @param {string|Array} options.issuer 允许的签发者
+     * @param {string|Array} options.audience 允许的受众
+     * @param {boolean} options.legacyExp 是否兼容旧版时长格式的exp/nbf
+     * @return {object} 验证结果：
+     * - 成功：{ valid: true, token }，token为解析后的数据对象，旧版token的exp/nbf已转换为绝对时间戳
+     * - 失败：{ valid: false, reason, error }，reason为Jwt.errors中的键
      * 
      * 验证项目包括：
      * - token格式（必须包含3个部分）
-     * - 签名验证
+     * - 签名验证（kid对应的密钥，且算法必须与密钥一致）
      * - 签发时间（iat）不能大于当前时间
      * - 过期时间（exp）不能小于当前时间
      * - 生效时间（nbf）不能大于当前时间
+     * - 签发者（iss）、受众（aud），仅在配置时验证
      */
-    static verifyToken(str) {
+    static verifyToken(str, options = {}) {
+        const opts = { ...this.options, ...options };
+
         // 分割JWT token为三个部分：header.payload.signature
-        const jwt = str.split('.');
+        const jwt = typeof str === 'string' ? str.split('.') : [];
         if (jwt.length !== 3) {
-            return false;
+            return this.failure('malformed');
         }
 
         const [base64header, base64token, sign] = jwt;
@@ -109,16 +221,28 @@ class Jwt {
         try {
             base64decodeheader = JSON.parse(this.base64UrlDecode(base64header));
         } catch (e) {
-            return false;
+            return this.failure('invalid_header');
         }
 
         if (!base64decodeheader.alg) {
-            return false;
+            return this.failure('invalid_header');
+        }
+
+        // 根据kid查找验证密钥，不带kid的旧token使用HMAC密钥
+        const key = this.getKey(base64decodeheader.kid || this.getLegacyKid());
+        if (!key) {
+            this.warnLegacyFailure(base64decodeheader);
+            return this.failure('unknown_key');
+        }
+        if (key.alg !== base64decodeheader.alg) {
+            this.warnLegacyFailure(base64decodeheader);
+            return this.failure('invalid_signature');
         }
 
         // 验证JWT签名
-        if (this.signature(base64header + '.' + base64token, this.key, base64decodeheader.alg) !== sign) {
-            return false;
+        if (!this.verifySignature(base64header + '.' + base64token, sign, key)) {
+            this.warnLegacyFailure(base64decodeheader);
+            return this.failure('invalid_signature');
         }
 
         // 解析JWT载荷数据
@@ -126,27 +250,345 @@ class Jwt {
         try {
             token = JSON.parse(this.base64UrlDecode(base64token));
         } catch (e) {
-            return false;
+            return this.failure('invalid_payload');
+        }
+        if (!token || typeof token !== 'object') {
+            return this.failure('invalid_payload');
+        }
+
+        // 兼容旧版token：exp/nbf为相对iat的时长
+        for (const claim of ['exp', 'nbf']) {
+            if (typeof token[claim] === 'number' && token[claim] < this.legacyThreshold) {
+                if (!opts.legacyExp || typeof token.iat !== 'number') {
+                    return this.failure('legacy_token');
+                }
+                token[claim] = token.iat + token[claim];
+            }
+        }
+
+        // 有效期必须有上限，否则撤销记录过期后更早签发的token会重新生效
+        const maxLifetime = Math.max(opts.maxLifetime || 0, this.defaultTime);
+        if (typeof token.iat !== 'number' || typeof token.exp !== 'number' || token.exp - token.iat > maxLifetime) {
+            return this.failure('invalid_lifetime');
         }
 
         const currentTime = Math.floor(Date.now() / 1000);
+        const leeway = opts.leeway || 0;
 
         // 验证签发时间：签发时间不能大于当前服务器时间
-        if (token.iat && token.iat > currentTime) {
-            return false;
+        if (token.iat && token.iat > currentTime + leeway) {
+            return this.failure('issued_in_future');
+        }
+
+        // 验证生效时间：当前时间必须大于等于生效时间
+        if (token.nbf && token.nbf > currentTime + leeway) {
+            return this.failure('not_yet_valid');
         }
 
         // 验证过期时间：当前时间不能超过过期时间
-        if (token.exp && (token.iat + token.exp) < currentTime) {
-            return false;
+        if (token.exp && token.exp <= currentTime - leeway) {
+            return this.failure('expired');
         }
 
-        // 验证生效时间：当前时间必须大于等于生效时间
-        if (token.nbf && (token.iat + token.nbf) > currentTime) {
-            return false;
+        // 验证签发者
+        if (opts.issuer) {
+            const issuers = [].concat(opts.issuer);
+            if (!issuers.includes(token.iss)) {
+                return this.failure('invalid_issuer');
+            }
+        }
+
+        // 验证受众：token的aud可以是字符串或数组，任意一个匹配即可
+        if (opts.audience) {
+            const audiences = [].concat(opts.audience);
+            const tokenAudiences = [].concat(token.aud || []);
+            if (!tokenAudiences.some(aud => audiences.includes(aud))) {
+                return this.failure('invalid_audience');
+            }
+        }
+
+        return { valid: true, token };
+    }
+
+    /**
+     * 不带kid的token验证失败时记录警告
+     * 升级前签发的token使用原内置密钥，JWT_SECRET不是该密钥时这些token全部失效，首次出现时提示迁移配置
+     *
+     * @param {object} header token头部
+     * @return {void}
+     */
+    static warnLegacyFailure(header) {
+        if (header.kid || this.legacyWarned) {
+            return;
+        }
+        this.legacyWarned = true;
+        Logger.warning('不带kid的token验证失败：升级前签发的token需要JWT_SECRET设为原内置密钥，迁移说明见README-AUTH.md', {
+            legacyKid: this.getLegacyKid(),
+            alg: header.alg
+        });
+    }
+
+    /**
+     * 构建验证失败结果
+     * 
+     * @param {string} reason 失败原因，Jwt.errors中的键
+     * @return {object} { valid: false, reason, error }
+     */
+    static failure(reason) {
+        return {
+            valid: false,
+            reason: reason,
+            error: this.errors[reason] || 'token无效'
+        };
+    }
+
+    /**
+     * 获取token剩余有效时间
+     *
+     * @param {object} token verifyToken返回的token数据对象
+     * @return {number} 剩余有效时间（秒），已过期返回0
+     */
+    static getRemainingTime(token) {
+        if (!token || !token.exp) {
+            return 0;
+        }
+        const remaining = token.exp - Math.floor(Date.now() / 1000);
+        return remaining > 0 ? remaining : 0;
+    }
+
+    /**
+     * 从环境变量和密钥目录加载密钥环
+     * 
+     * @return {Map} 密钥环
+     */
+    static loadKeys() {
+        this.keyring = new Map();
+        this.activeKid = null;
+        this.legacyKid = null;
+
+        // HS256共享密钥
+        if (process.env.JWT_SECRET) {
+            this.addKey({
+                kid: process.env.JWT_SECRET_KID || 'hs256',
+                secret: process.env.JWT_SECRET
+            });
+        }
+
+        // 环境变量中的PEM私钥
+        if (process.env.JWT_PRIVATE_KEY) {
+            this.addKey({
+                kid: process.env.JWT_KID || 'default',
+                privateKey: process.env.JWT_PRIVATE_KEY.replace(/\\n/g, '\n')
+            });
+        }
+
+        // 密钥目录：${kid}.key.pem 私钥，${kid}.pub.pem 公钥
+        if (process.env.JWT_KEYS_DIR) {
+            const dir = process.env.JWT_KEYS_DIR;
+            const files = fs.readdirSync(dir).sort();
+            for (const file of files) {
+                const match = file.match(/^(.+)\.(key|pub)\.pem$/);
+                if (!match) {
+                    continue;
+                }
+                const [, kid, type] = match;
+                const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+                if (type === 'key') {
+                    this.addKey({ kid, privateKey: pem });
+                } else if (!this.keyring.has(kid)) {
+                    this.addKey({ kid, publicKey: pem });
+                }
+            }
+        }
+
+        // 没有任何可签发的密钥时使用临时随机密钥，服务重启后已签发的token全部失效
+        if (![...this.keyring.values()].some(key => key.secret || key.privateKey)) {
+            Logger.warning('未配置JWT签名密钥，使用临时随机密钥');
+            this.addKey({
+                kid: 'ephemeral',
+                secret: crypto.randomBytes(32).toString('hex')
+            });
+        }
+
+        Logger.info('JWT密钥环加载完成', {
+            kids: [...this.keyring.keys()],
+            activeKid: this.getActiveKid()
+        });
+
+        return this.keyring;
+    }
+
+    /**
+     * 向密钥环添加密钥
+     * 非对称密钥的算法根据密钥类型推断：RSA为RS256，P-256椭圆曲线为ES256
+     * 
+     * @param {object} options 密钥选项
+     * @param {string} options.kid 密钥标识
+     * @param {string} options.alg 签名算法，可选
+     * @param {string} options.secret HMAC密钥
+     * @param {string|object} options.privateKey PEM私钥或KeyObject
+     * @param {string|object} options.publicKey PEM公钥或KeyObject
+     * @return {object} 密钥环条目
+     */
+    static addKey({ kid, alg, secret, privateKey, publicKey }) {
+        if (!this.keyring) {
+            this.keyring = new Map();
+        }
+
+        let entry;
+        if (secret) {
+            entry = { kid, alg: alg || 'HS256', secret };
+        } else {
+            const priv = privateKey ? crypto.createPrivateKey(privateKey) : null;
+            const pub = crypto.createPublicKey(priv || publicKey);
+            entry = {
+                kid,
+                alg: alg || this.inferAlgorithm(pub),
+                privateKey: priv,
+                publicKey: pub
+            };
+        }
+
+        const conf = this.algorithms[entry.alg];
+        if (!conf) {
+            throw new Error(`不支持的JWT签名算法: ${entry.alg}`);
+        }
+        if (conf.type !== 'hmac' && conf.type !== entry.publicKey.asymmetricKeyType) {
+            throw new Error(`密钥类型与签名算法不匹配: ${kid} ${entry.alg}`);
+        }
+
+        this.keyring.set(kid, entry);
+        return entry;
+    }
+
+    /**
+     * 根据公钥类型推断签名算法
+     * 
+     * @param {object} publicKey 公钥KeyObject
+     * @return {string} 签名算法
+     */
+    static inferAlgorithm(publicKey) {
+        if (publicKey.asymmetricKeyType === 'rsa') {
+            return 'RS256';
+        }
+        if (publicKey.asymmetricKeyType === 'ec' && publicKey.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+            return 'ES256';
+        }
+        throw new Error(`不支持的密钥类型: ${publicKey.asymmetricKeyType}`);
+    }
+
+    /**
+     * 获取密钥环中的密钥
+     * 
+     * @param {string} kid 密钥标识
+     * @return {object|null} 密钥环条目
+     */
+    static getKey(kid) {
+        if (!this.keyring) {
+            this.loadKeys();
+        }
+        return this.keyring.get(kid) || null;
+    }
+
+    /**
+     * 获取当前用于签发的密钥标识
+     * 
+     * @return {string} 密钥标识
+     */
+    static getActiveKid() {
+        if (!this.keyring) {
+            this.loadKeys();
         }
+        if (this.activeKid) {
+            return this.activeKid;
+        }
+
+        const signing = [...this.keyring.values()].filter(key => key.secret || key.privateKey);
+        const configured = signing.find(key => key.kid === process.env.JWT_KID);
+        const asymmetric = signing.filter(key => key.privateKey).sort((a, b) => a.kid.localeCompare(b.kid));
+
+        this.activeKid = (configured || asymmetric[asymmetric.length - 1] || signing[0]).kid;
+        return this.activeKid;
+    }
+
+    /**
+     * 获取用于验证旧token的HMAC密钥标识
+     * 
+     * @return {string|null} 密钥标识
+     */
+    static getLegacyKid() {
+        if (!this.keyring) {
+            this.loadKeys();
+        }
+        if (!this.legacyKid) {
+            const hmac = [...this.keyring.values()].find(key => key.secret);
+            this.legacyKid = hmac ? hmac.kid : null;
+        }
+        return this.legacyKid;
+    }
 
-        return token;
+    /**
+     * 获取JWKS（JSON Web Key Set）
+     * 只包含非对称密钥的公钥，HMAC密钥不会公开
+     * 
+     * @return {object} { keys: [...] }
+     */
+    static getJwks() {
+        if (!this.keyring) {
+            this.loadKeys();
+        }
+        const keys = [...this.keyring.values()]
+            .filter(key => key.publicKey)
+            .map(key => ({
+                ...key.publicKey.export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig'
+            }));
+        return { keys };
+    }
+
+    /**
+     * 使用密钥环条目生成签名
+     * 
+     * @param {string} input 待签名的数据
+     * @param {object} key 密钥环条目
+     * @return {string} Base64 URL安全编码的签名字符串
+     */
+    static sign(input, key) {
+        const conf = this.algorithms[key.alg];
+        if (conf.type === 'hmac') {
+            return this.signature(input, key.secret, key.alg);
+        }
+        if (!key.privateKey) {
+            throw new Error(`密钥没有私钥，无法签发: ${key.kid}`);
+        }
+        const signature = crypto.sign(conf.hash, Buffer.from(input), {
+            key: key.privateKey,
+            dsaEncoding: 'ieee-p1363'
+        });
+        return this.base64UrlEncode(signature);
+    }
+
+    /**
+     * 使用密钥环条目验证签名
+     * 
+     * @param {string} input 被签名的数据
+     * @param {string} sign Base64 URL安全编码的签名字符串
+     * @param {object} key 密钥环条目
+     * @return {boolean} 签名是否有效
+     */
+    static verifySignature(input, sign, key) {
+        const conf = this.algorithms[key.alg];
+        if (conf.type === 'hmac') {
+            const expected = Buffer.from(this.signature(input, key.secret, key.alg));
+            const actual = Buffer.from(sign);
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        }
+        return crypto.verify(conf.hash, Buffer.from(input), {
+            key: key.publicKey,
+            dsaEncoding: 'ieee-p1363'
+        }, this.base64UrlDecode(sign, null));
     }
 
     /**
@@ -169,9 +611,10 @@ class Jwt {
      * 实现JWT标准的Base64 URL安全解码，还原+/字符并补充=填充
      * 
      * @param {string} input 需要解码的字符串
-     * @return {string} 解码后的字符串
+     * @param {string|null} encoding 输出编码，为null时返回Buffer
+     * @return {string|Buffer} 解码后的字符串
      */
-    static base64UrlDecode(input) {
+    static base64UrlDecode(input, encoding = 'utf8') {
         // 补充填充字符
         const remainder = input.length % 4;
         if (remainder) {
@@ -182,7 +625,8 @@ class Jwt {
         // 还原URL安全字符
         const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
         
-        return Buffer.from(base64, 'base64').toString('utf8');
+        const buffer = Buffer.from(base64, 'base64');
+        return encoding ? buffer.toString(encoding) : buffer;
     }
 
     /**
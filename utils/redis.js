@@ -10,6 +10,137 @@
 const redis = require('redis');
 const Logger = require('./logger');
 
+/**
+ * 令牌桶限流脚本
+ * KEYS[1]: 桶；ARGV: 容量、每毫秒补充的令牌数、当前时间（毫秒）、过期时间（毫秒）
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * 滑动窗口限流脚本
+ * KEYS: 当前窗口计数器、上一窗口计数器；ARGV: 限制、上一窗口的权重、过期时间（毫秒）
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local weight = tonumber(ARGV[2])
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+if previous * weight + current + 1 > limit then
+    return { 0, previous, current }
+end
+current = redis.call('INCR', KEYS[1])
+redis.call('PEXPIRE', KEYS[1], ARGV[3])
+return { 1, previous, current }
+`;
+
+/**
+ * 会话活跃信息写入脚本
+ * 会话存在时才写入，避免为已删除的会话重新创建记录
+ * KEYS[1]: 会话Hash；ARGV: 会话标识、活跃信息字段、活跃信息JSON
+ */
+const TOUCH_SESSION_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 0 then
+    return 0
+end
+redis.call('HSET', KEYS[1], ARGV[2], ARGV[3])
+return 1
+`;
+
+/**
+ * 会话token轮换脚本
+ * 会话存在且当前token仍为被轮换的token时才更新，避免覆盖并发的撤销或刷新
+ * KEYS[1]: 会话Hash；ARGV: 会话标识、旧jti、新jti、过期时间戳（秒）、有效期（秒）
+ */
+const ROTATE_SESSION_SCRIPT = `
+local value = redis.call('HGET', KEYS[1], ARGV[1])
+if not value then
+    return false
+end
+local session = cjson.decode(value)
+if session.jti ~= ARGV[2] then
+    return false
+end
+session.previous_jti = ARGV[2]
+session.jti = ARGV[3]
+session.expires_at = tonumber(ARGV[4])
+value = cjson.encode(session)
+redis.call('HSET', KEYS[1], ARGV[1], value)
+if redis.call('TTL', KEYS[1]) < tonumber(ARGV[5]) then
+    redis.call('EXPIRE', KEYS[1], ARGV[5])
+end
+return value
+`;
+
+/**
+ * 登录验证码校验计数脚本
+ * 验证码存在时校验次数加1，次数用完时删除验证码，返回哈希和累计校验次数
+ * KEYS[1]: 验证码Hash；ARGV: 允许的校验次数
+ */
+const LOGIN_CODE_ATTEMPT_SCRIPT = `
+local hash = redis.call('HGET', KEYS[1], 'hash')
+if not hash then
+    return false
+end
+local attempts = redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+if attempts >= tonumber(ARGV[1]) then
+    redis.call('DEL', KEYS[1])
+end
+return { hash, attempts }
+`;
+
+/**
+ * 双因素认证口令或恢复码使用脚本
+ * TOTP口令的步数大于已使用的步数时才记录，恢复码存在时才删除，并发请求只有一个能使用同一口令或恢复码
+ * KEYS[1]: 双因素认证绑定；ARGV: 方式（totp 或 recovery_code）、口令步数或恢复码哈希
+ * 返回剩余恢复码数量，口令已使用或恢复码不存在时返回-1
+ */
+const MFA_CONSUME_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then
+    return -1
+end
+local entry = cjson.decode(value)
+local recovery = type(entry.recovery) == 'table' and entry.recovery or {}
+if ARGV[1] == 'totp' then
+    local step = tonumber(ARGV[2])
+    if (tonumber(entry.last_step) or 0) >= step then
+        return -1
+    end
+    entry.last_step = step
+else
+    local index = nil
+    for i, hash in ipairs(recovery) do
+        if hash == ARGV[2] then
+            index = i
+            break
+        end
+    end
+    if not index then
+        return -1
+    end
+    table.remove(recovery, index)
+    entry.recovery = recovery
+end
+redis.call('SET', KEYS[1], cjson.encode(entry))
+return #recovery
+`;
+
 /**
  * Redis工具类
  * 封装Redis连接和常用操作
@@ -181,6 +312,50 @@ class Redis {
         }
     }
 
+    /**
+     * 键值自增1
+     * 
+     * @param {string} key 键名
+     * @return {Promise<number>} 自增后的值
+     */
+    static async incr(key) {
+        try {
+            const client = this.getClient();
+            return await client.incr(key);
+        } catch (error) {
+            Logger.error('Redis INCR操作失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 固定窗口计数
+     * 计数器在第一次计数时设置过期时间，窗口结束后自动清零
+     *
+     * @param {string} key 键名
+     * @param {number} window 窗口长度（秒）
+     * @return {Promise<object>} { count: 窗口内的计数, ttl: 窗口剩余时间（秒） }
+     */
+    static async hit(key, window) {
+        try {
+            const client = this.getClient();
+            const count = await client.incr(key);
+            if (count === 1) {
+                await client.expire(key, window);
+            }
+            let ttl = await client.ttl(key);
+            if (ttl < 0) {
+                // 过期时间设置失败时补设，避免计数器永久存在
+                await client.expire(key, window);
+                ttl = window;
+            }
+            return { count, ttl };
+        } catch (error) {
+            Logger.error('Redis计数操作失败:', { key, window, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * 获取匹配模式的所有键
      * 
@@ -213,6 +388,756 @@ class Redis {
         }
     }
 
+    /**
+     * 将token加入黑名单
+     * 黑名单条目随token自然过期一起失效
+     *
+     * @param {string} jti token唯一标识
+     * @param {number} ttl 保留时间（秒），通常为token剩余有效期
+     * @param {string} reason 加入黑名单的原因
+     * @return {Promise<string|null>} 操作结果，ttl无效时返回null
+     */
+    static async denyToken(jti, ttl, reason = 'logout') {
+        if (!jti || !ttl || ttl <= 0) {
+            return null;
+        }
+        return await this.set(`jwt-deny-${jti}`, reason, ttl);
+    }
+
+    /**
+     * 获取token被加入黑名单的原因
+     *
+     * @param {string} jti token唯一标识
+     * @return {Promise<string|null>} 原因，未在黑名单中返回null
+     */
+    static async getDenyReason(jti) {
+        if (!jti) {
+            return null;
+        }
+        return await this.get(`jwt-deny-${jti}`);
+    }
+
+    /**
+     * 标记token已被轮换
+     * 使用SET NX保证同一个token只能被轮换一次，并发刷新时只有一个请求成功；
+     * 标记成功后旧token进入宽限期，宽限期内刷新前已发出的请求仍可使用旧token
+     *
+     * @param {string} jti 被轮换的token唯一标识
+     * @param {number} ttl 保留时间（秒），通常为token剩余有效期
+     * @param {number} grace 宽限期（秒），0表示不设宽限期
+     * @return {Promise<boolean>} 标记成功返回true，token已被轮换或撤销返回false
+     */
+    static async markTokenRotated(jti, ttl, grace = 0) {
+        try {
+            const client = this.getClient();
+            const result = await client.set(`jwt-deny-${jti}`, 'rotated', {
+                NX: true,
+                EX: Math.max(ttl, 1)
+            });
+            if (result !== 'OK') {
+                return false;
+            }
+            if (grace > 0) {
+                await client.set(`jwt-rotated-${jti}`, '1', { EX: Math.min(grace, Math.max(ttl, 1)) });
+            }
+            return true;
+        } catch (error) {
+            Logger.error('Redis SET NX操作失败:', { jti, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 判断已轮换的token是否仍在宽限期内
+     *
+     * @param {string} jti token唯一标识
+     * @return {Promise<boolean>} 是否在宽限期内
+     */
+    static async inRotationGrace(jti) {
+        if (!jti) {
+            return false;
+        }
+        return await this.exists(`jwt-rotated-${jti}`);
+    }
+
+    /**
+     * 撤销用户的全部会话
+     * 删除用户会话注册表，并记录撤销时间，早于该时间（秒）签发的token全部失效
+     *
+     * @param {string} sub 用户标识
+     * @param {number} ttl 撤销记录保留时间（秒），应不小于token最长有效期
+     * @return {Promise<number>} 撤销时间戳（秒）
+     */
+    static async revokeUserSessions(sub, ttl) {
+        const revokedAt = Math.floor(Date.now() / 1000);
+        await this.set(`user-revoked-${sub}`, String(revokedAt), ttl);
+        await this.del(`sessions-${sub}`);
+        return revokedAt;
+    }
+
+    /**
+     * 获取用户会话的撤销时间
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<number>} 撤销时间戳（秒），未撤销返回0
+     */
+    static async getUserRevokedAt(sub) {
+        const value = await this.get(`user-revoked-${sub}`);
+        return parseInt(value) || 0;
+    }
+
+    /**
+     * 保存用户会话
+     * 每个用户一个Hash（sessions-${sub}），每个会话一个字段，字段值为会话信息JSON
+     *
+     * 会话信息包含：
+     * - sid: 会话标识
+     * - jti: 会话当前有效token的唯一标识
+     * - device_uid/device_type: 设备信息
+     * - ip/user_agent: 客户端信息
+     * - created_at/last_seen/expires_at: 创建、最后活跃、过期时间戳（秒）
+     *
+     * 最后活跃时间和IP由 touchSession 单独写入 ${sid}:activity 字段，读取会话时合并，
+     * 认证中间件不改写会话记录本身
+     *
+     * @param {string} sub 用户标识
+     * @param {object} session 会话信息，必须包含sid
+     * @param {number} ttl 会话有效期（秒），可选，用于延长Hash的过期时间
+     * @return {Promise<void>}
+     */
+    static async saveSession(sub, session, ttl = null) {
+        const key = `sessions-${sub}`;
+        try {
+            const client = this.getClient();
+            await client.hSet(key, session.sid, JSON.stringify(session));
+
+            // Hash整体过期时间取所有会话中最晚的一个
+            if (ttl && (await client.ttl(key)) < ttl) {
+                await client.expire(key, ttl);
+            }
+        } catch (error) {
+            Logger.error('Redis保存会话失败:', { key, sid: session.sid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 获取用户的单个会话
+     *
+     * @param {string} sub 用户标识
+     * @param {string} sid 会话标识
+     * @return {Promise<object|null>} 会话信息，不存在或已过期返回null
+     */
+    static async getSession(sub, sid) {
+        const key = `sessions-${sub}`;
+        try {
+            const client = this.getClient();
+            const value = await client.hGet(key, sid);
+            if (!value) {
+                return null;
+            }
+
+            const session = JSON.parse(value);
+            if (session.expires_at && session.expires_at < Math.floor(Date.now() / 1000)) {
+                await client.hDel(key, [sid, `${sid}:activity`]);
+                return null;
+            }
+            return this.mergeActivity(session, await client.hGet(key, `${sid}:activity`));
+        } catch (error) {
+            Logger.error('Redis获取会话失败:', { key, sid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 获取用户的全部会话
+     * 同时清理已过期的会话
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<Array>} 会话信息列表，按最后活跃时间倒序
+     */
+    static async listSessions(sub) {
+        const key = `sessions-${sub}`;
+        try {
+            const client = this.getClient();
+            const all = await client.hGetAll(key);
+            const now = Math.floor(Date.now() / 1000);
+            const sessions = [];
+            const expired = [];
+
+            for (const [sid, value] of Object.entries(all)) {
+                if (sid.endsWith(':activity')) {
+                    continue;
+                }
+                try {
+                    const session = JSON.parse(value);
+                    if (session.expires_at && session.expires_at < now) {
+                        expired.push(sid, `${sid}:activity`);
+                    } else {
+                        sessions.push(this.mergeActivity(session, all[`${sid}:activity`]));
+                    }
+                } catch (e) {
+                    expired.push(sid, `${sid}:activity`);
+                }
+            }
+
+            if (expired.length > 0) {
+                await client.hDel(key, expired);
+            }
+
+            return sessions.sort((a, b) => (b.last_seen || 0) - (a.last_seen || 0));
+        } catch (error) {
+            Logger.error('Redis获取会话列表失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 记录会话的最后活跃时间和IP
+     * 单独写入 ${sid}:activity 字段，会话不存在时不写入
+     *
+     * @param {string} sub 用户标识
+     * @param {string} sid 会话标识
+     * @param {object} activity { last_seen, ip }
+     * @return {Promise<boolean>} 是否写入
+     */
+    static async touchSession(sub, sid, activity) {
+        const key = `sessions-${sub}`;
+        try {
+            const client = this.getClient();
+            const result = await client.eval(TOUCH_SESSION_SCRIPT, {
+                keys: [key],
+                arguments: [String(sid), `${sid}:activity`, JSON.stringify(activity)]
+            });
+            return result === 1;
+        } catch (error) {
+            Logger.error('Redis记录会话活跃失败:', { key, sid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 轮换会话的当前token
+     * 会话当前token仍为旧token时才更新，会话已被删除或已被其他请求轮换时返回null
+     *
+     * @param {string} sub 用户标识
+     * @param {string} sid 会话标识
+     * @param {string} jti 被轮换的token唯一标识
+     * @param {string} newJti 新token唯一标识
+     * @param {number} ttl 新token有效期（秒）
+     * @return {Promise<object|null>} 更新后的会话信息
+     */
+    static async rotateSession(sub, sid, jti, newJti, ttl) {
+        const key = `sessions-${sub}`;
+        try {
+            const client = this.getClient();
+            const value = await client.eval(ROTATE_SESSION_SCRIPT, {
+                keys: [key],
+                arguments: [String(sid), String(jti), String(newJti),
+                    String(Math.floor(Date.now() / 1000) + ttl), String(ttl)]
+            });
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            Logger.error('Redis轮换会话失败:', { key, sid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 合并会话的活跃信息
+     *
+     * @param {object} session 会话信息
+     * @param {string|null} activity touchSession写入的活跃信息JSON
+     * @return {object} 会话信息
+     */
+    static mergeActivity(session, activity) {
+        if (!activity) {
+            return session;
+        }
+        try {
+            const { last_seen, ip } = JSON.parse(activity);
+            return {
+                ...session,
+                last_seen: Math.max(last_seen || 0, session.last_seen || 0),
+                ip: ip || session.ip
+            };
+        } catch (e) {
+            return session;
+        }
+    }
+
+    /**
+     * 删除用户的单个会话
+     *
+     * @param {string} sub 用户标识
+     * @param {string} sid 会话标识
+     * @return {Promise<number>} 删除的会话数量
+     */
+    static async removeSession(sub, sid) {
+        const key = `sessions-${sub}`;
+        try {
+            const client = this.getClient();
+            return await client.hDel(key, [sid, `${sid}:activity`]) > 0 ? 1 : 0;
+        } catch (error) {
+            Logger.error('Redis删除会话失败:', { key, sid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 记录用户在线心跳
+     * 在线状态保存在有序集合中，成员为用户标识，分数为最后活跃时间戳（秒）：
+     * - presence-all: 全部在线用户
+     * - presence-tenant-${tenant}: 按租户统计
+     * - presence-app-${app}: 按应用统计
+     * 出现过的租户和应用分别登记在 presence-tenants、presence-apps 集合中
+     *
+     * @param {string} sub 用户标识
+     * @param {object} scope 用户所属范围 { tenant, app }
+     * @return {Promise<void>}
+     */
+    static async touchPresence(sub, scope = {}) {
+        try {
+            const client = this.getClient();
+            const member = { score: Math.floor(Date.now() / 1000), value: String(sub) };
+
+            await client.zAdd('presence-all', member);
+            if (scope.tenant) {
+                await client.zAdd(`presence-tenant-${scope.tenant}`, member);
+                await client.sAdd('presence-tenants', scope.tenant);
+            }
+            if (scope.app) {
+                await client.zAdd(`presence-app-${scope.app}`, member);
+                await client.sAdd('presence-apps', scope.app);
+            }
+        } catch (error) {
+            Logger.error('Redis记录在线心跳失败:', { sub, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 移除用户的在线状态
+     * 从全部在线用户以及登记过的各租户、应用的有序集合中移除
+     *
+     * @param {string} sub 用户标识
+     * @return {Promise<void>}
+     */
+    static async removePresence(sub) {
+        try {
+            const client = this.getClient();
+            const tenants = await client.sMembers('presence-tenants');
+            const apps = await client.sMembers('presence-apps');
+
+            await client.zRem('presence-all', String(sub));
+            for (const tenant of tenants) {
+                await client.zRem(`presence-tenant-${tenant}`, String(sub));
+            }
+            for (const app of apps) {
+                await client.zRem(`presence-app-${app}`, String(sub));
+            }
+        } catch (error) {
+            Logger.error('Redis移除在线状态失败:', { sub, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 清理并统计在线用户数
+     *
+     * @param {string} key 在线状态有序集合键名
+     * @param {number} window 在线判定时间窗口（秒），最后活跃时间在窗口内视为在线
+     * @return {Promise<number>} 在线用户数
+     */
+    static async countPresence(key, window) {
+        try {
+            const client = this.getClient();
+            const since = Math.floor(Date.now() / 1000) - window;
+            await client.zRemRangeByScore(key, '-inf', since - 1);
+            return await client.zCard(key);
+        } catch (error) {
+            Logger.error('Redis统计在线用户失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 分页获取在线用户列表
+     * 按最后活跃时间倒序
+     *
+     * @param {string} key 在线状态有序集合键名
+     * @param {number} window 在线判定时间窗口（秒）
+     * @param {number} offset 偏移量
+     * @param {number} count 数量
+     * @return {Promise<object>} { total, users: [{ user, last_seen }] }
+     */
+    static async listPresence(key, window, offset, count) {
+        try {
+            const client = this.getClient();
+            const total = await this.countPresence(key, window);
+            const members = await client.zRangeWithScores(key, offset, offset + count - 1, { REV: true });
+            return {
+                total,
+                users: members.map(item => ({ user: item.value, last_seen: item.score }))
+            };
+        } catch (error) {
+            Logger.error('Redis获取在线用户列表失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 滑动窗口计数
+     * 每次计数作为一个成员写入有序集合（分数为毫秒时间戳），统计时只计算窗口内的成员
+     *
+     * @param {string} key 有序集合键名
+     * @param {number} window 窗口长度（秒）
+     * @return {Promise<number>} 计数后窗口内的次数
+     */
+    static async slidingHit(key, window) {
+        try {
+            const client = this.getClient();
+            const now = Date.now();
+            await client.zAdd(key, { score: now, value: `${now}-${Math.random().toString(36).slice(2, 8)}` });
+            await client.expire(key, window);
+            return await this.slidingCount(key, window);
+        } catch (error) {
+            Logger.error('Redis滑动窗口计数失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 清理并统计滑动窗口内的次数
+     *
+     * @param {string} key 有序集合键名
+     * @param {number} window 窗口长度（秒）
+     * @return {Promise<number>} 窗口内的次数
+     */
+    static async slidingCount(key, window) {
+        try {
+            const client = this.getClient();
+            await client.zRemRangeByScore(key, '-inf', Date.now() - window * 1000);
+            return await client.zCard(key);
+        } catch (error) {
+            Logger.error('Redis滑动窗口统计失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 令牌桶限流
+     * 桶容量为capacity，每window秒匀速补满；请求消耗一个令牌，令牌不足时拒绝。
+     * 读取、补充和扣减在Lua脚本中原子完成，多个实例共享同一个桶
+     *
+     * @param {string} key 键名
+     * @param {number} capacity 桶容量
+     * @param {number} window 补满整个桶需要的时间（秒）
+     * @return {Promise<object>} { allowed, tokens: 扣减后剩余的令牌数（可含小数） }
+     */
+    static async tokenBucket(key, capacity, window) {
+        try {
+            const client = this.getClient();
+            const [allowed, tokens] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+                keys: [key],
+                arguments: [String(capacity), String(capacity / (window * 1000)), String(Date.now()), String(window * 1000)]
+            });
+            return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+        } catch (error) {
+            Logger.error('Redis令牌桶限流失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 滑动窗口限流
+     * 使用当前窗口计数加上一窗口按剩余比例加权的近似滑动窗口，每个键只需两个计数器；
+     * 超出限制的请求不计数
+     *
+     * @param {string} key 键名
+     * @param {number} limit 窗口内允许的请求数
+     * @param {number} window 窗口长度（秒）
+     * @return {Promise<object>} { allowed, count: 滑动窗口内的请求数（可含小数）, previous: 上一窗口的计数, current: 当前窗口的计数, elapsed: 当前窗口已经过的毫秒数 }
+     */
+    static async slidingWindow(key, limit, window) {
+        try {
+            const client = this.getClient();
+            const size = window * 1000;
+            const now = Date.now();
+            const index = Math.floor(now / size);
+            const elapsed = now - index * size;
+            const [allowed, previous, current] = await client.eval(SLIDING_WINDOW_SCRIPT, {
+                keys: [`${key}-${index}`, `${key}-${index - 1}`],
+                arguments: [String(limit), String(1 - elapsed / size), String(size * 2)]
+            });
+            return {
+                allowed: allowed === 1,
+                count: previous * (1 - elapsed / size) + current,
+                previous,
+                current,
+                elapsed
+            };
+        } catch (error) {
+            Logger.error('Redis滑动窗口限流失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 获取集合的全部成员
+     *
+     * @param {string} key 键名
+     * @return {Promise<Array>} 成员数组
+     */
+    static async members(key) {
+        try {
+            const client = this.getClient();
+            return await client.sMembers(key);
+        } catch (error) {
+            Logger.error('Redis SMEMBERS操作失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 向集合添加成员
+     *
+     * @param {string} key 键名
+     * @param {string} value 成员
+     * @return {Promise<number>} 新增的成员数量
+     */
+    static async addMember(key, value) {
+        try {
+            const client = this.getClient();
+            return await client.sAdd(key, value);
+        } catch (error) {
+            Logger.error('Redis SADD操作失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 从集合移除成员
+     *
+     * @param {string} key 键名
+     * @param {string} value 成员
+     * @return {Promise<number>} 移除的成员数量
+     */
+    static async removeMember(key, value) {
+        try {
+            const client = this.getClient();
+            return await client.sRem(key, value);
+        } catch (error) {
+            Logger.error('Redis SREM操作失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 保存OIDC授权请求状态
+     * 以state为键保存nonce、PKCE code_verifier等信息，回调时一次性取出
+     *
+     * @param {string} state 授权请求的state参数
+     * @param {object} data 状态数据
+     * @param {number} ttl 有效期（秒）
+     * @return {Promise<string>} 操作结果
+     */
+    static async saveOidcState(state, data, ttl = 600) {
+        return await this.set(`oidc-state-${state}`, JSON.stringify(data), ttl);
+    }
+
+    /**
+     * 取出并删除OIDC授权请求状态
+     * 读取和删除在同一事务中完成，同一个state只能使用一次
+     *
+     * @param {string} state 授权请求的state参数
+     * @return {Promise<object|null>} 状态数据，不存在或已使用返回null
+     */
+    static async takeOidcState(state) {
+        const key = `oidc-state-${state}`;
+        try {
+            const client = this.getClient();
+            const [value] = await client.multi().get(key).del(key).exec();
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            Logger.error('Redis取出OIDC状态失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 保存验证码答案
+     *
+     * @param {string} id 验证码标识
+     * @param {object} data 验证码数据 { type, answer }
+     * @param {number} ttl 有效期（秒）
+     * @return {Promise<string>} 操作结果
+     */
+    static async saveCaptcha(id, data, ttl = 120) {
+        return await this.set(`captcha-${id}`, JSON.stringify(data), ttl);
+    }
+
+    /**
+     * 取出并删除验证码答案
+     * 每个验证码只能校验一次，无论校验结果如何
+     *
+     * @param {string} id 验证码标识
+     * @return {Promise<object|null>} 验证码数据，不存在或已过期返回null
+     */
+    static async takeCaptcha(id) {
+        const key = `captcha-${id}`;
+        try {
+            const client = this.getClient();
+            const [value] = await client.multi().get(key).del(key).exec();
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            Logger.error('Redis取出验证码失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 保存登录验证码
+     * 以Hash保存 { hash, attempts }，校验次数由 takeLoginCodeAttempt 原子递增
+     *
+     * @param {string} key 验证码键名
+     * @param {string} hash 验证码哈希
+     * @param {number} ttl 有效期（秒）
+     * @return {Promise<void>}
+     */
+    static async saveLoginCode(key, hash, ttl) {
+        try {
+            const client = this.getClient();
+            await client.multi().del(key).hSet(key, { hash, attempts: 0 }).expire(key, ttl).exec();
+        } catch (error) {
+            Logger.error('Redis保存登录验证码失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 占用一次登录验证码校验机会
+     * 递增和判断在同一脚本中完成，并发校验不会超出允许的次数；次数用完时验证码随即删除
+     *
+     * @param {string} key 验证码键名
+     * @param {number} maxAttempts 允许的校验次数
+     * @return {Promise<object|null>} { hash, attempts: 含本次在内的校验次数 }，验证码不存在返回null
+     */
+    static async takeLoginCodeAttempt(key, maxAttempts) {
+        try {
+            const client = this.getClient();
+            const result = await client.eval(LOGIN_CODE_ATTEMPT_SCRIPT, {
+                keys: [key],
+                arguments: [String(maxAttempts)]
+            });
+            return result ? { hash: result[0], attempts: Number(result[1]) } : null;
+        } catch (error) {
+            Logger.error('Redis登录验证码计数失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 使用双因素认证的TOTP口令或恢复码
+     * 比较和写入在同一脚本中完成，同一口令或恢复码只能使用一次
+     *
+     * @param {string} key 双因素认证绑定键名
+     * @param {string} method 方式，totp 或 recovery_code
+     * @param {number|string} value 口令步数或恢复码哈希
+     * @return {Promise<number>} 剩余恢复码数量，口令已使用或恢复码不存在时返回-1
+     */
+    static async consumeMfaFactor(key, method, value) {
+        try {
+            const client = this.getClient();
+            return Number(await client.eval(MFA_CONSUME_SCRIPT, {
+                keys: [key],
+                arguments: [method, String(value)]
+            }));
+        } catch (error) {
+            Logger.error('Redis使用双因素认证口令失败:', { key, method, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 关联IdP会话与本系统会话
+     * 后端通道登出时按IdP的sid或sub查找需要撤销的会话：
+     * - oidc-sid-${client}-${idpSid}: 本系统会话 { sub, sid }
+     * - oidc-sub-${client}-${idpSub}: 本系统会话集合，成员为 { sub, sid } 的JSON
+     *
+     * @param {string} client OIDC客户端标识
+     * @param {object} idp IdP会话信息 { sid, sub }
+     * @param {object} session 本系统会话 { sub, sid }
+     * @param {number} ttl 保留时间（秒），通常为会话剩余有效期
+     * @return {Promise<void>}
+     */
+    static async linkOidcSession(client, idp, session, ttl) {
+        const value = JSON.stringify({ sub: session.sub, sid: session.sid });
+        const expire = Math.max(ttl, 1);
+        try {
+            const redis = this.getClient();
+            const multi = redis.multi();
+            if (idp.sid) {
+                multi.set(`oidc-sid-${client}-${idp.sid}`, value, { EX: expire });
+            }
+            if (idp.sub) {
+                const key = `oidc-sub-${client}-${idp.sub}`;
+                multi.sAdd(key, value);
+                multi.expire(key, expire);
+            }
+            await multi.exec();
+        } catch (error) {
+            Logger.error('Redis关联OIDC会话失败:', { client, idpSid: idp.sid, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * 按IdP会话查找本系统会话
+     * 同时给出sid和sub时取两者的并集
+     *
+     * @param {string} client OIDC客户端标识
+     * @param {object} idp IdP会话信息 { sid, sub }
+     * @return {Promise<Array>} 本系统会话列表 [{ sub, sid }]
+     */
+    static async findOidcSessions(client, idp) {
+        const found = new Set();
+        if (idp.sid) {
+            const value = await this.get(`oidc-sid-${client}-${idp.sid}`);
+            if (value) {
+                found.add(value);
+            }
+        }
+        if (idp.sub) {
+            for (const value of await this.members(`oidc-sub-${client}-${idp.sub}`)) {
+                found.add(value);
+            }
+        }
+        return [...found].map(value => JSON.parse(value));
+    }
+
+    /**
+     * 登记已处理的Logout Token
+     * 使用SET NX保证同一个Logout Token只被处理一次，防止重放
+     *
+     * @param {string} key Logout Token标识（签发者与jti）
+     * @param {number} ttl 保留时间（秒）
+     * @return {Promise<boolean>} 首次登记返回true，重复的token返回false
+     */
+    static async claimLogoutToken(key, ttl) {
+        try {
+            const client = this.getClient();
+            const result = await client.set(`oidc-logout-${key}`, '1', {
+                NX: true,
+                EX: Math.max(ttl, 1)
+            });
+            return result === 'OK';
+        } catch (error) {
+            Logger.error('Redis SET NX操作失败:', { key, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * 关闭Redis连接
      * 